@@ -0,0 +1,113 @@
+// Service worker for the installable catalog. It keeps the app shell and
+// product thumbnails available offline; the products themselves are cached by
+// the app (see src/Offline/productsCache.js) since the database streams them
+// over a WebSocket the service worker can't see.
+
+const SHELL_CACHE = 'goldshop-shell-v1';
+const IMAGE_CACHE = 'goldshop-images-v2';
+const MAX_CACHED_IMAGES = 300;
+// How long a page load waits for the network before using the cached shell
+const NAVIGATION_TIMEOUT_MS = 3000;
+const OFFLINE_PAGE = '<!doctype html><meta charset="utf-8"><title>Offline</title>'
+  + '<p style="font-family:sans-serif;text-align:center;margin-top:4rem">You\'re offline. Please check your connection and try again.</p>';
+
+// Precache index.html and the scripts and styles it references, since the
+// first visit loads them before the service worker is in control
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch('/', { cache: 'no-cache' });
+  const html = await response.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/[^"]+)"/g)].map(match => match[1]);
+  await cache.put('/', response);
+  await cache.addAll([...new Set(assets)]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('goldshop-') && ![SHELL_CACHE, IMAGE_CACHE].includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Pages: network first so deploys show up straight away, falling back to the
+// cached shell (every route is served by index.html) when offline or slow
+const handleNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  // Resolves to undefined when offline, so a failure after the timeout isn't
+  // left unhandled
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put('/', response.clone());
+    return response;
+  }).catch(() => undefined);
+  const timeout = new Promise(resolve => setTimeout(resolve, NAVIGATION_TIMEOUT_MS));
+  const response = await Promise.race([network, timeout]);
+  if (response) return response;
+  return (await cache.match('/')) || (await network) || new Response(OFFLINE_PAGE, {
+    status: 503,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+};
+
+// Hashed build assets under /assets/ never change, so the cached copy is always
+// good. Other files (the manifest, icons) keep their names across deploys, so
+// they're served from the cache while a fresh copy is fetched for next time.
+const handleAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const isHashed = new URL(request.url).pathname.startsWith('/assets/');
+  if (cached && isHashed) return cached;
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  network.catch(() => undefined);
+  return cached;
+};
+
+// Thumbnails: cache first. They're fetched with CORS (see storage.cors.json)
+// because browsers count each opaque no-cors response as megabytes of quota;
+// if the bucket doesn't allow it the image still loads, uncached.
+const handleThumbnail = async (request) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+  let response;
+  try {
+    response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+  } catch {
+    return fetch(request);
+  }
+  if (response.ok) {
+    await cache.put(request.url, response.clone());
+    trimCache(IMAGE_CACHE, MAX_CACHED_IMAGES);
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin && url.pathname !== '/sw.js' && !url.pathname.startsWith('/__/')) {
+    event.respondWith(handleAsset(request));
+  } else if (request.destination === 'image' && url.pathname.includes('-thumb.')) {
+    event.respondWith(handleThumbnail(request));
+  }
+});
@@ -1,24 +1,82 @@
 import { useState, useEffect } from 'react';
-import { ref, push, set, onValue, remove, update } from 'firebase/database';
-import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { db, storage } from './Firebase/Config';
+import { ref, push, onValue, update } from 'firebase/database';
+import { db } from './Firebase/Config';
+import { useAuth } from './Auth/AuthContext';
+import { can } from './Auth/roles';
+import RatesManager from './Rates/RatesManager';
+import { METALS, GOLD_PURITIES, DEFAULT_PURITY, WEIGHT_UNITS, parseWeightString } from './Products/schema';
+import { getLegacyProducts, migrateWeights } from './Products/migrateWeights';
+import PricingSettings from './Pricing/PricingSettings';
+import CurrencySettings from './Pricing/CurrencySettings';
+import ExchangeSettings from './Exchange/ExchangeSettings';
+import ImageManager from './Products/ImageManager';
+import ProductImport from './Products/ProductImport';
+import ShopSettings from './Shop/ShopSettings';
+import EnquiriesInbox from './Enquiries/EnquiriesInbox';
+import { getProductImages, getCoverIndex, uploadProductImage } from './Products/images';
+import usePricingSettings from './Pricing/usePricingSettings';
+import { MAKING_CHARGE_TYPES, PRODUCT_CHARGE_FIELDS } from './Pricing/pricing';
+import { prepareProductData } from './Products/productData';
+import { getVariants, hasVariants, variantSummary, productSkus } from './Products/variants';
+import VariantEditor from './Products/VariantEditor';
+import TagInput from './Products/TagInput';
+import { getTags, allTags } from './Products/tags';
+import { isTracked, stockMovementUpdate } from './Inventory/inventory';
+import LowStockAlerts from './Inventory/LowStockAlerts';
+import StockLedger from './Inventory/StockLedger';
+import useCategories from './Categories/useCategories';
+import CategoryManager from './Categories/CategoryManager';
+import CollectionManager from './Collections/CollectionManager';
+import SynonymManager from './Search/SynonymManager';
+import { flattenCategoryTree, matchCategory } from './Categories/categories';
+import { auditEntryUpdate, productChangeUpdate, deleteProduct } from './Audit/audit';
+import useDeletedProducts from './Audit/useDeletedProducts';
+import AuditLog from './Audit/AuditLog';
+import Trash from './Audit/Trash';
+import AdminProductList from './Products/AdminProductList';
+import QuotesLookup from './Quotes/QuotesLookup';
+import OrdersBoard from './Orders/OrdersBoard';
+
+const initialFormData = {
+  name: '',
+  grossWeight: '',
+  netWeight: '',
+  weightUnit: 'g',
+  metal: 'gold',
+  purity: DEFAULT_PURITY,
+  description: '',
+  category: '',
+  categoryId: '',
+  tags: [],
+  sku: '',
+  quantity: '',
+  images: [],
+  coverIndex: 0,
+  variants: [],
+  inStock: true,
+  price: '',
+  // Price overrides; blank means use the shop default
+  wastagePercent: '',
+  makingChargeType: '',
+  makingCharge: '',
+  stoneCharges: '',
+  hallmarkFee: ''
+};
 
 export default function AdminPanel() {
+  const { user, role, signOut } = useAuth();
   const [products, setProducts] = useState([]);
-  const [formData, setFormData] = useState({
-    name: '',
-    weight: '',
-    description: '',
-    category: '',
-    image: null,
-    imageUrl: '',
-    inStock: true,
-    price: ''
-  });
+  const [formData, setFormData] = useState(initialFormData);
+  const pricingSettings = usePricingSettings();
+  const categories = useCategories();
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
   const [successMessage, setSuccessMessage] = useState('');
   const [editMode, setEditMode] = useState(false);
   const [editId, setEditId] = useState(null);
+  const [isMigrating, setIsMigrating] = useState(false);
+  const [ledgerProductId, setLedgerProductId] = useState(null);
+  const deletedProducts = useDeletedProducts(can(role, 'products:delete'));
 
   useEffect(() => {
     const productsRef = ref(db, 'products');
@@ -28,16 +86,11 @@ export default function AdminPanel() {
     });
   }, []);
 
+  // Look up the live product so the ledger shows the latest quantity
+  const ledgerProduct = products.find(p => p.id === ledgerProductId);
+
   const resetForm = () => {
-    setFormData({
-      name: '',
-      weight: '',
-      description: '',
-      category: '',
-      image: null,
-      imageUrl: '',
-      inStock: true
-    });
+    setFormData(initialFormData);
     setEditMode(false);
     setEditId(null);
   };
@@ -47,11 +100,30 @@ export default function AdminPanel() {
     setIsSubmitting(true);
     
     try {
-      const { image, ...productData } = formData;
-      
-      // Validate required fields
-      if (!productData.name || !productData.weight || !productData.category) {
-        throw new Error('Please fill all required fields');
+      if (!can(role, editMode ? 'products:edit' : 'products:create')) {
+        throw new Error('You do not have permission to save products');
+      }
+
+      const { images, coverIndex, ...values } = formData;
+      const { data: productData, errors } = prepareProductData(values);
+      if (errors.length > 0) {
+        throw new Error(errors[0]);
+      }
+
+      const skus = productSkus(productData);
+      if (new Set(skus).size !== skus.length) {
+        throw new Error('Each variant needs its own SKU');
+      }
+      for (const sku of skus) {
+        const duplicateSku = products.find(p => p.id !== editId && productSkus(p).includes(sku));
+        if (duplicateSku) {
+          throw new Error(`SKU ${sku} is already used by ${duplicateSku.name}`);
+        }
+      }
+
+      const existingProduct = editMode ? products.find(p => p.id === editId) : null;
+      if (editMode && !existingProduct) {
+        throw new Error('This product has been deleted');
       }
 
       let dbRef;
@@ -61,27 +133,76 @@ export default function AdminPanel() {
         dbRef = push(ref(db, 'products'));
       }
       
-      // Handle image upload or use image URL
-      if (image) {
-        const fileRef = storageRef(storage, `products/${editMode ? editId : dbRef.key}`);
-        await uploadBytes(fileRef, image);
-        const uploadedImageUrl = await getDownloadURL(fileRef);
-        productData.imageUrl = uploadedImageUrl;
-      } else if (productData.imageUrl) {
-        // Keep the imageUrl from form data
-      } else if (editMode && !productData.imageUrl) {
-        // If editing and no new image is provided, keep the existing image
-        const existingProduct = products.find(p => p.id === editId);
-        if (existingProduct && existingProduct.imageUrl) {
-          productData.imageUrl = existingProduct.imageUrl;
+      // Process and upload newly picked files, keeping the order chosen in the form
+      const newFileCount = images.filter(image => image.file).length;
+      let uploadedCount = 0;
+      const savedImages = [];
+      for (const image of images) {
+        if (image.file) {
+          setUploadProgress(Math.round((uploadedCount / newFileCount) * 100));
+          savedImages.push(await uploadProductImage(dbRef.key, image.file, (fraction) => {
+            setUploadProgress(Math.round(((uploadedCount + fraction) / newFileCount) * 100));
+          }));
+          uploadedCount++;
+        } else {
+          savedImages.push(image);
         }
       }
+      setUploadProgress(null);
+
+      const cover = savedImages[coverIndex] || savedImages[0];
+      productData.images = savedImages.length > 0 ? savedImages : null;
+      productData.imageUrl = cover?.url || null;
+      productData.thumbnailUrl = cover?.thumbUrl || null;
+
+      // Quantities of tracked products only change through the stock ledger;
+      // a quantity entered here opens the ledger with a first entry
+      let stockUpdate = {};
+      if (productData.variants) {
+        const existingVariants = existingProduct?.variants || {};
+        Object.entries(productData.variants).forEach(([variantId, variant]) => {
+          const existingVariant = existingVariants[variantId];
+          if (isTracked(existingVariant)) {
+            variant.quantity = existingVariant.quantity;
+            variant.inStock = existingVariant.inStock;
+          } else if (variant.quantity !== null) {
+            Object.assign(stockUpdate, stockMovementUpdate(dbRef.key, {
+              variantId,
+              type: existingVariant ? 'adjusted' : 'received',
+              change: variant.quantity,
+              balance: variant.quantity,
+              note: existingVariant ? 'Started tracking quantity' : 'Opening stock'
+            }, user));
+          }
+        });
+        Object.assign(productData, variantSummary(productData.variants));
+      } else if (isTracked(existingProduct)) {
+        delete productData.quantity;
+        delete productData.inStock;
+      } else if (productData.quantity !== null) {
+        stockUpdate = stockMovementUpdate(dbRef.key, {
+          type: editMode ? 'adjusted' : 'received',
+          change: productData.quantity,
+          balance: productData.quantity,
+          note: editMode ? 'Started tracking quantity' : 'Opening stock'
+        }, user);
+      }
 
+      // Each save is logged with the values it replaced. Files of removed
+      // images are kept so the edit can be reverted; they're deleted once the
+      // entry is trimmed from the history (see trimAuditLog).
       if (editMode) {
-        await update(dbRef, productData);
+        await update(ref(db), {
+          ...productChangeUpdate(existingProduct, productData, 'updated', user),
+          ...stockUpdate
+        });
         setSuccessMessage('Product updated successfully!');
       } else {
-        await set(dbRef, productData);
+        await update(ref(db), {
+          [`products/${dbRef.key}`]: productData,
+          ...auditEntryUpdate(dbRef.key, { action: 'created', before: null, after: productData }, user),
+          ...stockUpdate
+        });
         setSuccessMessage('Product added successfully!');
       }
       
@@ -92,34 +213,89 @@ export default function AdminPanel() {
       alert(error.message);
     } finally {
       setIsSubmitting(false);
+      setUploadProgress(null);
     }
   };
 
-  const handleDelete = (id) => {
-    if (window.confirm('Are you sure you want to delete this product?')) {
-      remove(ref(db, `products/${id}`));
+  // Deleted products go to the trash, where they can be restored
+  const handleDelete = async (product) => {
+    if (!can(role, 'products:delete')) return;
+    if (window.confirm(`Move ${product.name} to the trash?`)) {
+      try {
+        await deleteProduct(product, user);
+      } catch (error) {
+        console.error('Error deleting product:', error);
+        alert(error.message);
+      }
     }
   };
 
   const handleEdit = (product) => {
+    // Pre-fill legacy records from their free-text weight where possible; a
+    // weight marked net leaves the gross weight for staff to enter
+    const legacyWeight = product.grossWeight == null ? parseWeightString(product.weight) : null;
+
     setFormData({
       name: product.name || '',
-      weight: product.weight || '',
+      grossWeight: product.grossWeight ?? (legacyWeight?.isNet ? '' : legacyWeight?.value) ?? '',
+      netWeight: product.netWeight ?? (legacyWeight?.isNet ? legacyWeight.value : '') ?? '',
+      weightUnit: product.weightUnit || legacyWeight?.unit || 'g',
+      metal: product.metal || 'gold',
+      purity: product.purity || DEFAULT_PURITY,
       description: product.description || '',
       category: product.category || '',
-      image: null,
-      imageUrl: product.imageUrl || '',
+      categoryId: product.categoryId || matchCategory(categories, product.category)?.id || '',
+      tags: getTags(product),
+      sku: product.sku || '',
+      quantity: product.quantity ?? '',
+      images: getProductImages(product),
+      coverIndex: getCoverIndex(product),
+      variants: getVariants(product).map(variant => ({
+        id: variant.id,
+        size: variant.size || '',
+        purity: variant.purity || DEFAULT_PURITY,
+        grossWeight: variant.grossWeight ?? '',
+        netWeight: variant.netWeight ?? '',
+        sku: variant.sku || '',
+        quantity: variant.quantity ?? '',
+        inStock: variant.inStock !== false
+      })),
       inStock: product.inStock !== false, // Default to true if not specified
-      price: product.price || ''
+      price: product.price || '',
+      ...Object.fromEntries(PRODUCT_CHARGE_FIELDS.map(field => [field, product[field] ?? '']))
     });
     setEditMode(true);
     setEditId(product.id);
     window.scrollTo(0, 0);
   };
   
+  // Only for products without counted stock; tracked quantities and variants
+  // change through the stock ledger
   const handleToggleStock = async (product) => {
-    const productRef = ref(db, `products/${product.id}`);
-    await update(productRef, { inStock: !product.inStock });
+    if (!can(role, 'products:stock')) return;
+    try {
+      if (isTracked(product) || hasVariants(product)) {
+        throw new Error(`${product.name} has its stock counted; record a movement in its stock ledger instead`);
+      }
+      await update(ref(db), productChangeUpdate(product, { inStock: !product.inStock }, 'stock', user));
+    } catch (error) {
+      console.error('Error updating stock:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleMigrateWeights = async () => {
+    setIsMigrating(true);
+    try {
+      const { migrated, flagged } = await migrateWeights(products, user);
+      setSuccessMessage(`Migrated ${migrated} products${flagged ? `, ${flagged} flagged for review` : ''}`);
+      setTimeout(() => setSuccessMessage(''), 5000);
+    } catch (error) {
+      console.error('Error migrating weights:', error);
+      alert(error.message);
+    } finally {
+      setIsMigrating(false);
+    }
   };
 
   const handleInputChange = (e) => {
@@ -130,205 +306,422 @@ export default function AdminPanel() {
     }));
   };
 
-  const handleFileChange = (e) => {
-    if (e.target.files[0]) {
-      setFormData(prev => ({ 
-        ...prev, 
-        image: e.target.files[0],
-        imageUrl: '' // Clear imageUrl when file is selected
-      }));
-    }
+  // The product keeps the category's id and a copy of its name
+  const handleCategoryChange = (e) => {
+    const category = categories.find(c => c.id === e.target.value);
+    setFormData(prev => ({
+      ...prev,
+      categoryId: category ? category.id : '',
+      category: category ? category.name : ''
+    }));
+  };
+
+  const handleImagesChange = (images, coverIndex) => {
+    setFormData(prev => ({ ...prev, images, coverIndex }));
+  };
+
+  const handleVariantsChange = (variants) => {
+    setFormData(prev => ({ ...prev, variants }));
   };
 
+  const hasFormVariants = formData.variants.length > 0;
+  const editedProduct = products.find(p => p.id === editId);
+
   return (
     <div className="container mx-auto p-4 max-w-6xl">
-      <h1 className="text-2xl font-bold mb-6">Gold Shop Admin Panel</h1>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">Gold Shop Admin Panel</h1>
+        <div className="flex items-center gap-3">
+          <span className="text-sm text-gray-600">
+            {user?.email} <span className="bg-gray-100 px-2 py-1 rounded capitalize">{role}</span>
+          </span>
+          <button
+            onClick={signOut}
+            className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm transition-colors"
+          >
+            Sign Out
+          </button>
+        </div>
+      </div>
+
+      <LowStockAlerts products={products} onOpenLedger={(product) => setLedgerProductId(product.id)} />
+
+      {can(role, 'enquiries:view') && <EnquiriesInbox />}
+
+      {can(role, 'orders:view') && <OrdersBoard products={products} />}
+
+      {can(role, 'quotes:view') && <QuotesLookup />}
+
+      <RatesManager />
+
+      {can(role, 'settings:edit') && <PricingSettings />}
+
+      {can(role, 'settings:edit') && <CurrencySettings />}
+
+      {can(role, 'settings:edit') && <ExchangeSettings />}
+
+      {can(role, 'settings:edit') && <ShopSettings />}
+
+      {can(role, 'categories:manage') && <CategoryManager products={products} />}
+
+      {can(role, 'collections:manage') && <CollectionManager products={products} />}
+
+      {can(role, 'search:manage') && <SynonymManager />}
+
+      {can(role, 'products:migrate') && getLegacyProducts(products).length > 0 && (
+        <div className="mb-8 p-4 bg-yellow-50 border border-yellow-300 rounded-lg flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <p className="text-yellow-800">
+            {getLegacyProducts(products).length} products still use free-text weights.
+            Migrate them to structured weight, metal and purity fields; anything that can't be read is flagged for review.
+          </p>
+          <button
+            onClick={handleMigrateWeights}
+            disabled={isMigrating}
+            className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-md transition-colors disabled:bg-yellow-400 whitespace-nowrap"
+          >
+            {isMigrating ? 'Migrating...' : 'Migrate Weights'}
+          </button>
+        </div>
+      )}
       
-      <form onSubmit={handleSubmit} className="mb-8 bg-white p-6 rounded-lg shadow-md">
-        <h2 className="text-xl font-semibold mb-4">
-          {editMode ? 'Edit Product' : 'Add New Product'}
-        </h2>
+      {can(role, 'products:create') && (
+        <form onSubmit={handleSubmit} className="mb-8 bg-white p-6 rounded-lg shadow-md">
+          <h2 className="text-xl font-semibold mb-4">
+            {editMode ? 'Edit Product' : 'Add New Product'}
+          </h2>
         
-        {successMessage && (
-          <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
-            {successMessage}
-          </div>
-        )}
-
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium mb-1">Product Name*</label>
-            <input
-              type="text"
-              name="name"
-              placeholder="e.g., Gold Necklace"
-              value={formData.name}
-              onChange={handleInputChange}
-              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              required
-            />
-          </div>
+          {successMessage && (
+            <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+              {successMessage}
+            </div>
+          )}
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Weight (grams)*</label>
-            <input
-              type="text"
-              name="weight"
-              placeholder="e.g., 10g"
-              value={formData.weight}
-              onChange={handleInputChange}
-              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              required
-            />
-          </div>
-          
-        
-          
-          <div>
-            <label className="block text-sm font-medium mb-1">Category*</label>
-            <input
-              type="text"
-              name="category"
-              placeholder="e.g., Necklace, Ring"
-              value={formData.category}
-              onChange={handleInputChange}
-              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              required
-            />
-          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Product Name*</label>
+              <input
+                type="text"
+                name="name"
+                placeholder="e.g., Gold Necklace"
+                value={formData.name}
+                onChange={handleInputChange}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
+            </div>
 
-          <div className="md:col-span-2">
-            <label className="block text-sm font-medium mb-1">Description</label>
-            <textarea
-              name="description"
-              placeholder="Product details..."
-              value={formData.description}
-              onChange={handleInputChange}
-              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              rows={3}
-            />
-          </div>
+            <div className="grid grid-cols-3 gap-2">
+              <div>
+                <label className="block text-sm font-medium mb-1">Gross Weight*</label>
+                <input
+                  type="number"
+                  name="grossWeight"
+                  min="0"
+                  step="0.001"
+                  placeholder={hasFormVariants ? 'Per variant' : 'e.g., 10.5'}
+                  value={hasFormVariants ? '' : formData.grossWeight}
+                  onChange={handleInputChange}
+                  disabled={hasFormVariants}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                  required={!hasFormVariants}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Net Weight</label>
+                <input
+                  type="number"
+                  name="netWeight"
+                  min="0"
+                  step="0.001"
+                  placeholder={hasFormVariants ? 'Per variant' : 'Same as gross'}
+                  value={hasFormVariants ? '' : formData.netWeight}
+                  onChange={handleInputChange}
+                  disabled={hasFormVariants}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Unit</label>
+                <select
+                  name="weightUnit"
+                  value={formData.weightUnit}
+                  onChange={handleInputChange}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                >
+                  {Object.entries(WEIGHT_UNITS).map(([unit, { label }]) => (
+                    <option key={unit} value={unit}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Product Image File</label>
-            <input
-              type="file"
-              accept="image/*"
-              onChange={handleFileChange}
-              className="w-full p-2 border rounded"
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium mb-1">Metal*</label>
+                <select
+                  name="metal"
+                  value={formData.metal}
+                  onChange={handleInputChange}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                >
+                  {Object.entries(METALS).map(([metal, label]) => (
+                    <option key={metal} value={metal}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {formData.metal === 'gold' && !hasFormVariants && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Purity*</label>
+                  <select
+                    name="purity"
+                    value={formData.purity}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                  >
+                    {GOLD_PURITIES.map(purity => (
+                      <option key={purity} value={purity}>{purity}K</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Category*</label>
+              {categories.length > 0 ? (
+                <select
+                  name="categoryId"
+                  value={formData.categoryId}
+                  onChange={handleCategoryChange}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                  required
+                >
+                  <option value="">{formData.category && !formData.categoryId ? `${formData.category} (not linked)` : 'Select a category'}</option>
+                  {flattenCategoryTree(categories).map(category => (
+                    <option key={category.id} value={category.id}>
+                      {'— '.repeat(category.depth)}{category.name}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <>
+                  <input
+                    type="text"
+                    name="category"
+                    placeholder="e.g., Necklace, Ring"
+                    value={formData.category}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    required
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Add categories in the Categories section to pick from a list</p>
+                </>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium mb-1">SKU / Tag No.</label>
+                <input
+                  type="text"
+                  name="sku"
+                  placeholder="e.g., GN-0142"
+                  value={formData.sku}
+                  onChange={handleInputChange}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Quantity on Hand</label>
+                <input
+                  type="number"
+                  name="quantity"
+                  min="0"
+                  step="1"
+                  placeholder={hasFormVariants ? 'Per variant' : 'Not tracked'}
+                  value={hasFormVariants ? '' : formData.quantity}
+                  onChange={handleInputChange}
+                  disabled={hasFormVariants || isTracked(editedProduct)}
+                  title="Use Stock in the product list to record movements"
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                />
+              </div>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium mb-1">Tags</label>
+              <TagInput
+                tags={formData.tags}
+                suggestions={allTags(products)}
+                onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              />
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium mb-1">Description</label>
+              <textarea
+                name="description"
+                placeholder="Product details..."
+                value={formData.description}
+                onChange={handleInputChange}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                rows={3}
+              />
+            </div>
+
+            <ImageManager
+              images={formData.images}
+              coverIndex={formData.coverIndex}
+              onChange={handleImagesChange}
             />
-          </div>
 
-          <div>
-            <label className="block text-sm font-medium mb-1">OR Image URL</label>
-            <input
-              type="url"
-              name="imageUrl"
-              placeholder="https://example.com/image.jpg"
-              value={formData.imageUrl}
-              onChange={handleInputChange}
-              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            <VariantEditor
+              variants={formData.variants}
+              metal={formData.metal}
+              weightUnit={formData.weightUnit}
+              purity={formData.purity}
+              lockedIds={getVariants(editedProduct).filter(isTracked).map(variant => variant.id)}
+              onChange={handleVariantsChange}
             />
-          </div>
           
-          <div className="flex items-center">
-            <input
-              type="checkbox"
-              id="inStock"
-              name="inStock"
-              checked={formData.inStock}
-              onChange={handleInputChange}
-              className="mr-2 h-5 w-5"
-            />
-            <label htmlFor="inStock" className="text-sm font-medium">
-              Product In Stock
-            </label>
+            {formData.quantity === '' && !hasFormVariants && (
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="inStock"
+                  name="inStock"
+                  checked={formData.inStock}
+                  onChange={handleInputChange}
+                  className="mr-2 h-5 w-5"
+                />
+                <label htmlFor="inStock" className="text-sm font-medium">
+                  Product In Stock
+                </label>
+              </div>
+            )}
+
+            <div className="md:col-span-2">
+              <h3 className="text-sm font-semibold mb-2">Price Overrides <span className="font-normal text-gray-500">(leave blank to use shop defaults)</span></h3>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Wastage (%)</label>
+                  <input
+                    type="number"
+                    name="wastagePercent"
+                    min="0"
+                    step="0.01"
+                    placeholder={String(pricingSettings.wastagePercent)}
+                    value={formData.wastagePercent}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Making Charge</label>
+                  <input
+                    type="number"
+                    name="makingCharge"
+                    min="0"
+                    step="0.01"
+                    placeholder={String(pricingSettings.makingCharge)}
+                    value={formData.makingCharge}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Charged As</label>
+                  <select
+                    name="makingChargeType"
+                    value={formData.makingChargeType}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                  >
+                    <option value="">Default ({MAKING_CHARGE_TYPES[pricingSettings.makingChargeType]})</option>
+                    {Object.entries(MAKING_CHARGE_TYPES).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Stone Charges</label>
+                  <input
+                    type="number"
+                    name="stoneCharges"
+                    min="0"
+                    step="0.01"
+                    placeholder={String(pricingSettings.stoneCharges)}
+                    value={formData.stoneCharges}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Hallmarking Fee</label>
+                  <input
+                    type="number"
+                    name="hallmarkFee"
+                    min="0"
+                    step="0.01"
+                    placeholder={String(pricingSettings.hallmarkFee)}
+                    value={formData.hallmarkFee}
+                    onChange={handleInputChange}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+            </div>
           </div>
-        </div>
 
-        <div className="mt-4 flex gap-3">
-          <button 
-            type="submit" 
-            disabled={isSubmitting}
-            className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
-          >
-            {isSubmitting ? 'Saving...' : editMode ? 'Update Product' : 'Add Product'}
-          </button>
-          
-          {editMode && (
+          <div className="mt-4 flex gap-3">
             <button 
-              type="button"
-              onClick={resetForm}
-              className="bg-gray-500 hover:bg-gray-600 text-white px-6 py-2 rounded-md transition-colors"
+              type="submit" 
+              disabled={isSubmitting}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
             >
-              Cancel
+              {uploadProgress !== null ? `Uploading ${uploadProgress}%...` : isSubmitting ? 'Saving...' : editMode ? 'Update Product' : 'Add Product'}
             </button>
+          
+            {editMode && (
+              <button 
+                type="button"
+                onClick={resetForm}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-6 py-2 rounded-md transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+
+          {uploadProgress !== null && (
+            <div className="mt-3 w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-600 transition-all duration-200"
+                style={{ width: `${uploadProgress}%` }}
+              ></div>
+            </div>
           )}
-        </div>
-      </form>
+        </form>
+      )}
 
-      <div className="bg-white p-6 rounded-lg shadow-md">
-        <h2 className="text-xl font-semibold mb-4">Product List ({products.length})</h2>
-        
-        {products.length === 0 ? (
-          <p className="text-gray-500">No products found</p>
-        ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {products.map((product) => (
-              <div key={product.id} className="border p-4 rounded-lg hover:shadow-md transition-shadow relative">
-                {!product.inStock && (
-                  <div className="absolute top-2 right-2 bg-red-500 text-white text-xs px-2 py-1 rounded-full">
-                    Out of Stock
-                  </div>
-                )}
-                
-                {product.imageUrl ? (
-                  <img 
-                    src={product.imageUrl} 
-                    alt={product.name} 
-                    className="w-full h-48 object-contain mb-3 bg-gray-100 rounded"
-                  />
-                ) : (
-                  <div className="w-full h-48 flex items-center justify-center bg-gray-100 mb-3 rounded">
-                    <span className="text-gray-400">No Image</span>
-                  </div>
-                )}
-                
-                <h3 className="font-bold text-lg">{product.name}</h3>
-                <p className="text-gray-600">Weight: {product.weight}</p>
-                {product.price && (
-                  <p className="text-gray-600">Price: {product.price}</p>
-                )}
-                {product.description && (
-                  <p className="text-sm text-gray-500 mt-1 line-clamp-2">{product.description}</p>
-                )}
-                <p className="text-sm mt-2">Category: {product.category}</p>
-                
-                <div className="mt-3 flex gap-2">
-                  <button
-                    onClick={() => handleEdit(product)}
-                    className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm transition-colors"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => handleToggleStock(product)}
-                    className={`${product.inStock ? 'bg-orange-500 hover:bg-orange-600' : 'bg-green-500 hover:bg-green-600'} text-white px-3 py-1 rounded text-sm transition-colors`}
-                  >
-                    {product.inStock ? 'Mark Out of Stock' : 'Mark In Stock'}
-                  </button>
-                  <button
-                    onClick={() => handleDelete(product.id)}
-                    className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded text-sm transition-colors"
-                  >
-                    Delete
-                  </button>
-                </div>
-              </div>
-            ))}
-          </div>
-        )}
-      </div>
+      {can(role, 'products:export') && <ProductImport products={products} />}
+
+      {can(role, 'audit:view') && <AuditLog products={products} deletedProducts={deletedProducts} />}
+
+      {can(role, 'products:delete') && <Trash products={products} deletedProducts={deletedProducts} />}
+
+      <AdminProductList
+        products={products}
+        categories={categories}
+        onEdit={handleEdit}
+        onOpenLedger={(product) => setLedgerProductId(product.id)}
+        onToggleStock={handleToggleStock}
+        onDelete={handleDelete}
+      />
+
+      {ledgerProduct && (
+        <StockLedger product={ledgerProduct} onClose={() => setLedgerProductId(null)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
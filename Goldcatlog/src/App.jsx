@@ -1,17 +1,50 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Catalog from './Catalog';
-import AdminPanel from './Adminpanel';
+import AdminPanel from './AdminPanel';
+import AuthProvider from './Auth/AuthProvider';
+import ProtectedRoute from './Auth/ProtectedRoute';
+import Login from './Auth/Login';
+import NotAuthorized from './Auth/NotAuthorized';
+import { ROLES } from './Auth/roles';
+import Wishlists from './Customers/Wishlists';
+import SharedWishlist from './Customers/SharedWishlist';
+import QuotePrint from './Quotes/QuotePrint';
+import MyOrders from './Orders/MyOrders';
+import RateTrends from './Rates/RateTrends';
+import ProductCompare from './Compare/ProductCompare';
 
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        <Route path="/" element={<Catalog />} />
-        <Route path="/admin" element={<AdminPanel/>} />
-      </Routes>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <Routes>
+          <Route path="/" element={<Catalog />} />
+          <Route path="/product/:id" element={<Catalog />} />
+          <Route path="/category/:slug" element={<Catalog />} />
+          <Route path="/category/:slug/product/:id" element={<Catalog />} />
+          <Route path="/collection/:collection" element={<Catalog />} />
+          <Route path="/collection/:collection/product/:id" element={<Catalog />} />
+          <Route path="/wishlists" element={<Wishlists />} />
+          <Route path="/wishlist/:uid/:listId" element={<SharedWishlist />} />
+          <Route path="/quote/:id" element={<QuotePrint />} />
+          <Route path="/orders" element={<MyOrders />} />
+          <Route path="/rates" element={<RateTrends />} />
+          <Route path="/compare" element={<ProductCompare />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/not-authorized" element={<NotAuthorized />} />
+          <Route
+            path="/admin"
+            element={
+              <ProtectedRoute roles={ROLES}>
+                <AdminPanel/>
+              </ProtectedRoute>
+            }
+          />
+        </Routes>
+      </Router>
+    </AuthProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import useAuditLog from './useAuditLog';
+import { AUDIT_ACTIONS, changedSince, revertChange } from './audit';
+
+const PAGE_SIZE = 200;
+
+const ACTION_STYLES = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800',
+  stock: 'bg-yellow-100 text-yellow-800',
+  deleted: 'bg-red-100 text-red-800',
+  restored: 'bg-purple-100 text-purple-800'
+};
+
+// Short readable form of a logged field value
+const formatValue = (field, value) => {
+  if (value == null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'images') return `${value.length} ${value.length === 1 ? 'image' : 'images'}`;
+  if (field === 'variants') return `${Object.keys(value).length} variants`;
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Start of a yyyy-mm-dd date input's day, in local time
+const dayStart = (date) => new Date(`${date}T00:00`).getTime();
+
+// Admin history of product changes with filters and one-click revert
+export default function AuditLog({ products, deletedProducts }) {
+  const { user, role } = useAuth();
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const entries = useAuditLog(limit);
+  const [actionFilter, setActionFilter] = useState('');
+  const [userFilter, setUserFilter] = useState('');
+  const [productFilter, setProductFilter] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [revertingId, setRevertingId] = useState(null);
+  const canRevert = can(role, 'audit:revert');
+
+  const users = [...new Set(entries.map(entry => entry.createdBy).filter(Boolean))].sort();
+  const revertedIds = new Set(entries.map(entry => entry.revertOf).filter(Boolean));
+
+  const filteredEntries = entries.filter(entry => {
+    const search = productFilter.trim().toLowerCase();
+    const matchesAction = actionFilter ? entry.action === actionFilter : true;
+    const matchesUser = userFilter ? entry.createdBy === userFilter : true;
+    const matchesProduct = search
+      ? entry.productName?.toLowerCase().includes(search) || entry.productId.toLowerCase() === search
+      : true;
+    const matchesFrom = fromDate ? entry.createdAt >= dayStart(fromDate) : true;
+    const matchesTo = toDate ? entry.createdAt < dayStart(toDate) + 24 * 60 * 60 * 1000 : true;
+    return matchesAction && matchesUser && matchesProduct && matchesFrom && matchesTo;
+  });
+
+  const handleRevert = async (entry) => {
+    const product = products.find(p => p.id === entry.productId);
+    const changed = changedSince(entry, product);
+    const message = changed.length > 0
+      ? `${changed.join(', ')} changed again after this edit. Revert anyway?`
+      : `Revert this change to ${entry.productName}?`;
+    if (!window.confirm(message)) return;
+
+    setRevertingId(entry.id);
+    try {
+      await revertChange(entry, { products, deletedProducts }, user);
+    } catch (error) {
+      console.error('Error reverting change:', error);
+      alert(error.message);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Change History</h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+        <select
+          value={actionFilter}
+          onChange={(e) => setActionFilter(e.target.value)}
+          className="p-2 border rounded bg-white text-sm"
+        >
+          <option value="">All Changes</option>
+          {Object.entries(AUDIT_ACTIONS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={userFilter}
+          onChange={(e) => setUserFilter(e.target.value)}
+          className="p-2 border rounded bg-white text-sm"
+        >
+          <option value="">All Users</option>
+          {users.map(email => (
+            <option key={email} value={email}>{email}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Product name"
+          value={productFilter}
+          onChange={(e) => setProductFilter(e.target.value)}
+          className="p-2 border rounded text-sm"
+        />
+        <input
+          type="date"
+          value={fromDate}
+          onChange={(e) => setFromDate(e.target.value)}
+          className="p-2 border rounded text-sm"
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={toDate}
+          onChange={(e) => setToDate(e.target.value)}
+          className="p-2 border rounded text-sm"
+          aria-label="To date"
+        />
+      </div>
+
+      {filteredEntries.length === 0 ? (
+        <p className="text-gray-500">No changes found</p>
+      ) : (
+        <div className="space-y-3 max-h-[36rem] overflow-y-auto">
+          {filteredEntries.map(entry => (
+            <div key={entry.id} className="border p-3 rounded-lg">
+              <div className="flex flex-col md:flex-row md:justify-between gap-2">
+                <div>
+                  <p className="font-bold">
+                    {entry.productName || entry.productId}
+                    <span className={`ml-2 text-xs px-2 py-1 rounded-full ${ACTION_STYLES[entry.action]}`}>
+                      {AUDIT_ACTIONS[entry.action]}
+                    </span>
+                    {entry.revertOf && <span className="ml-2 text-xs text-gray-500">(revert)</span>}
+                    {revertedIds.has(entry.id) && <span className="ml-2 text-xs text-gray-500">Reverted</span>}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {entry.createdBy || 'Unknown user'} · {entry.createdAt && new Date(entry.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                {canRevert && (
+                  <button
+                    onClick={() => handleRevert(entry)}
+                    disabled={revertingId === entry.id}
+                    className="self-start bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm transition-colors disabled:bg-gray-400"
+                  >
+                    {revertingId === entry.id ? 'Reverting...' : 'Revert'}
+                  </button>
+                )}
+              </div>
+
+              {entry.fields && (
+                <table className="mt-2 w-full text-sm">
+                  <tbody>
+                    {entry.fields.map(field => (
+                      <tr key={field} className="border-t">
+                        <td className="py-1 pr-2 font-medium w-1/5">{field}</td>
+                        <td className="py-1 pr-2 text-red-700 line-through break-all">{formatValue(field, entry.before?.[field])}</td>
+                        <td className="py-1 text-green-700 break-all">{formatValue(field, entry.after?.[field])}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {entries.length === limit && (
+        <button
+          onClick={() => setLimit(count => count + PAGE_SIZE)}
+          className="mt-4 text-blue-600 hover:underline text-sm"
+        >
+          Load older changes
+        </button>
+      )}
+    </div>
+  );
+}
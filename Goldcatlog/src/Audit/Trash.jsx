@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { getThumbnailUrl } from '../Products/images';
+import { formatWeight } from '../Products/schema';
+import { restoreProduct, purgeProduct, trimAuditLog } from './audit';
+
+// Admin list of deleted products, which can be restored or removed for good
+export default function Trash({ products, deletedProducts }) {
+  const { user } = useAuth();
+  const [busyId, setBusyId] = useState(null);
+
+  // While the owner has the admin panel open, history past its retention
+  // period is trimmed and the image files only it referred to are deleted
+  useEffect(() => {
+    trimAuditLog().catch(error => console.error('Error trimming change history:', error));
+  }, []);
+
+  const handleRestore = async (product) => {
+    setBusyId(product.id);
+    try {
+      await restoreProduct(product, products, user);
+    } catch (error) {
+      console.error('Error restoring product:', error);
+      alert(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (product) => {
+    if (!window.confirm(`Permanently delete ${product.name} and its images? This can't be undone.`)) return;
+    setBusyId(product.id);
+    try {
+      await purgeProduct(product);
+    } catch (error) {
+      console.error('Error deleting product:', error);
+      alert(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Trash ({deletedProducts.length})</h2>
+
+      {deletedProducts.length === 0 ? (
+        <p className="text-gray-500">The trash is empty</p>
+      ) : (
+        <ul className="divide-y max-h-96 overflow-y-auto">
+          {deletedProducts.map(product => (
+            <li key={product.id} className="py-2 flex items-center gap-3">
+              {getThumbnailUrl(product) ? (
+                <img src={getThumbnailUrl(product)} alt="" className="w-12 h-12 object-cover rounded" />
+              ) : (
+                <span className="w-12 h-12 bg-gray-100 rounded"></span>
+              )}
+              <div className="flex-grow">
+                <p className="font-medium">{product.name}</p>
+                <p className="text-sm text-gray-500">
+                  {formatWeight(product)} · Deleted {product.deletedAt && new Date(product.deletedAt).toLocaleString()}
+                  {product.deletedBy && ` by ${product.deletedBy}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleRestore(product)}
+                  disabled={busyId === product.id}
+                  className="bg-green-500 hover:bg-green-600 text-white px-3 py-1 rounded text-sm transition-colors disabled:bg-green-300"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => handlePurge(product)}
+                  disabled={busyId === product.id}
+                  className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded text-sm transition-colors disabled:bg-red-400"
+                >
+                  Delete Forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { ref, push, get, query, orderByChild, equalTo, endAt, update, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { getProductImages, deleteImageFiles } from '../Products/images';
+import { productSkus } from '../Products/variants';
+
+// Every product change made in the admin panel is appended to `auditLog/<id>`
+// as { productId, productName, action, fields, before, after, revertOf,
+// createdBy, createdAt }. Creates and restores have no `before`, deletes no
+// `after`; updates only keep the `fields` that changed. Deleted products are
+// moved to `deletedProducts/<id>` so they can be restored from the trash.
+// Entries are kept for AUDIT_RETENTION_DAYS, after which they're trimmed.
+export const AUDIT_ACTIONS = {
+  created: 'Created',
+  updated: 'Updated',
+  stock: 'Stock changed',
+  deleted: 'Deleted',
+  restored: 'Restored'
+};
+
+export const AUDIT_RETENTION_DAYS = 90;
+
+// Product values as stored, without the id the hooks add
+export const productValues = (product) => {
+  const { id: _id, deletedAt: _deletedAt, deletedBy: _deletedBy, ...values } = product;
+  return values;
+};
+
+// Compare stored values regardless of key order; missing and null are the same
+const stableJson = (value) => {
+  if (value == null) return 'null';
+  if (typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  return `{${Object.keys(value).sort().filter(key => value[key] != null)
+    .map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+};
+
+export const isSameValue = (a, b) => stableJson(a) === stableJson(b);
+
+// Top-level fields whose values differ between two versions of a product
+export const changedFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields].filter(field => !isSameValue(before?.[field], after?.[field])).sort();
+};
+
+const pickFields = (values, fields) => {
+  return Object.fromEntries(fields.map(field => [field, values?.[field] ?? null]));
+};
+
+// Database path and value for a new audit entry, so it can be written in the
+// same multi-path update as the change itself. Pass the product as it was
+// before and after the change (null when created or deleted).
+export const auditEntryUpdate = (productId, { action, before, after, revertOf }, user) => {
+  const key = push(ref(db, 'auditLog')).key;
+  const fields = before && after ? changedFields(before, after) : null;
+  return {
+    [`auditLog/${key}`]: {
+      productId,
+      productName: (after || before)?.name || null,
+      action,
+      fields,
+      before: fields ? pickFields(before, fields) : before,
+      after: fields ? pickFields(after, fields) : after,
+      revertOf: revertOf || null,
+      createdBy: user?.email || null,
+      createdAt: serverTimestamp()
+    }
+  };
+};
+
+// Update a product's fields and log the change; unchanged saves aren't logged
+export const productChangeUpdate = (product, values, action, user, revertOf) => {
+  const before = productValues(product);
+  const after = Object.fromEntries(Object.entries({ ...before, ...values }).filter(([, value]) => value != null));
+  if (changedFields(before, after).length === 0) return {};
+  return {
+    ...Object.fromEntries(Object.entries(values).map(([field, value]) => [`products/${product.id}/${field}`, value ?? null])),
+    ...auditEntryUpdate(product.id, { action, before, after, revertOf }, user)
+  };
+};
+
+// Move a product to the trash. Its images are kept so it can be restored.
+export const deleteProductUpdate = (product, user, revertOf) => ({
+  [`products/${product.id}`]: null,
+  [`deletedProducts/${product.id}`]: {
+    ...productValues(product),
+    deletedAt: serverTimestamp(),
+    deletedBy: user?.email || null
+  },
+  ...auditEntryUpdate(product.id, { action: 'deleted', before: productValues(product), after: null, revertOf }, user)
+});
+
+export const deleteProduct = async (product, user, revertOf) => {
+  await update(ref(db), deleteProductUpdate(product, user, revertOf));
+};
+
+// Put a product from the trash back in the catalog
+export const restoreProduct = async (deletedProduct, products, user, revertOf) => {
+  for (const sku of productSkus(deletedProduct)) {
+    const duplicateSku = products.find(p => productSkus(p).includes(sku));
+    if (duplicateSku) {
+      throw new Error(`SKU ${sku} is now used by ${duplicateSku.name}; change it before restoring`);
+    }
+  }
+  const values = productValues(deletedProduct);
+  await update(ref(db), {
+    [`products/${deletedProduct.id}`]: values,
+    [`deletedProducts/${deletedProduct.id}`]: null,
+    ...auditEntryUpdate(deletedProduct.id, { action: 'restored', before: null, after: values, revertOf }, user)
+  });
+};
+
+// Images a product has had at any point in its logged history
+const imageHistory = async (productId) => {
+  const snapshot = await get(query(ref(db, 'auditLog'), orderByChild('productId'), equalTo(productId)));
+  const images = [];
+  snapshot.forEach(child => {
+    const { before, after } = child.val();
+    images.push(...getProductImages(before), ...getProductImages(after));
+  });
+  return images;
+};
+
+// Remove a product from the trash for good, along with its image files
+export const purgeProduct = async (deletedProduct) => {
+  const images = [...getProductImages(deletedProduct), ...await imageHistory(deletedProduct.id)];
+  await update(ref(db), { [`deletedProducts/${deletedProduct.id}`]: null });
+  await deleteImageFiles([...new Map(images.map(image => [image.url, image])).values()]);
+};
+
+// Drop log entries older than the retention period, then delete the files of
+// images they referred to that no product, trashed product or remaining entry
+// still uses. Images removed by an edit are kept until then so it can be
+// reverted. Returns the number of entries trimmed.
+export const trimAuditLog = async (now = Date.now()) => {
+  const cutoff = now - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const snapshot = await get(query(ref(db, 'auditLog'), orderByChild('createdAt'), endAt(cutoff)));
+  if (!snapshot.exists()) return 0;
+
+  const updates = {};
+  const productIds = new Set();
+  const trimmedImages = [];
+  snapshot.forEach(child => {
+    const { productId, before, after } = child.val();
+    updates[`auditLog/${child.key}`] = null;
+    productIds.add(productId);
+    trimmedImages.push(...getProductImages(before), ...getProductImages(after));
+  });
+  await update(ref(db), updates);
+
+  const [productsSnapshot, deletedSnapshot] = await Promise.all([get(ref(db, 'products')), get(ref(db, 'deletedProducts'))]);
+  const inUse = new Set([
+    ...Object.values(productsSnapshot.val() || {}),
+    ...Object.values(deletedSnapshot.val() || {})
+  ].flatMap(getProductImages).map(image => image.url));
+  for (const productId of productIds) {
+    (await imageHistory(productId)).forEach(image => inUse.add(image.url));
+  }
+
+  const unused = trimmedImages.filter(image => !inUse.has(image.url));
+  await deleteImageFiles([...new Map(unused.map(image => [image.url, image])).values()]);
+  return Object.keys(updates).length;
+};
+
+// Fields an update touched that have been changed again since
+export const changedSince = (entry, product) => {
+  if (!entry.fields || !product) return [];
+  return entry.fields.filter(field => !isSameValue(entry.after?.[field], product[field]));
+};
+
+// Undo a logged change, logging the undo as a change of its own: creates and
+// restores are undone by moving the product to the trash, deletes by
+// restoring it, and updates by writing back the previous values
+export const revertChange = async (entry, { products, deletedProducts }, user) => {
+  const product = products.find(p => p.id === entry.productId);
+  const deletedProduct = deletedProducts.find(p => p.id === entry.productId);
+
+  if (!entry.after) {
+    if (!deletedProduct) {
+      throw new Error(`${entry.productName} is no longer in the trash`);
+    }
+    await restoreProduct(deletedProduct, products, user, entry.id);
+  } else if (!product) {
+    throw new Error(`${entry.productName} is in the trash; restore it first`);
+  } else if (!entry.before) {
+    await deleteProduct(product, user, entry.id);
+  } else {
+    const updates = productChangeUpdate(product, pickFields(entry.before, entry.fields), entry.action, user, entry.id);
+    if (Object.keys(updates).length === 0) {
+      throw new Error('Nothing to revert; the product already has these values');
+    }
+    await update(ref(db), updates);
+  }
+};
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import { ref, query, orderByKey, limitToLast, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to the most recent audit log entries, newest first
+export default function useAuditLog(limit) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    return onValue(query(ref(db, 'auditLog'), orderByKey(), limitToLast(limit)), (snapshot) => {
+      const entriesArray = [];
+      snapshot.forEach(child => {
+        entriesArray.push({ id: child.key, ...child.val() });
+      });
+      setEntries(entriesArray.reverse());
+    });
+  }, [limit]);
+
+  return entries;
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to the products in the trash, most recently deleted first. Pass
+// false to skip (only owners can read the trash).
+export default function useDeletedProducts(enabled = true) {
+  const [deletedProducts, setDeletedProducts] = useState([]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    return onValue(ref(db, 'deletedProducts'), (snapshot) => {
+      const data = snapshot.val();
+      const productsArray = data ? Object.entries(data).map(([id, item]) => ({ id, ...item })) : [];
+      setDeletedProducts(productsArray.sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0)));
+    });
+  }, [enabled]);
+
+  return deletedProducts;
+}
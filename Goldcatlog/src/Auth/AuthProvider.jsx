@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { onAuthStateChanged, signInWithEmailAndPassword, signOut as firebaseSignOut } from 'firebase/auth';
+import { ref, onValue } from 'firebase/database';
+import { auth, db } from '../Firebase/Config';
+import { ROLES } from './roles';
+import { AuthContext } from './AuthContext';
+
+// Admin sessions are forced to sign in again after this many hours
+const SESSION_MAX_HOURS = parseFloat(import.meta.env.VITE_ADMIN_SESSION_HOURS) || 12;
+
+export default function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [role, setRole] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  useEffect(() => {
+    return onAuthStateChanged(auth, (currentUser) => {
+      setUser(currentUser);
+      if (currentUser) {
+        // Keep loading until the role has been fetched
+        setIsLoading(true);
+      } else {
+        setRole(null);
+        setIsLoading(false);
+      }
+    });
+  }, []);
+
+  // Load the signed-in user's role from the database
+  useEffect(() => {
+    if (!user) return;
+
+    return onValue(ref(db, `roles/${user.uid}`), (snapshot) => {
+      const value = snapshot.val();
+      setRole(ROLES.includes(value) ? value : null);
+      setIsLoading(false);
+    }, (error) => {
+      console.error('Error loading role:', error);
+      setRole(null);
+      setIsLoading(false);
+    });
+  }, [user]);
+
+  // Sign staff out automatically once the session is older than SESSION_MAX_HOURS.
+  // Customer accounts have no role and stay signed in.
+  useEffect(() => {
+    if (!user || !role) return;
+
+    const signedInAt = new Date(user.metadata.lastSignInTime).getTime();
+    const remaining = signedInAt + SESSION_MAX_HOURS * 60 * 60 * 1000 - Date.now();
+    const expire = () => {
+      setSessionExpired(true);
+      firebaseSignOut(auth);
+    };
+
+    if (remaining <= 0) {
+      expire();
+      return;
+    }
+    const timer = setTimeout(expire, remaining);
+    return () => clearTimeout(timer);
+  }, [user, role]);
+
+  const signIn = async (email, password) => {
+    setSessionExpired(false);
+    await signInWithEmailAndPassword(auth, email, password);
+  };
+
+  const signOut = () => firebaseSignOut(auth);
+
+  return (
+    <AuthContext.Provider value={{ user, role, isLoading, sessionExpired, signIn, signOut }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+
+const ERROR_MESSAGES = {
+  'auth/invalid-credential': 'Incorrect email or password',
+  'auth/invalid-email': 'Please enter a valid email address',
+  'auth/user-disabled': 'This account has been disabled',
+  'auth/too-many-requests': 'Too many attempts, please try again later'
+};
+
+export default function Login() {
+  const { user, isLoading, sessionExpired, signIn } = useAuth();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const redirectTo = location.state?.from?.pathname || '/admin';
+
+  if (user && !isLoading) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      await signIn(email, password);
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(ERROR_MESSAGES[err.code] || 'Could not sign in, please try again');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-amber-50 to-orange-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full">
+        <h1 className="text-2xl font-bold text-amber-900 mb-6 text-center">Staff Sign In</h1>
+
+        {sessionExpired && !error && (
+          <div className="mb-4 p-3 bg-amber-100 text-amber-800 rounded">
+            Your session has expired. Please sign in again.
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-1">Email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full p-2 border rounded focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            autoComplete="username"
+            required
+          />
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium mb-1">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full p-2 border rounded focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+            autoComplete="current-password"
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-6 rounded-md transition-colors disabled:bg-amber-300"
+        >
+          {isSubmitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+}
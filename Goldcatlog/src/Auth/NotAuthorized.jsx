@@ -0,0 +1,35 @@
+import { Link } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+
+export default function NotAuthorized() {
+  const { user, signOut } = useAuth();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-amber-50 to-orange-50 p-4">
+      <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+        <h1 className="text-2xl font-bold text-amber-900 mb-2">Not Authorized</h1>
+        <p className="text-gray-600 mb-6">
+          {user
+            ? `${user.email} does not have access to this page. Ask the shop owner to assign you a role.`
+            : 'You need to sign in to access this page.'}
+        </p>
+        <div className="flex justify-center gap-3">
+          <Link
+            to="/"
+            className="bg-amber-500 hover:bg-amber-600 text-white px-6 py-2 rounded-md transition-colors"
+          >
+            Back to Catalog
+          </Link>
+          {user && (
+            <button
+              onClick={signOut}
+              className="bg-gray-500 hover:bg-gray-600 text-white px-6 py-2 rounded-md transition-colors"
+            >
+              Sign Out
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
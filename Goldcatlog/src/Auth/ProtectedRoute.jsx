@@ -0,0 +1,26 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+
+// Only render children for signed-in users whose role is in `roles`
+export default function ProtectedRoute({ roles, children }) {
+  const { user, role, isLoading } = useAuth();
+  const location = useLocation();
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-amber-500"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (roles && !roles.includes(role)) {
+    return <Navigate to="/not-authorized" replace />;
+  }
+
+  return children;
+}
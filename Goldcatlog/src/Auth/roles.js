@@ -0,0 +1,23 @@
+// Staff roles are stored in the database under `roles/<uid>` and can only be
+// assigned by an owner (see database.rules.json).
+export const ROLES = ['owner', 'staff', 'viewer'];
+
+const PERMISSIONS = {
+  owner: [
+    'products:create', 'products:edit', 'products:stock', 'products:delete', 'products:migrate',
+    'products:import', 'products:export', 'categories:manage', 'collections:manage', 'search:manage', 'rates:publish',
+    'settings:edit', 'enquiries:view', 'enquiries:manage', 'quotes:view', 'orders:view', 'orders:manage',
+    'audit:view', 'audit:revert'
+  ],
+  staff: [
+    'products:create', 'products:edit', 'products:stock', 'products:import', 'products:export', 'categories:manage',
+    'collections:manage', 'search:manage', 'rates:publish', 'enquiries:view', 'enquiries:manage', 'quotes:view',
+    'orders:view', 'orders:manage', 'audit:view'
+  ],
+  viewer: ['enquiries:view', 'quotes:view', 'orders:view']
+};
+
+// Check whether a role is allowed to perform an action in the admin panel
+export const can = (role, permission) => {
+  return Boolean(role && PERMISSIONS[role]?.includes(permission));
+};
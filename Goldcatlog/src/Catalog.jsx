@@ -1,81 +1,262 @@
-import { useState, useEffect } from 'react';
-import { ref, onValue } from 'firebase/database';
-import { db } from './Firebase/Config';
+import { useState, useEffect, useMemo, useCallback, useDeferredValue } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { FaWhatsapp } from 'react-icons/fa';
+import useGoldRates from './Rates/useGoldRates';
+import { rateForPurity, isRateStale, RATE_STALE_HOURS } from './Rates/rates';
+import { DEFAULT_PURITY, isGold, grossWeightInGrams, netWeightInGrams, formatWeight, formatPurity } from './Products/schema';
+import usePricingSettings from './Pricing/usePricingSettings';
+import ImageGallery from './Products/ImageGallery';
+import VariantPicker from './Products/VariantPicker';
+import { findVariant, applyVariant, weightSummary } from './Products/variants';
+import { getProductImages, getCoverIndex, getThumbnailUrl } from './Products/images';
+import { calculatePriceBreakup } from './Pricing/pricing';
+import useCurrencyRates from './Pricing/useCurrencyRates';
+import { BASE_CURRENCY, CURRENCIES, formatCurrency, loadSavedCurrency, saveCurrency } from './Pricing/currency';
+import useCatalogFilters from './Products/useCatalogFilters';
+import useShopSettings from './Shop/useShopSettings';
+import EnquiryForm from './Enquiries/EnquiryForm';
+import { buildWhatsAppLink } from './Enquiries/enquiries';
+import { useAuth } from './Auth/AuthContext';
+import useWishlists from './Customers/useWishlists';
+import CustomerSignIn from './Customers/CustomerSignIn';
+import WishlistPicker from './Customers/WishlistPicker';
+import { FAVORITES_LIST_ID, loadLocalFavorites, saveLocalFavorites, setWishlistItem } from './Customers/wishlists';
+import useCategories from './Categories/useCategories';
+import CategoryHeader from './Categories/CategoryHeader';
+import { flattenCategoryTree, childCategories, findCategoryBySlug, matchCategory, categoryMatcher, categoryKey } from './Categories/categories';
+import useCollections from './Collections/useCollections';
+import CollectionHeader from './Collections/CollectionHeader';
+import { findCollectionBySlug, collectionMatcher } from './Collections/collections';
+import FacetSidebar from './Products/FacetSidebar';
+import { getTags, tagLabel } from './Products/tags';
+import useSynonyms from './Search/useSynonyms';
+import SearchBox from './Search/SearchBox';
+import Highlight from './Search/Highlight';
+import { buildSearchIndex, searchProducts, searchSuggestions } from './Search/search';
+import { FACETS, parseFacetSelection, serializeFacetValues, matchesFacets, facetCounts } from './Products/facets';
+import useProducts from './Products/useProducts';
+import useProduct from './Products/useProduct';
+import VirtualGrid from './Products/VirtualGrid';
+import useConnectionStatus from './Offline/useConnectionStatus';
+import useInstallPrompt from './Offline/useInstallPrompt';
+import OfflineBanner from './Offline/OfflineBanner';
+import useCart from './Quotes/useCart';
+import QuoteCart from './Quotes/QuoteCart';
+import { cartCount } from './Quotes/cart';
+import useHolds from './Orders/useHolds';
+import { applyHolds, stockLabel } from './Orders/orders';
+import ReserveForm from './Orders/ReserveForm';
+import useExchangeSettings from './Exchange/useExchangeSettings';
+import ExchangeCalculator from './Exchange/ExchangeCalculator';
+import NotificationBell from './Customers/NotificationBell';
+import useCompare from './Compare/useCompare';
+import CompareToggle from './Compare/CompareToggle';
+import { MAX_COMPARE, comparePath } from './Compare/compare';
+
+// Products loaded per page while browsing without filters
+const PRODUCTS_PAGE_SIZE = 48;
 
 export default function Catalog() {
-  const [products, setProducts] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [categoryFilter, setCategoryFilter] = useState('');
-  const [weightRange, setWeightRange] = useState({ min: 0, max: 1000 });
-  const [stockFilter, setStockFilter] = useState('all');
-  const [isLoading, setIsLoading] = useState(true);
-  const [sortBy, setSortBy] = useState('featured');
-  const [viewType, setViewType] = useState('grid');
-  const [selectedProduct, setSelectedProduct] = useState(null);
-  const [favorites, setFavorites] = useState([]);
+  const { id: productId, slug: categorySlug, collection: collectionSlug } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { filters, setFilters, clearFilters: clearUrlFilters } = useCatalogFilters();
+  const { searchTerm, categoryFilter, stockFilter, sortBy, viewType } = filters;
   const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
+  const [pageCount, setPageCount] = useState(1);
+  // Plain browsing loads products a page at a time as the customer scrolls;
+  // searching, filtering or sorting needs the whole catalog
+  const needsAllProducts = Boolean(
+    searchTerm || categorySlug || collectionSlug || categoryFilter || filters.tags || filters.purity || filters.metal ||
+    stockFilter !== 'all' || filters.minWeight != null || filters.maxWeight != null || sortBy !== 'featured' ||
+    showFavoritesOnly
+  );
+  const { products: loadedProducts, isLoading, isComplete, isFromCache, updatedAt } = useProducts(
+    needsAllProducts ? null : pageCount * PRODUCTS_PAGE_SIZE
+  );
+  // Pieces held for customer reservations and orders count as taken
+  const holds = useHolds();
+  const products = useMemo(
+    () => loadedProducts.map(product => applyHolds(product, holds[product.id])),
+    [loadedProducts, holds]
+  );
+  const isOnline = useConnectionStatus();
+  const installApp = useInstallPrompt();
+  const [weightBounds, setWeightBounds] = useState({ min: 0, max: 1000 });
+  const { user } = useAuth();
+  const [localFavorites, setLocalFavorites] = useState(loadLocalFavorites);
+  // Once they're in the account, the device's favorites are gone, so the next
+  // guest on this device starts with none
+  const clearLocalFavorites = useCallback(() => setLocalFavorites([]), []);
+  const { wishlists, favorites: cloudFavorites } = useWishlists({ onFavoritesMerged: clearLocalFavorites });
+  const [isSignInVisible, setIsSignInVisible] = useState(false);
   const [isQuickViewVisible, setIsQuickViewVisible] = useState(false);
   const [quickViewProduct, setQuickViewProduct] = useState(null);
   const [animateItems, setAnimateItems] = useState(false);
   const [isCalculatorVisible, setIsCalculatorVisible] = useState(false);
   const [calculatorProduct, setCalculatorProduct] = useState(null);
-  const [goldRate, setGoldRate] = useState(0);
-  const [makingCharge, setMakingCharge] = useState(10); // Default making charge percentage
+  const [selectedVariants, setSelectedVariants] = useState({});
+  const { rates: goldRates } = useGoldRates();
+  const pricingSettings = usePricingSettings();
+  const currencyRates = useCurrencyRates();
+  const [currency, setCurrency] = useState(loadSavedCurrency);
+  const shop = useShopSettings();
+  const [enquiryProduct, setEnquiryProduct] = useState(null);
+  const [reserveItem, setReserveItem] = useState(null);
+  const exchangeSettings = useExchangeSettings();
+  const [isExchangeVisible, setIsExchangeVisible] = useState(false);
+  const compare = useCompare();
+  const [exchangeItem, setExchangeItem] = useState(null);
+  const cart = useCart();
+  const [isCartVisible, setIsCartVisible] = useState(false);
+  const [cartMessage, setCartMessage] = useState('');
+  const categories = useCategories();
+  const collections = useCollections();
+  const synonymGroups = useSynonyms();
 
+  // Animate items after loading
   useEffect(() => {
-    const productsRef = ref(db, 'products');
-    onValue(productsRef, (snapshot) => {
-      const data = snapshot.val();
-      const productsArray = data 
-        ? Object.entries(data).map(([id, item]) => ({ id, ...item }))
-        : [];
-      setProducts(productsArray);
-      setIsLoading(false);
-      
-      // Animate items after loading
-      setTimeout(() => {
-        setAnimateItems(true);
-      }, 300);
-    });
-    
-    // Load favorites from localStorage
-    const savedFavorites = localStorage.getItem('goldShopFavorites');
-    if (savedFavorites) {
-      try {
-        setFavorites(JSON.parse(savedFavorites));
-      } catch (e) {
-        console.error("Error loading favorites", e);
-      }
+    if (isLoading) return;
+    const timer = setTimeout(() => {
+      setAnimateItems(true);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [isLoading]);
+
+  // Signed-in customers use favorites synced to their account
+  const favorites = user ? cloudFavorites : localFavorites;
+
+  // Category pages live at /category/:slug; the older ?category= filter still
+  // works and falls back to matching product category names when no managed
+  // categories have been set up.
+  const activeCategory = categorySlug
+    ? findCategoryBySlug(categories, categorySlug)
+    : categoryFilter ? findCategoryBySlug(categories, categoryFilter) || matchCategory(categories, categoryFilter) : null;
+  const legacyCategories = [...new Set(products.map(product => product.category).filter(Boolean))];
+  const matchesActiveCategory = useMemo(() => {
+    if (activeCategory) return categoryMatcher(categories, activeCategory);
+    const legacyKey = categoryKey(categorySlug || categoryFilter);
+    return (product) => !legacyKey || categoryKey(product.category) === legacyKey;
+  }, [categories, activeCategory, categorySlug, categoryFilter]);
+
+  // Collection landing pages live at /collection/:collection
+  const activeCollection = collectionSlug ? findCollectionBySlug(collections, collectionSlug) : null;
+  const matchesActiveCollection = useMemo(() => {
+    return activeCollection ? collectionMatcher(activeCollection) : () => !collectionSlug;
+  }, [activeCollection, collectionSlug]);
+
+  const basePath = categorySlug ? `/category/${categorySlug}` : collectionSlug ? `/collection/${collectionSlug}` : '';
+
+  // Current query string without the category filter
+  const searchWithoutCategory = () => {
+    const search = new URLSearchParams(location.search);
+    search.delete('category');
+    return search;
+  };
+
+  const toLocation = (pathname, search) => {
+    const query = search.toString();
+    return { pathname, search: query ? `?${query}` : '' };
+  };
+
+  // Link to a category page (or the whole catalog), keeping the other filters.
+  // Inside a collection, categories narrow the collection instead.
+  const categoryLink = (category) => {
+    const search = searchWithoutCategory();
+    if (collectionSlug) {
+      if (category) search.set('category', category.slug);
+      return toLocation(basePath, search);
     }
-  }, []);
+    return toLocation(category ? `/category/${category.slug}` : '/', search);
+  };
 
-  // Get all unique categories
-  const categories = [...new Set(products.map(product => product.category))];
+  const collectionLink = (collection) => {
+    return toLocation(collection ? `/collection/${collection.slug}` : '/', searchWithoutCategory());
+  };
   
   // Calculate weight range for the slider
   useEffect(() => {
     if (products.length > 0) {
       const weights = products
-        .filter(p => p.weight)
-        .map(p => parseFloat(p.weight.replace(/[^\d.-]/g, '')))
-        .filter(p => !isNaN(p));
+        .map(grossWeightInGrams)
+        .filter(weight => weight != null);
       
       if (weights.length > 0) {
         const minWeight = Math.floor(Math.min(...weights));
         const maxWeight = Math.ceil(Math.max(...weights));
-        setWeightRange({ min: minWeight, max: maxWeight });
+        setWeightBounds({ min: minWeight, max: maxWeight });
       }
     }
   }, [products]);
 
-  // Filter products based on all criteria
-  const filteredProducts = products.filter(product => {
+  // The selected weight range comes from the URL, defaulting to all weights
+  const weightRange = {
+    min: filters.minWeight ?? weightBounds.min,
+    max: filters.maxWeight ?? weightBounds.max
+  };
+
+  const setSearchTerm = (value) => setFilters({ searchTerm: value }, { replace: true });
+  const setCategoryFilter = (value) => {
+    if (categories.length > 0 && collectionSlug) {
+      setFilters({ categoryFilter: categories.find(category => category.id === value)?.slug || '' });
+    } else if (categories.length > 0) {
+      navigate(categoryLink(categories.find(category => category.id === value)));
+    } else {
+      setFilters({ categoryFilter: value });
+    }
+  };
+  const selectedFacets = useMemo(
+    () => parseFacetSelection({ tags: filters.tags, purity: filters.purity, metal: filters.metal }),
+    [filters.tags, filters.purity, filters.metal]
+  );
+  const toggleFacet = (key, value) => {
+    const selected = selectedFacets[key];
+    const next = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+    setFilters({ [key]: serializeFacetValues(next) });
+  };
+  const setStockFilter = (value) => setFilters({ stockFilter: value });
+  const setSortBy = (value) => setFilters({ sortBy: value });
+  const setViewType = (value) => setFilters({ viewType: value });
+  const setWeightRange = (range) => setFilters({
+    minWeight: range.min === weightBounds.min ? null : range.min,
+    maxWeight: range.max === weightBounds.max ? null : range.max
+  }, { replace: true });
+
+  // The product modal is driven by the /product/:id route so it can be linked to.
+  // A linked product that isn't among the loaded pages is fetched on its own;
+  // undefined means it is still loading and null that it doesn't exist.
+  const loadedProduct = productId ? products.find(product => product.id === productId) : undefined;
+  const linkedProduct = applyHolds(useProduct(productId && !loadedProduct ? productId : null), holds[productId]);
+  const selectedProduct = productId ? loadedProduct || linkedProduct : null;
+
+  useEffect(() => {
+    if (!productId) return;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = 'auto';
+    };
+  }, [productId]);
+
+  // Filtering and sorting are memoized and use a deferred copy of the search
+  // term, so the search box stays responsive while results catch up
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+
+  // Search results by product id with their relevance and matched words, or
+  // null when there is no search
+  const searchIndex = useMemo(() => buildSearchIndex(products), [products]);
+  const searchResults = useMemo(
+    () => searchProducts(searchIndex, deferredSearchTerm, synonymGroups),
+    [searchIndex, deferredSearchTerm, synonymGroups]
+  );
+  const matchedWords = (product) => searchResults?.get(product.id)?.matchedWords;
+
+  const favoriteIds = showFavoritesOnly ? favorites : null;
+
+  // Products matching the search, stock, weight, favorites and collection filters.
+  // Category and facet filters are applied on top so the sidebar can count them.
+  const baseProducts = useMemo(() => products.filter(product => {
     // Search term filter
-    const matchesSearch = product.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         product.description?.toLowerCase().includes(searchTerm.toLowerCase());
-    
-    // Category filter
-    const matchesCategory = categoryFilter ? product.category === categoryFilter : true;
+    const matchesSearch = !searchResults || searchResults.has(product.id);
     
     // Stock filter
     const matchesStock = 
@@ -85,45 +266,72 @@ export default function Catalog() {
     
     // Weight filter (if weight exists)
     let matchesWeight = true;
-    if (product.weight) {
-      const productWeight = parseFloat(product.weight.replace(/[^\d.-]/g, ''));
-      if (!isNaN(productWeight)) {
-        matchesWeight = productWeight >= weightRange.min && productWeight <= weightRange.max;
-      }
+    const productWeight = grossWeightInGrams(product);
+    if (productWeight != null) {
+      matchesWeight = productWeight >= weightRange.min && productWeight <= weightRange.max;
     }
     
     // Favorites filter
-    const matchesFavorites = showFavoritesOnly ? favorites.includes(product.id) : true;
+    const matchesFavorites = favoriteIds ? favoriteIds.includes(product.id) : true;
     
-    return matchesSearch && matchesCategory && matchesStock && matchesWeight && matchesFavorites;
-  });
+    return matchesSearch && matchesStock && matchesWeight && matchesFavorites && matchesActiveCollection(product);
+  }), [products, searchResults, stockFilter, weightRange.min, weightRange.max, favoriteIds, matchesActiveCollection]);
+
+  const categoryProducts = useMemo(() => baseProducts.filter(matchesActiveCategory), [baseProducts, matchesActiveCategory]);
+  const filteredProducts = useMemo(
+    () => categoryProducts.filter(product => matchesFacets(product, selectedFacets)),
+    [categoryProducts, selectedFacets]
+  );
+
+  // Live counts: each facet counts what its values would give combined with
+  // everything else selected, and subcategories count the faceted products
+  const facetOptions = useMemo(() => Object.fromEntries(
+    Object.keys(FACETS).map(key => [key, facetCounts(categoryProducts, selectedFacets, key)])
+  ), [categoryProducts, selectedFacets]);
+  const categoryOptions = useMemo(() => {
+    const facetedProducts = baseProducts.filter(product => matchesFacets(product, selectedFacets));
+    return childCategories(categories, activeCategory?.id).map(category => ({
+      category,
+      count: facetedProducts.filter(categoryMatcher(categories, category)).length
+    }));
+  }, [baseProducts, selectedFacets, categories, activeCategory]);
 
   // Sort the filtered products
-  const sortedProducts = [...filteredProducts].sort((a, b) => {
+  const sortedProducts = useMemo(() => [...filteredProducts].sort((a, b) => {
     switch (sortBy) {
       case 'weightLowToHigh':
-        return (parseFloat(a.weight?.replace(/[^\d.-]/g, '') || 0) - 
-                parseFloat(b.weight?.replace(/[^\d.-]/g, '') || 0));
+        return (grossWeightInGrams(a) || 0) - (grossWeightInGrams(b) || 0);
       case 'weightHighToLow':
-        return (parseFloat(b.weight?.replace(/[^\d.-]/g, '') || 0) - 
-                parseFloat(a.weight?.replace(/[^\d.-]/g, '') || 0));
+        return (grossWeightInGrams(b) || 0) - (grossWeightInGrams(a) || 0);
       case 'nameAZ':
         return a.name?.localeCompare(b.name);
       case 'nameZA':
         return b.name?.localeCompare(a.name);
+      case 'relevance':
+        return (searchResults?.get(b.id)?.score || 0) - (searchResults?.get(a.id)?.score || 0);
       default:
         return 0; // Keep original order for 'featured'
     }
-  });
+  }), [filteredProducts, sortBy, searchResults]);
+
+  // Infinite scroll: load the next page once the end of the list is in view
+  const loadMoreProducts = useCallback(() => {
+    if (!needsAllProducts && !isComplete && products.length >= pageCount * PRODUCTS_PAGE_SIZE) {
+      setPageCount(count => count + 1);
+    }
+  }, [needsAllProducts, isComplete, products.length, pageCount]);
 
   const openProductModal = (product) => {
-    setSelectedProduct(product);
-    document.body.style.overflow = 'hidden';
+    navigate({ pathname: `${basePath}/product/${product.id}`, search: location.search }, { state: { fromCatalog: true } });
   };
 
   const closeProductModal = () => {
-    setSelectedProduct(null);
-    document.body.style.overflow = 'auto';
+    // Go back when the modal was opened from the catalog so history stays clean
+    if (location.state?.fromCatalog) {
+      navigate(-1);
+    } else {
+      navigate({ pathname: basePath || '/', search: location.search });
+    }
   };
   
   const showQuickView = (e, product) => {
@@ -139,14 +347,24 @@ export default function Catalog() {
     }, 300); // Wait for animation to complete
   };
   
-  const toggleFavorite = (e, productId) => {
+  const toggleFavorite = async (e, productId) => {
     e.stopPropagation();
+    if (user) {
+      try {
+        await setWishlistItem(user.uid, FAVORITES_LIST_ID, productId, !favorites.includes(productId));
+      } catch (error) {
+        console.error('Error updating favorites:', error);
+        alert(error.message);
+      }
+      return;
+    }
+
     const newFavorites = favorites.includes(productId)
       ? favorites.filter(id => id !== productId)
       : [...favorites, productId];
     
-    setFavorites(newFavorites);
-    localStorage.setItem('goldShopFavorites', JSON.stringify(newFavorites));
+    setLocalFavorites(newFavorites);
+    saveLocalFavorites(newFavorites);
   };
 
   // Show gold price calculator
@@ -166,31 +384,83 @@ export default function Catalog() {
     document.body.style.overflow = 'auto';
   };
   
-  // Calculate the estimated price based on weight and current gold rate
-  const calculatePrice = (weight, purity = 22) => {
-    // Extract numeric value from weight string
-    const weightValue = parseFloat(weight?.replace(/[^\d.-]/g, '') || 0);
-    
-    // Calculate the base price (weight * gold rate * purity ratio)
-    const purityRatio = purity / 24;
-    const basePrice = weightValue * goldRate * purityRatio;
-    
-    // Add making charges
-    const makingChargeAmount = (basePrice * makingCharge) / 100;
-    
-    return {
-      basePrice,
-      makingChargeAmount,
-      totalPrice: basePrice + makingChargeAmount
-    };
+  // The variant chosen for a product in the modal or quick view, remembered per product
+  const variantFor = (product) => findVariant(product, selectedVariants[product.id]);
+
+  const selectVariant = (product, variantId) => {
+    setSelectedVariants(prev => ({ ...prev, [product.id]: variantId }));
+  };
+
+  // The product with its selected variant's weight, purity and stock applied
+  const withSelectedVariant = (product) => applyVariant(product, variantFor(product));
+
+  // Add a piece to the quote cart in its selected variant
+  const addToQuote = (e, product) => {
+    if (e) e.stopPropagation();
+    cart.addItem(product.id, variantFor(product)?.id);
+    setCartMessage(`${product.name} added to your quote`);
+    setTimeout(() => setCartMessage(''), 3000);
+  };
+
+  // Itemized price breakup for the selected variant at the shop's published gold rate and charges
+  const calculatePrice = (product) => {
+    return calculatePriceBreakup(withSelectedVariant(product), goldRates, pricingSettings);
+  };
+
+  // Format a rupee amount in the customer's chosen currency
+  const formatPrice = (amount) => formatCurrency(amount, currency, currencyRates);
+
+  const changeCurrency = (newCurrency) => {
+    setCurrency(newCurrency);
+    saveCurrency(newCurrency);
+  };
+
+  // Estimated rupee price of a piece, or null when it can't be priced from the gold rate
+  const estimatedPrice = (item) => {
+    const price = calculatePriceBreakup(item, goldRates, pricingSettings);
+    return isGold(item) && price.weight > 0 && price.rate > 0 ? price.totalPrice : null;
+  };
+
+  const toggleCompare = (product) => {
+    try {
+      compare.toggle(product.id);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Old gold exchange calculator, offset against a piece when opened from one
+  const showExchangeCalculator = (item) => {
+    setExchangeItem(item);
+    setIsExchangeVisible(true);
+  };
+
+  // WhatsApp link with the product's details and estimated price prefilled
+  const whatsAppLinkFor = (product) => {
+    const item = withSelectedVariant(product);
+    const price = estimatedPrice(item);
+    return buildWhatsAppLink(shop.whatsapp, {
+      product: item,
+      weightText: formatWeight(item),
+      priceText: price === null ? null : formatPrice(price)
+    });
   };
 
+  const calculatorItem = calculatorProduct && withSelectedVariant(calculatorProduct);
+  const calculatorPurity = calculatorItem?.purity || DEFAULT_PURITY;
+
+  const selectedItem = selectedProduct && withSelectedVariant(selectedProduct);
+  const quickViewItem = quickViewProduct && withSelectedVariant(quickViewProduct);
+
   // Clear all filters
   const clearFilters = () => {
-    setSearchTerm('');
-    setCategoryFilter('');
-    setStockFilter('all');
-    setSortBy('featured');
+    if (categorySlug) {
+      navigate('/');
+    } else if (collectionSlug) {
+      navigate(basePath);
+    } else {
+      clearUrlFilters();
+    }
     setShowFavoritesOnly(false);
   };
 
@@ -199,40 +469,86 @@ export default function Catalog() {
       <div className="container mx-auto p-4 max-w-7xl">
         {/* Header with gold shop branding */}
         <header className="text-center py-8 mb-6">
+          {/* Customer account */}
+          <div className="flex justify-end items-center gap-3 mb-4 text-sm">
+            {installApp && (
+              <button
+                onClick={installApp}
+                className="text-amber-700 hover:text-amber-900 hover:underline"
+              >
+                Install app
+              </button>
+            )}
+            <button
+              onClick={() => setIsCartVisible(true)}
+              className="text-amber-700 hover:text-amber-900 hover:underline"
+            >
+              My Quote{cart.items.length > 0 && ` (${cartCount(cart.items)})`}
+            </button>
+            <button
+              onClick={() => showExchangeCalculator(null)}
+              className="text-amber-700 hover:text-amber-900 hover:underline"
+            >
+              Old Gold Exchange
+            </button>
+            <Link to="/rates" className="text-amber-700 hover:text-amber-900 hover:underline">
+              Rate Trends
+            </Link>
+            {user ? (
+              <>
+                <Link to="/orders" className="text-amber-700 hover:text-amber-900 hover:underline">
+                  My Orders
+                </Link>
+                <Link to="/wishlists" className="text-amber-700 hover:text-amber-900 hover:underline">
+                  My Wishlists
+                </Link>
+                <NotificationBell rates={goldRates} />
+              </>
+            ) : (
+              <button
+                onClick={() => setIsSignInVisible(true)}
+                className="text-amber-700 hover:text-amber-900 hover:underline"
+              >
+                Sign in to sync favorites
+              </button>
+            )}
+          </div>
           <h1 className="text-4xl md:text-5xl font-bold mb-2 text-amber-800">
             <span className="text-yellow-500">✦</span> Gold Shop Collection <span className="text-yellow-500">✦</span>
           </h1>
           <p className="text-lg text-amber-700">Discover our exquisite selection of fine gold jewelry</p>
         </header>
 
+        <OfflineBanner isOnline={isOnline} isFromCache={isFromCache} updatedAt={updatedAt} />
+
         {/* Filters section */}
         <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
           <div className="flex flex-col md:flex-row gap-4 mb-4">
             {/* Search input */}
-            <div className="flex-grow relative">
-              <input
-                type="text"
-                placeholder="Search luxury gold items..."
+            <div className="flex-grow">
+              <SearchBox
                 value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full p-3 pl-10 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                onChange={setSearchTerm}
+                suggestions={searchSuggestions(searchIndex, searchResults, searchTerm)}
+                onSelectProduct={openProductModal}
               />
-              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 absolute left-3 top-3.5 text-amber-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-              </svg>
             </div>
 
             {/* Category filter */}
             <div className="md:w-48">
               <select
-                value={categoryFilter}
+                value={categories.length > 0 ? activeCategory?.id || '' : categoryFilter}
                 onChange={(e) => setCategoryFilter(e.target.value)}
                 className="w-full p-3 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500 bg-white"
               >
                 <option value="">All Categories</option>
-                {categories.map(category => (
-                  <option key={category} value={category}>{category}</option>
-                ))}
+                {categories.length > 0
+                  ? flattenCategoryTree(categories).map(category => (
+                    <option key={category.id} value={category.id}>{'— '.repeat(category.depth)}{category.name}</option>
+                  ))
+                  : legacyCategories.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
               </select>
             </div>
 
@@ -257,6 +573,7 @@ export default function Catalog() {
                 className="w-full p-3 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500 bg-white"
               >
                 <option value="featured">Featured</option>
+                <option value="relevance">Relevance</option>
                 <option value="weightLowToHigh">Weight: Low to High</option>
                 <option value="weightHighToLow">Weight: High to Low</option>
                 <option value="nameAZ">Name: A-Z</option>
@@ -293,7 +610,7 @@ export default function Catalog() {
               <input
                 type="range"
                 min="0"
-                max={weightRange.max > 0 ? weightRange.max : 1000}
+                max={weightBounds.max > 0 ? weightBounds.max : 1000}
                 value={weightRange.min}
                 onChange={(e) => setWeightRange({...weightRange, min: parseInt(e.target.value)})}
                 className="w-full h-2 bg-amber-200 rounded-lg appearance-none cursor-pointer"
@@ -301,7 +618,7 @@ export default function Catalog() {
               <input
                 type="range"
                 min="0"
-                max={weightRange.max > 0 ? weightRange.max : 1000}
+                max={weightBounds.max > 0 ? weightBounds.max : 1000}
                 value={weightRange.max}
                 onChange={(e) => setWeightRange({...weightRange, max: parseInt(e.target.value)})}
                 className="w-full h-2 bg-amber-200 rounded-lg appearance-none cursor-pointer"
@@ -322,6 +639,18 @@ export default function Catalog() {
             </button>
 
             <div className="flex items-center gap-4">
+              <label className="flex items-center text-amber-800 text-sm">
+                Currency:
+                <select
+                  value={currency}
+                  onChange={(e) => changeCurrency(e.target.value)}
+                  className="ml-2 p-1 border border-amber-300 rounded focus:ring-2 focus:ring-amber-500 focus:border-amber-500 bg-white"
+                >
+                  {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                    <option key={code} value={code}>{code} – {label}</option>
+                  ))}
+                </select>
+              </label>
               <span className="text-amber-800 text-sm">View:</span>
               <button
                 onClick={() => setViewType('grid')}
@@ -352,184 +681,275 @@ export default function Catalog() {
           </div>
         ) : (
           <>
-            {/* Results info */}
-            <div className="mb-6 flex justify-between items-center">
-              <h2 className="text-lg font-medium text-amber-800">
-                {sortedProducts.length} {sortedProducts.length === 1 ? 'item' : 'items'} found
-              </h2>
-            </div>
+            {collectionSlug ? (
+              <CollectionHeader collections={collections} collection={activeCollection} linkTo={collectionLink} />
+            ) : (
+              <CategoryHeader categories={categories} category={activeCategory} linkTo={categoryLink} />
+            )}
+            {!categorySlug && !collectionSlug && (
+              <CollectionHeader collections={collections} collection={null} linkTo={collectionLink} />
+            )}
 
-            {/* No results message */}
-            {sortedProducts.length === 0 && (
-              <div className="text-center py-12">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mx-auto text-amber-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                <h3 className="text-xl font-bold text-amber-800 mb-2">No products found</h3>
-                <p className="text-amber-600">Try adjusting your search or filter criteria</p>
+            <div className="flex flex-col md:flex-row gap-6">
+              <div className="md:w-60 shrink-0">
+                <FacetSidebar
+                  categoryOptions={categoryOptions}
+                  categoryLink={categoryLink}
+                  facetOptions={facetOptions}
+                  selection={selectedFacets}
+                  onToggle={toggleFacet}
+                  showCounts={isComplete}
+                />
               </div>
-            )}
 
-            {/* Products display */}
-            {viewType === 'grid' ? (
-              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                {sortedProducts.map((product) => (
-                  <div 
-                    key={product.id} 
-                    className={`group bg-white rounded-xl overflow-hidden shadow-md hover:shadow-xl transition-all duration-300 transform ${animateItems ? 'opacity-100' : 'opacity-0'} ${animateItems ? 'translate-y-0' : 'translate-y-4'} hover:-translate-y-1`}
-                    style={{ transition: 'opacity 0.5s ease, transform 0.5s ease' }}
-                    onClick={() => openProductModal(product)}
-                  >
-                    <div className="relative overflow-hidden h-64">
-                      {product.imageUrl ? (
-                        <img
-                          src={product.imageUrl}
-                          alt={product.name}
-                          className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
-                          loading="lazy"
-                        />
-                      ) : (
-                        <div className="w-full h-full flex items-center justify-center bg-amber-50">
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 text-amber-200" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                          </svg>
-                        </div>
-                      )}
-                      {product.inStock === false && (
-                        <div className="absolute top-2 right-2 bg-red-500 text-white text-xs font-bold px-3 py-1 rounded-full">
-                          Out of Stock
-                        </div>
-                      )}
-                      <button
-                        onClick={(e) => toggleFavorite(e, product.id)}
-                        className="absolute top-2 left-2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
-                        aria-label={favorites.includes(product.id) ? "Remove from favorites" : "Add to favorites"}
-                      >
-                        <svg 
-                          xmlns="http://www.w3.org/2000/svg" 
-                          className={`h-5 w-5 ${favorites.includes(product.id) ? 'text-amber-500 fill-current' : 'text-gray-400'}`} 
-                          viewBox="0 0 24 24" 
-                          stroke="currentColor"
-                          fill="none"
-                        >
-                          <path 
-                            strokeLinecap="round" 
-                            strokeLinejoin="round" 
-                            strokeWidth={favorites.includes(product.id) ? 0 : 2} 
-                            d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" 
-                          />
-                        </svg>
-                      </button>
-                      <button
-                        onClick={(e) => showQuickView(e, product)}
-                        className="absolute bottom-2 right-2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
-                        aria-label="Quick view"
-                      >
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-amber-700" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                        </svg>
-                      </button>
-                      <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/70 to-transparent p-4 text-white transform translate-y-full group-hover:translate-y-0 transition-transform duration-300">
-                        <p className="font-medium">Click to view details</p>
-                      </div>
-                    </div>
-                    <div className="p-4">
-                      <h3 className="font-bold text-xl mb-1 text-amber-900 group-hover:text-amber-600 transition-colors">{product.name}</h3>
-                      <p className="text-amber-700 mb-2">{product.weight}</p>
-                      {product.category && (
-                        <span className="inline-block mt-2 bg-amber-100 text-amber-800 text-xs px-2 py-1 rounded">
-                          {product.category}
-                        </span>
-                      )}
-                    </div>
+              <div className="flex-grow min-w-0">
+                {/* Results info */}
+                <div className="mb-6 flex justify-between items-center">
+                  <h2 className="text-lg font-medium text-amber-800">
+                    {sortedProducts.length} {sortedProducts.length === 1 ? 'item' : 'items'} {isComplete ? 'found' : 'shown'}
+                  </h2>
+                  {!isComplete && !isLoading && (
+                    <span className="text-sm text-amber-600">More load as you scroll</span>
+                  )}
+                </div>
+
+                {/* No results message */}
+                {sortedProducts.length === 0 && (
+                  <div className="text-center py-12">
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mx-auto text-amber-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    <h3 className="text-xl font-bold text-amber-800 mb-2">No products found</h3>
+                    <p className="text-amber-600">Try adjusting your search or filter criteria</p>
                   </div>
-                ))}
-              </div>
-            ) : (
-              <div className="space-y-4">
-                {sortedProducts.map((product) => (
-                  <div 
-                    key={product.id} 
-                    className={`flex flex-col md:flex-row bg-white rounded-xl overflow-hidden shadow-md hover:shadow-xl transition-all duration-300 ${animateItems ? 'opacity-100' : 'opacity-0'} ${animateItems ? 'translate-y-0' : 'translate-y-4'}`}
-                    style={{ transition: 'opacity 0.5s ease, transform 0.5s ease' }}
-                    onClick={() => openProductModal(product)}
-                  >
-                    <div className="relative md:w-1/4 h-64 md:h-auto">
-                      {product.imageUrl ? (
-                        <img
-                          src={product.imageUrl}
-                          alt={product.name}
-                          className="w-full h-full object-cover"
-                          loading="lazy"
-                        />
-                      ) : (
-                        <div className="w-full h-full flex items-center justify-center bg-amber-50">
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 text-amber-200" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                          </svg>
+                )}
+
+                {/* Products display */}
+                {viewType === 'grid' ? (
+                  <VirtualGrid
+                    items={sortedProducts}
+                    minItemWidth={260}
+                    gap={24}
+                    estimateRowHeight={380}
+                    onEndReached={loadMoreProducts}
+                    renderItem={(product) => (
+                      <div 
+                        key={product.id} 
+                        className={`group bg-white rounded-xl overflow-hidden shadow-md hover:shadow-xl transition-all duration-300 transform ${animateItems ? 'opacity-100' : 'opacity-0'} ${animateItems ? 'translate-y-0' : 'translate-y-4'} hover:-translate-y-1`}
+                        style={{ transition: 'opacity 0.5s ease, transform 0.5s ease' }}
+                        onClick={() => openProductModal(product)}
+                      >
+                        <div className="relative overflow-hidden h-64">
+                          {product.imageUrl ? (
+                            <img
+                              src={getThumbnailUrl(product)}
+                              alt={product.name}
+                              className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
+                              loading="lazy"
+                            />
+                          ) : (
+                            <div className="w-full h-full flex items-center justify-center bg-amber-50">
+                              <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 text-amber-200" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                              </svg>
+                            </div>
+                          )}
+                          {product.inStock === false && (
+                            <div className="absolute top-2 right-2 bg-red-500 text-white text-xs font-bold px-3 py-1 rounded-full">
+                              {stockLabel(product)}
+                            </div>
+                          )}
+                          <button
+                            onClick={(e) => toggleFavorite(e, product.id)}
+                            className="absolute top-2 left-2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
+                            aria-label={favorites.includes(product.id) ? "Remove from favorites" : "Add to favorites"}
+                          >
+                            <svg 
+                              xmlns="http://www.w3.org/2000/svg" 
+                              className={`h-5 w-5 ${favorites.includes(product.id) ? 'text-amber-500 fill-current' : 'text-gray-400'}`} 
+                              viewBox="0 0 24 24" 
+                              stroke="currentColor"
+                              fill="none"
+                            >
+                              <path 
+                                strokeLinecap="round" 
+                                strokeLinejoin="round" 
+                                strokeWidth={favorites.includes(product.id) ? 0 : 2} 
+                                d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" 
+                              />
+                            </svg>
+                          </button>
+                          <button
+                            onClick={(e) => addToQuote(e, product)}
+                            className="absolute bottom-2 left-2 z-10 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
+                            aria-label="Add to quote"
+                            title="Add to quote"
+                          >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-amber-700" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                            </svg>
+                          </button>
+                          <button
+                            onClick={(e) => showQuickView(e, product)}
+                            className="absolute bottom-2 right-2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
+                            aria-label="Quick view"
+                          >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-amber-700" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                            </svg>
+                          </button>
+                          <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/70 to-transparent p-4 text-white transform translate-y-full group-hover:translate-y-0 transition-transform duration-300">
+                            <p className="font-medium">Click to view details</p>
+                          </div>
                         </div>
-                      )}
-                      {product.inStock === false && (
-                        <div className="absolute top-2 right-2 bg-red-500 text-white text-xs font-bold px-3 py-1 rounded-full">
-                          Out of Stock
+                        <div className="p-4">
+                          <h3 className="font-bold text-xl mb-1 text-amber-900 group-hover:text-amber-600 transition-colors">
+                            <Highlight text={product.name} words={matchedWords(product)} />
+                          </h3>
+                          <p className="text-amber-700 mb-2">{weightSummary(product)}</p>
+                          <div className="flex items-center mt-2">
+                            {product.category && (
+                              <span className="inline-block bg-amber-100 text-amber-800 text-xs px-2 py-1 rounded">
+                                <Highlight text={product.category} words={matchedWords(product)} />
+                              </span>
+                            )}
+                            <div className="ml-auto">
+                              <CompareToggle
+                                isSelected={compare.ids.includes(product.id)}
+                                onToggle={() => toggleCompare(product)}
+                              />
+                            </div>
+                          </div>
                         </div>
-                      )}
-                      <button
-                        onClick={(e) => toggleFavorite(e, product.id)}
-                        className="absolute top-2 left-2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
-                        aria-label={favorites.includes(product.id) ? "Remove from favorites" : "Add to favorites"}
+                      </div>
+                    )}
+                  />
+                ) : (
+                  <VirtualGrid
+                    items={sortedProducts}
+                    gap={16}
+                    estimateRowHeight={260}
+                    onEndReached={loadMoreProducts}
+                    renderItem={(product) => (
+                      <div 
+                        key={product.id} 
+                        className={`flex flex-col md:flex-row bg-white rounded-xl overflow-hidden shadow-md hover:shadow-xl transition-all duration-300 ${animateItems ? 'opacity-100' : 'opacity-0'} ${animateItems ? 'translate-y-0' : 'translate-y-4'}`}
+                        style={{ transition: 'opacity 0.5s ease, transform 0.5s ease' }}
+                        onClick={() => openProductModal(product)}
                       >
-                        <svg 
-                          xmlns="http://www.w3.org/2000/svg" 
-                          className={`h-5 w-5 ${favorites.includes(product.id) ? 'text-amber-500 fill-current' : 'text-gray-400'}`} 
-                          viewBox="0 0 24 24" 
-                          stroke="currentColor"
-                          fill="none"
-                        >
-                          <path 
-                            strokeLinecap="round" 
-                            strokeLinejoin="round" 
-                            strokeWidth={favorites.includes(product.id) ? 0 : 2} 
-                            d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" 
-                          />
-                        </svg>
-                      </button>
-                    </div>
-                    <div className="p-6 flex-grow flex flex-col justify-between">
-                      <div>
-                        <div className="flex justify-between items-start">
-                          <h3 className="font-bold text-2xl mb-2 text-amber-900">{product.name}</h3>
-                          <p className="text-amber-700 font-medium">{product.weight}</p>
+                        <div className="relative md:w-1/4 h-64 md:h-auto">
+                          {product.imageUrl ? (
+                            <img
+                              src={getThumbnailUrl(product)}
+                              alt={product.name}
+                              className="w-full h-full object-cover"
+                              loading="lazy"
+                            />
+                          ) : (
+                            <div className="w-full h-full flex items-center justify-center bg-amber-50">
+                              <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 text-amber-200" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                              </svg>
+                            </div>
+                          )}
+                          {product.inStock === false && (
+                            <div className="absolute top-2 right-2 bg-red-500 text-white text-xs font-bold px-3 py-1 rounded-full">
+                              {stockLabel(product)}
+                            </div>
+                          )}
+                          <button
+                            onClick={(e) => toggleFavorite(e, product.id)}
+                            className="absolute top-2 left-2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
+                            aria-label={favorites.includes(product.id) ? "Remove from favorites" : "Add to favorites"}
+                          >
+                            <svg 
+                              xmlns="http://www.w3.org/2000/svg" 
+                              className={`h-5 w-5 ${favorites.includes(product.id) ? 'text-amber-500 fill-current' : 'text-gray-400'}`} 
+                              viewBox="0 0 24 24" 
+                              stroke="currentColor"
+                              fill="none"
+                            >
+                              <path 
+                                strokeLinecap="round" 
+                                strokeLinejoin="round" 
+                                strokeWidth={favorites.includes(product.id) ? 0 : 2} 
+                                d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" 
+                              />
+                            </svg>
+                          </button>
+                        </div>
+                        <div className="p-6 flex-grow flex flex-col justify-between">
+                          <div>
+                            <div className="flex justify-between items-start">
+                              <h3 className="font-bold text-2xl mb-2 text-amber-900">
+                                <Highlight text={product.name} words={matchedWords(product)} />
+                              </h3>
+                              <p className="text-amber-700 font-medium">{weightSummary(product)}</p>
+                            </div>
+                            {product.description && (
+                              <p className="text-gray-600 mb-4">
+                                <Highlight text={product.description} words={matchedWords(product)} />
+                              </p>
+                            )}
+                          </div>
+                          <div className="flex justify-between items-center">
+                            {product.category && (
+                              <span className="inline-block bg-amber-100 text-amber-800 px-3 py-1 rounded">
+                                <Highlight text={product.category} words={matchedWords(product)} />
+                              </span>
+                            )}
+                            <div className="flex items-center gap-4">
+                              <CompareToggle
+                                isSelected={compare.ids.includes(product.id)}
+                                onToggle={() => toggleCompare(product)}
+                              />
+                              <button
+                                className="text-amber-600 hover:text-amber-800 font-medium"
+                                onClick={(e) => addToQuote(e, product)}
+                              >
+                                + Add to Quote
+                              </button>
+                              <button 
+                                className="text-amber-600 hover:text-amber-800 font-medium"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  openProductModal(product);
+                                }}
+                              >
+                                View Details →
+                              </button>
+                            </div>
+                          </div>
                         </div>
-                        {product.description && (
-                          <p className="text-gray-600 mb-4">{product.description}</p>
-                        )}
-                      </div>
-                      <div className="flex justify-between items-center">
-                        {product.category && (
-                          <span className="inline-block bg-amber-100 text-amber-800 px-3 py-1 rounded">
-                            {product.category}
-                          </span>
-                        )}
-                        <button 
-                          className="text-amber-600 hover:text-amber-800 font-medium"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            openProductModal(product);
-                          }}
-                        >
-                          View Details →
-                        </button>
                       </div>
-                    </div>
-                  </div>
-                ))}
+                    )}
+                  />
+                )}
               </div>
-            )}
+            </div>
           </>
         )}
 
+        {/* Linked product that no longer exists */}
+        {productId && selectedProduct === null && !isLoading && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={closeProductModal}>
+            <div
+              className="bg-white rounded-xl p-8 max-w-md w-full text-center"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <h2 className="font-bold text-2xl text-amber-900 mb-2">Product not found</h2>
+              <p className="text-amber-700 mb-6">This piece may have been sold or removed from our collection.</p>
+              <button
+                onClick={closeProductModal}
+                className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+              >
+                Browse the Collection
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Product Modal */}
         {selectedProduct && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={closeProductModal}>
@@ -539,12 +959,14 @@ export default function Catalog() {
             >
               <div className="flex-grow overflow-auto">
                 <div className="flex flex-col md:flex-row">
-                  <div className="md:w-1/2 h-64 md:h-auto relative">
-                    {selectedProduct.imageUrl ? (
-                      <img
-                        src={selectedProduct.imageUrl}
+                  <div className="md:w-1/2 h-80 md:h-auto md:min-h-96 relative">
+                    {getProductImages(selectedProduct).length > 0 ? (
+                      <ImageGallery
+                        key={selectedProduct.id}
+                        images={getProductImages(selectedProduct)}
+                        startIndex={getCoverIndex(selectedProduct)}
                         alt={selectedProduct.name}
-                        className="w-full h-full object-cover"
+                        className="w-full h-full"
                       />
                     ) : (
                     <div className="w-full h-full min-h-64 flex items-center justify-center bg-amber-50">
@@ -553,9 +975,9 @@ export default function Catalog() {
                         </svg>
                       </div>
                     )}
-                    {selectedProduct.inStock === false && (
+                    {selectedItem.inStock === false && (
                       <div className="absolute top-4 right-4 bg-red-500 text-white text-sm font-bold px-3 py-1 rounded-full">
-                        Out of Stock
+                        {stockLabel(selectedItem)}
                       </div>
                     )}
                     <button
@@ -592,9 +1014,21 @@ export default function Catalog() {
                     </div>
                     
                     <div className="mb-6">
+                      <VariantPicker
+                        product={selectedProduct}
+                        selectedId={selectedItem.variantId}
+                        onSelect={(variantId) => selectVariant(selectedProduct, variantId)}
+                        className="mb-4"
+                      />
+
                       <div className="flex items-center mb-4">
                         <span className="font-medium text-amber-800 mr-2">Weight:</span>
-                        <span className="text-lg">{selectedProduct.weight || 'Not specified'}</span>
+                        <span className="text-lg">{formatWeight(selectedItem) || 'Not specified'}</span>
+                      </div>
+                      
+                      <div className="flex items-center mb-4">
+                        <span className="font-medium text-amber-800 mr-2">Metal:</span>
+                        <span className="text-lg">{formatPurity(selectedItem)}</span>
                       </div>
                       
                       <div className="flex items-center mb-4">
@@ -603,11 +1037,26 @@ export default function Catalog() {
                           {selectedProduct.category || 'Uncategorized'}
                         </span>
                       </div>
+
+                      {getTags(selectedProduct).length > 0 && (
+                        <div className="flex flex-wrap items-center gap-2 mb-4">
+                          <span className="font-medium text-amber-800">Tags:</span>
+                          {getTags(selectedProduct).map(tag => (
+                            <button
+                              key={tag}
+                              onClick={() => navigate({ pathname: basePath || '/', search: `?tags=${encodeURIComponent(tag)}` })}
+                              className="bg-amber-50 border border-amber-200 text-amber-700 hover:bg-amber-100 px-2 py-0.5 rounded-full text-sm"
+                            >
+                              {tagLabel(tag)}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                       
                       <div className="flex items-center mb-4">
                         <span className="font-medium text-amber-800 mr-2">Status:</span>
-                        <span className={`px-3 py-1 rounded ${selectedProduct.inStock === false ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
-                          {selectedProduct.inStock === false ? 'Out of Stock' : 'In Stock'}
+                        <span className={`px-3 py-1 rounded ${selectedItem.inStock === false ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+                          {selectedItem.inStock === false ? stockLabel(selectedItem) : 'In Stock'}
                         </span>
                       </div>
                     </div>
@@ -629,6 +1078,52 @@ export default function Catalog() {
                         </svg>
                         Calculate Price
                       </button>
+                      <button
+                        onClick={(e) => addToQuote(e, selectedProduct)}
+                        className="mt-3 w-full border-2 border-amber-500 text-amber-700 hover:bg-amber-50 font-bold py-3 px-6 rounded-lg transition-colors"
+                      >
+                        Add to Quote
+                      </button>
+                      <button
+                        onClick={() => showExchangeCalculator(selectedItem)}
+                        className="mt-3 w-full border-2 border-amber-500 text-amber-700 hover:bg-amber-50 font-bold py-3 px-6 rounded-lg transition-colors"
+                      >
+                        Exchange Old Gold
+                      </button>
+                      {selectedItem.inStock !== false && (
+                        <button
+                          onClick={() => setReserveItem(selectedItem)}
+                          className="mt-3 w-full border-2 border-amber-500 text-amber-700 hover:bg-amber-50 font-bold py-3 px-6 rounded-lg transition-colors"
+                        >
+                          Reserve this Piece
+                        </button>
+                      )}
+                      <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        {shop.whatsapp && (
+                          <a
+                            href={whatsAppLinkFor(selectedProduct)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-6 rounded-lg transition-colors flex items-center justify-center"
+                          >
+                            <FaWhatsapp className="h-5 w-5 mr-2" />
+                            Enquire on WhatsApp
+                          </a>
+                        )}
+                        <button
+                          onClick={() => setEnquiryProduct(selectedItem)}
+                          className={`${shop.whatsapp ? '' : 'sm:col-span-2 '}border-2 border-amber-500 text-amber-700 hover:bg-amber-50 font-bold py-3 px-6 rounded-lg transition-colors`}
+                        >
+                          Send Enquiry
+                        </button>
+                      </div>
+                      <div className="mt-3">
+                        <WishlistPicker
+                          productId={selectedProduct.id}
+                          wishlists={wishlists}
+                          onSignIn={() => setIsSignInVisible(true)}
+                        />
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -658,10 +1153,28 @@ export default function Catalog() {
                   </svg>
                 </button>
               </div>
+
+              {getProductImages(quickViewProduct).length > 0 && (
+                <ImageGallery
+                  key={quickViewProduct.id}
+                  images={getProductImages(quickViewProduct)}
+                  startIndex={getCoverIndex(quickViewProduct)}
+                  alt={quickViewProduct.name}
+                  className="h-64 mb-4 rounded-lg overflow-hidden"
+                />
+              )}
               
+              <VariantPicker
+                product={quickViewProduct}
+                selectedId={quickViewItem.variantId}
+                onSelect={(variantId) => selectVariant(quickViewProduct, variantId)}
+                className="mb-4"
+              />
+
               <div className="mb-4">
                 <div className="font-medium text-amber-800 mb-1">Weight</div>
-                <div>{quickViewProduct.weight || 'Not specified'}</div>
+                <div>{formatWeight(quickViewItem) || 'Not specified'}</div>
+                {quickViewItem.inStock === false && <div className="text-sm text-red-600">{stockLabel(quickViewItem)}</div>}
               </div>
               
               {quickViewProduct.description && (
@@ -693,6 +1206,13 @@ export default function Catalog() {
                   {favorites.includes(quickViewProduct.id) ? 'Remove from favorites' : 'Add to favorites'}
                 </button>
               
+                <button
+                  onClick={(e) => addToQuote(e, quickViewProduct)}
+                  className="text-amber-600 hover:text-amber-800 font-medium"
+                >
+                  + Add to Quote
+                </button>
+
                 <button
                   onClick={() => {
                     hideQuickView();
@@ -707,6 +1227,84 @@ export default function Catalog() {
           </div>
         )}
 
+        {/* Enquiry Form Modal */}
+        {enquiryProduct && (
+          <EnquiryForm
+            product={enquiryProduct}
+            onClose={() => setEnquiryProduct(null)}
+          />
+        )}
+
+        {/* Reservation Form Modal */}
+        {reserveItem && (
+          <ReserveForm
+            piece={reserveItem}
+            estimatedPrice={estimatedPrice(reserveItem)}
+            holdHours={shop.reservationHoldHours}
+            onClose={() => setReserveItem(null)}
+          />
+        )}
+
+        {/* Old Gold Exchange Modal */}
+        {isExchangeVisible && (
+          <ExchangeCalculator
+            item={exchangeItem}
+            price={exchangeItem ? estimatedPrice(exchangeItem) : null}
+            rates={goldRates}
+            settings={exchangeSettings}
+            formatPrice={formatPrice}
+            onClose={() => setIsExchangeVisible(false)}
+          />
+        )}
+
+        {compare.ids.length > 0 && (
+          <div className="fixed bottom-4 right-4 z-40 bg-white border border-amber-200 rounded-lg shadow-lg px-4 py-3 flex items-center gap-3">
+            <span className="text-amber-900">{compare.ids.length} of {MAX_COMPARE} selected</span>
+            <button onClick={compare.clear} className="text-sm text-amber-600 hover:underline">Clear</button>
+            <Link
+              to={comparePath(compare.ids)}
+              className={`font-bold py-2 px-4 rounded-lg transition-colors ${
+                compare.ids.length > 1 ? 'bg-amber-500 hover:bg-amber-600 text-white' : 'bg-amber-200 text-amber-700 pointer-events-none'
+              }`}
+            >
+              Compare
+            </Link>
+          </div>
+        )}
+
+        {cartMessage && (
+          <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 bg-amber-900 text-white px-4 py-3 rounded-lg shadow-lg flex items-center gap-4">
+            <span>{cartMessage}</span>
+            <button
+              onClick={() => {
+                setCartMessage('');
+                setIsCartVisible(true);
+              }}
+              className="font-bold text-amber-200 hover:text-white"
+            >
+              View Quote
+            </button>
+          </div>
+        )}
+
+        {/* Quote Cart Modal */}
+        {isCartVisible && (
+          <QuoteCart
+            cart={cart}
+            rates={goldRates}
+            pricingSettings={pricingSettings}
+            exchangeSettings={exchangeSettings}
+            shop={shop}
+            formatPrice={formatPrice}
+            onClose={() => setIsCartVisible(false)}
+          />
+        )}
+
+        {/* Customer Sign-in Modal */}
+        {isSignInVisible && (
+          <CustomerSignIn onClose={() => setIsSignInVisible(false)} />
+        )}
+
         {/* Gold Price Calculator Modal */}
         {isCalculatorVisible && calculatorProduct && (
           <div 
@@ -735,72 +1333,109 @@ export default function Catalog() {
                   <div className="flex items-center bg-amber-50 p-3 rounded-lg">
                     {calculatorProduct.imageUrl && (
                       <img 
-                        src={calculatorProduct.imageUrl} 
+                        src={getThumbnailUrl(calculatorProduct)} 
                         alt={calculatorProduct.name} 
                         className="w-16 h-16 object-cover rounded-md mr-4"
                       />
                     )}
                     <div>
-                      <div className="font-medium">{calculatorProduct.name}</div>
-                      <div className="text-sm text-amber-700">{calculatorProduct.weight}</div>
+                      <div className="font-medium">{calculatorItem.name}</div>
+                      <div className="text-sm text-amber-700">{formatWeight(calculatorItem)} · {formatPurity(calculatorItem)}</div>
                     </div>
                   </div>
                 </div>
                 
-                <div className="mb-4">
-                  <label className="block text-sm font-medium text-amber-800 mb-2">
-                    Current Gold Rate (per gram)
-                  </label>
-                  <div className="flex">
-                    <span className="inline-flex items-center px-3 rounded-l-md border border-r-0 border-amber-300 bg-amber-50 text-amber-800">
-                      $
-                    </span>
-                    <input
-                      type="number"
-                      value={goldRate}
-                      onChange={(e) => setGoldRate(parseFloat(e.target.value) || 0)}
-                      className="flex-1 min-w-0 block w-full px-3 py-2 rounded-none rounded-r-md focus:ring-amber-500 focus:border-amber-500 border border-amber-300"
-                      placeholder="Enter current gold rate"
-                    />
+                {!isGold(calculatorProduct) ? (
+                  <div className="mb-4 text-sm text-amber-700">
+                    Price estimates are only available for gold items. Please contact the shop for today's price.
                   </div>
-                </div>
-                
+                ) : (
                 <div className="mb-4">
-                  <label className="block text-sm font-medium text-amber-800 mb-2">
-                    Making Charges (%)
-                  </label>
-                  <input
-                    type="number"
-                    value={makingCharge}
-                    onChange={(e) => setMakingCharge(parseFloat(e.target.value) || 0)}
-                    className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
-                    placeholder="Enter making charge percentage"
-                  />
+                  <div className="block text-sm font-medium text-amber-800 mb-2">
+                    Today's {calculatorPurity}K Gold Rate (per gram)
+                  </div>
+                  {rateForPurity(goldRates, calculatorPurity) > 0 ? (
+                    <>
+                      <div className="text-lg font-medium">{formatPrice(rateForPurity(goldRates, calculatorPurity))}</div>
+                      {goldRates.updatedAt && (
+                        <div className="text-xs text-amber-700">
+                          Rate as of {new Date(goldRates.updatedAt).toLocaleString()}
+                        </div>
+                      )}
+                      {isRateStale(goldRates) && (
+                        <div className="mt-2 p-2 bg-yellow-100 text-yellow-800 text-sm rounded">
+                          This rate is more than {RATE_STALE_HOURS} hours old and may have changed. Please confirm with the shop.
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <div className="text-sm text-amber-700">
+                      Today's rate has not been published yet.
+                    </div>
+                  )}
                 </div>
+                )}
                 
-                {calculatorProduct.weight && goldRate > 0 && (
+                {isGold(calculatorItem) && netWeightInGrams(calculatorItem) > 0 && rateForPurity(goldRates, calculatorPurity) > 0 && (
                   <div className="mt-6 p-4 bg-amber-50 rounded-lg">
                     <h4 className="font-medium text-amber-900 mb-3">Price Estimation</h4>
                     
                     {(() => {
-                      const priceDetails = calculatePrice(calculatorProduct.weight);
+                      const priceDetails = calculatePrice(calculatorProduct);
                       return (
                         <div className="space-y-2">
                           <div className="flex justify-between">
-                            <span className="text-amber-800">Gold Value:</span>
-                            <span className="font-medium">${priceDetails.basePrice.toFixed(2)}</span>
+                            <span className="text-amber-800">Gold Value ({priceDetails.weight.toFixed(3)}g × {priceDetails.purity}K):</span>
+                            <span className="font-medium">{formatPrice(priceDetails.metalValue)}</span>
+                          </div>
+                          {priceDetails.wastageAmount > 0 && (
+                            <div className="flex justify-between">
+                              <span className="text-amber-800">Wastage ({priceDetails.wastagePercent}%):</span>
+                              <span className="font-medium">{formatPrice(priceDetails.wastageAmount)}</span>
+                            </div>
+                          )}
+                          <div className="flex justify-between">
+                            <span className="text-amber-800">
+                              Making Charges ({priceDetails.makingChargeType === 'perGram' ? `${formatPrice(priceDetails.makingCharge)}/g` : `${priceDetails.makingCharge}%`}):
+                            </span>
+                            <span className="font-medium">{formatPrice(priceDetails.makingChargeAmount)}</span>
                           </div>
+                          {priceDetails.stoneCharges > 0 && (
+                            <div className="flex justify-between">
+                              <span className="text-amber-800">Stone Charges:</span>
+                              <span className="font-medium">{formatPrice(priceDetails.stoneCharges)}</span>
+                            </div>
+                          )}
+                          {priceDetails.hallmarkFee > 0 && (
+                            <div className="flex justify-between">
+                              <span className="text-amber-800">Hallmarking:</span>
+                              <span className="font-medium">{formatPrice(priceDetails.hallmarkFee)}</span>
+                            </div>
+                          )}
                           <div className="flex justify-between">
-                            <span className="text-amber-800">Making Charges ({makingCharge}%):</span>
-                            <span className="font-medium">${priceDetails.makingChargeAmount.toFixed(2)}</span>
+                            <span className="text-amber-800">GST ({priceDetails.gstPercent}%):</span>
+                            <span className="font-medium">{formatPrice(priceDetails.gstAmount)}</span>
                           </div>
+                          {Math.abs(priceDetails.roundOff) >= 0.005 && (
+                            <div className="flex justify-between text-sm">
+                              <span className="text-amber-700">Round Off:</span>
+                              <span>{formatPrice(priceDetails.roundOff)}</span>
+                            </div>
+                          )}
                           <div className="border-t border-amber-200 my-2 pt-2 flex justify-between">
                             <span className="font-bold text-amber-900">Estimated Price:</span>
-                            <span className="font-bold text-amber-900">${priceDetails.totalPrice.toFixed(2)}</span>
+                            <span className="font-bold text-amber-900">{formatPrice(priceDetails.totalPrice)}</span>
                           </div>
                           <div className="text-xs text-amber-700 mt-2">
                             * This is an estimate based on the provided information.
                           </div>
+                          {currency !== BASE_CURRENCY && (
+                            <div className="text-xs text-amber-700">
+                              {currencyRates?.[currency]
+                                ? `Converted at 1 ${currency} = ${formatCurrency(currencyRates[currency])}. Final billing is in ${BASE_CURRENCY}.`
+                                : `No ${currency} rate is available right now, so prices are shown in ${BASE_CURRENCY}.`}
+                            </div>
+                          )}
                         </div>
                       );
                     })()}
@@ -0,0 +1,62 @@
+import { Link } from 'react-router-dom';
+import { categoryAncestors, childCategories } from './categories';
+
+// Catalog banner for a category page: breadcrumb, cover image and subcategory
+// tiles. Without a category it shows the top-level categories to browse.
+export default function CategoryHeader({ categories, category, linkTo }) {
+  const children = childCategories(categories, category?.id);
+  if (!category && children.length === 0) return null;
+
+  return (
+    <div className="mb-8">
+      {category && (
+        <>
+          <nav className="text-sm text-amber-700 mb-3" aria-label="Breadcrumb">
+            <Link to={linkTo(null)} className="hover:underline">All Jewelry</Link>
+            {categoryAncestors(categories, category.id).map(ancestor => (
+              <span key={ancestor.id}>
+                {' › '}
+                {ancestor.id === category.id ? (
+                  <span className="text-amber-900 font-medium">{ancestor.name}</span>
+                ) : (
+                  <Link to={linkTo(ancestor)} className="hover:underline">{ancestor.name}</Link>
+                )}
+              </span>
+            ))}
+          </nav>
+
+          <div className="relative rounded-xl overflow-hidden shadow-lg mb-4 bg-gradient-to-r from-amber-200 to-yellow-100">
+            {category.coverImage && (
+              <img src={category.coverImage.url} alt={category.name} className="w-full h-40 md:h-56 object-cover" />
+            )}
+            <h2 className={`text-3xl font-bold text-amber-900 p-6 ${category.coverImage ? 'absolute bottom-0 left-0 bg-white/80 rounded-tr-xl' : ''}`}>
+              {category.name}
+            </h2>
+          </div>
+        </>
+      )}
+
+      {children.length > 0 && (
+        <>
+          {!category && <h2 className="text-lg font-medium text-amber-800 mb-3">Shop by Category</h2>}
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-6 gap-3">
+            {children.map(child => (
+              <Link
+                key={child.id}
+                to={linkTo(child)}
+                className="bg-white rounded-lg shadow hover:shadow-md transition-shadow overflow-hidden text-center"
+              >
+                {child.coverImage ? (
+                  <img src={child.coverImage.thumbUrl || child.coverImage.url} alt="" className="w-full h-20 object-cover" />
+                ) : (
+                  <div className="w-full h-20 bg-amber-100 flex items-center justify-center text-2xl text-amber-400">✦</div>
+                )}
+                <span className="block p-2 text-sm font-medium text-amber-800">{child.name}</span>
+              </Link>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
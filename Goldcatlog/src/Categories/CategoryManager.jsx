@@ -0,0 +1,320 @@
+import { useState } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { uploadImage, deleteImageFiles } from '../Products/images';
+import useCategories from './useCategories';
+import {
+  flattenCategoryTree,
+  descendantIds,
+  newCategoryId,
+  saveCategory,
+  mergeCategory,
+  deleteCategory,
+  getUnlinkedCategories,
+  linkUnlinkedCategories
+} from './categories';
+
+const initialFormData = {
+  name: '',
+  slug: '',
+  parentId: '',
+  sortOrder: 0,
+  coverImage: null,
+  coverFile: null
+};
+
+// Admin section for the category tree: create, rename, nest, merge and delete
+export default function CategoryManager({ products }) {
+  const { user } = useAuth();
+  const categories = useCategories();
+  const [formData, setFormData] = useState(initialFormData);
+  const [editId, setEditId] = useState(null);
+  const [mergeTargets, setMergeTargets] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const tree = flattenCategoryTree(categories);
+  const unlinked = getUnlinkedCategories(products);
+  const productCount = (id) => products.filter(product => product.categoryId === id).length;
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  const resetForm = () => {
+    setFormData(initialFormData);
+    setEditId(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, files } = e.target;
+    setFormData(prev => ({ ...prev, [name]: files ? files[0] || null : value }));
+  };
+
+  const handleEdit = (category) => {
+    setFormData({
+      name: category.name,
+      slug: category.slug,
+      parentId: category.parentId || '',
+      sortOrder: category.sortOrder ?? 0,
+      coverImage: category.coverImage || null,
+      coverFile: null
+    });
+    setEditId(category.id);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const { coverFile, ...values } = formData;
+      const categoryId = editId || newCategoryId();
+      const previousCover = categories.find(c => c.id === editId)?.coverImage;
+      if (coverFile) {
+        values.coverImage = await uploadImage(`categories/${categoryId}`, coverFile);
+      }
+
+      await saveCategory(categories, products, categoryId, values, user);
+      if (previousCover && previousCover.url !== values.coverImage?.url) {
+        await deleteImageFiles([previousCover]);
+      }
+
+      showSuccess(editId ? 'Category updated successfully!' : 'Category added successfully!');
+      resetForm();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMerge = async (category) => {
+    const targetId = mergeTargets[category.id];
+    const target = categories.find(c => c.id === targetId);
+    if (!target) return;
+    if (!window.confirm(`Move ${productCount(category.id)} products from "${category.name}" into "${target.name}" and remove "${category.name}"?`)) return;
+
+    try {
+      await mergeCategory(categories, products, category.id, targetId, user);
+      if (category.coverImage) {
+        await deleteImageFiles([category.coverImage]);
+      }
+      showSuccess(`Merged "${category.name}" into "${target.name}"`);
+    } catch (error) {
+      console.error('Error merging categories:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) return;
+    try {
+      await deleteCategory(categories, products, category.id);
+      if (category.coverImage) {
+        await deleteImageFiles([category.coverImage]);
+      }
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleLinkUnlinked = async () => {
+    try {
+      const created = await linkUnlinkedCategories(categories, products, user);
+      showSuccess(`Linked products to categories${created ? `, ${created} categories created` : ''}`);
+    } catch (error) {
+      console.error('Error linking categories:', error);
+      alert(error.message);
+    }
+  };
+
+  // A category can't be nested inside itself or its own subcategories
+  const parentOptions = editId
+    ? tree.filter(category => !descendantIds(categories, editId).includes(category.id))
+    : tree;
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Categories ({categories.length})</h2>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      {unlinked.length > 0 && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-300 rounded-lg flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <p className="text-yellow-800">
+            {unlinked.reduce((sum, group) => sum + group.products.length, 0)} products use free-text categories
+            ({unlinked.map(group => group.spellings.map(name => `"${name}"`).join(' / ')).join(', ')}).
+            Link them to managed categories, creating any that are missing.
+          </p>
+          <button
+            onClick={handleLinkUnlinked}
+            className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-md transition-colors whitespace-nowrap"
+          >
+            Link Categories
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-end mb-6">
+        <div>
+          <label className="block text-sm font-medium mb-1">Name*</label>
+          <input
+            type="text"
+            name="name"
+            placeholder="e.g., Temple"
+            value={formData.name}
+            onChange={handleInputChange}
+            className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Parent</label>
+          <select
+            name="parentId"
+            value={formData.parentId}
+            onChange={handleInputChange}
+            className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+          >
+            <option value="">None (top level)</option>
+            {parentOptions.map(category => (
+              <option key={category.id} value={category.id}>
+                {'— '.repeat(category.depth)}{category.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-sm font-medium mb-1">URL Slug</label>
+            <input
+              type="text"
+              name="slug"
+              placeholder="From name"
+              value={formData.slug}
+              onChange={handleInputChange}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Order</label>
+            <input
+              type="number"
+              name="sortOrder"
+              step="1"
+              value={formData.sortOrder}
+              onChange={handleInputChange}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Cover Image</label>
+          <input
+            type="file"
+            name="coverFile"
+            accept="image/*"
+            onChange={handleInputChange}
+            className="w-full p-1 border rounded text-sm"
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors disabled:bg-blue-400"
+          >
+            {isSaving ? 'Saving...' : editId ? 'Update' : 'Add Category'}
+          </button>
+          {editId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {tree.length === 0 ? (
+        <p className="text-gray-500">No categories yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Category</th>
+                <th className="py-2">Slug</th>
+                <th className="py-2 text-right">Products</th>
+                <th className="py-2 pl-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tree.map(category => (
+                <tr key={category.id} className="border-b last:border-0">
+                  <td className="py-2" style={{ paddingLeft: `${category.depth * 1.5}rem` }}>
+                    <div className="flex items-center gap-2">
+                      {category.coverImage ? (
+                        <img src={category.coverImage.thumbUrl || category.coverImage.url} alt="" className="w-8 h-8 object-cover rounded" />
+                      ) : (
+                        <span className="w-8 h-8 bg-gray-100 rounded"></span>
+                      )}
+                      {category.name}
+                    </div>
+                  </td>
+                  <td className="py-2 text-gray-500">/category/{category.slug}</td>
+                  <td className="py-2 text-right">{productCount(category.id)}</td>
+                  <td className="py-2 pl-4">
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => handleEdit(category)}
+                        className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                      >
+                        Edit
+                      </button>
+                      <select
+                        value={mergeTargets[category.id] || ''}
+                        onChange={(e) => setMergeTargets(prev => ({ ...prev, [category.id]: e.target.value }))}
+                        className="p-1 border rounded bg-white text-sm"
+                      >
+                        <option value="">Merge into...</option>
+                        {tree
+                          .filter(target => !descendantIds(categories, category.id).includes(target.id))
+                          .map(target => (
+                            <option key={target.id} value={target.id}>{'— '.repeat(target.depth)}{target.name}</option>
+                          ))}
+                      </select>
+                      {mergeTargets[category.id] && (
+                        <button
+                          onClick={() => handleMerge(category)}
+                          className="bg-orange-500 hover:bg-orange-600 text-white px-3 py-1 rounded text-sm transition-colors"
+                        >
+                          Merge
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleDelete(category)}
+                        className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import { ref, push, update } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { productChangeUpdate } from '../Audit/audit';
+
+// Managed categories are stored under `categories/<id>` as
+// { name, slug, parentId, coverImage, sortOrder }. Products keep the category's
+// id in `categoryId` and a copy of its name in `category` for display, search
+// and exports; renames and merges rewrite both on every affected product,
+// logging each product's change.
+
+export const slugify = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Key used to treat "Ring", "ring" and "Rings " as the same category
+export const categoryKey = (name) => slugify(name).replace(/s$/, '');
+
+const sortCategories = (categories) => {
+  return [...categories].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || a.name.localeCompare(b.name));
+};
+
+export const childCategories = (categories, parentId) => {
+  return sortCategories(categories.filter(category => (category.parentId || null) === (parentId || null)));
+};
+
+// All categories in tree order with their nesting depth, for selects and lists
+export const flattenCategoryTree = (categories, parentId = null, depth = 0) => {
+  return childCategories(categories, parentId).flatMap(category => [
+    { ...category, depth },
+    ...flattenCategoryTree(categories, category.id, depth + 1)
+  ]);
+};
+
+// The category and its parents, from the top level down
+export const categoryAncestors = (categories, id) => {
+  const path = [];
+  let category = categories.find(c => c.id === id);
+  while (category && !path.includes(category)) {
+    path.unshift(category);
+    category = categories.find(c => c.id === category.parentId);
+  }
+  return path;
+};
+
+export const categoryPath = (categories, id) => {
+  return categoryAncestors(categories, id).map(category => category.name).join(' > ');
+};
+
+export const descendantIds = (categories, id) => {
+  return [id, ...childCategories(categories, id).flatMap(child => descendantIds(categories, child.id))];
+};
+
+export const findCategoryBySlug = (categories, slug) => categories.find(category => category.slug === slug) || null;
+
+// Managed category matching a free-text name, e.g. from a spreadsheet or an older product
+export const matchCategory = (categories, name) => {
+  const key = categoryKey(name);
+  return key ? categories.find(category => categoryKey(category.name) === key || categoryKey(category.slug) === key) || null : null;
+};
+
+// Predicate for products in a category or any of its subcategories. Products
+// not yet linked to a managed category match by name.
+export const categoryMatcher = (categories, category) => {
+  const ids = descendantIds(categories, category.id);
+  const keys = ids.map(id => categoryKey(categories.find(c => c.id === id)?.name));
+  return (product) => product.categoryId
+    ? ids.includes(product.categoryId)
+    : keys.includes(categoryKey(product.category));
+};
+
+// Slug not used by any other item in the list, adding -2, -3... when taken
+export const uniqueSlug = (items, slug, exceptId, fallback = 'category') => {
+  const base = slug || fallback;
+  let candidate = base;
+  for (let n = 2; items.some(item => item.id !== exceptId && item.slug === candidate); n++) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+};
+
+export const newCategoryId = () => push(ref(db, 'categories')).key;
+
+// Create or update a category (pass a new id from newCategoryId to create one).
+// Renaming also updates the name stored on its products.
+export const saveCategory = async (categories, products, id, values, user) => {
+  const name = String(values.name || '').trim().replace(/\s+/g, ' ');
+  if (!name) {
+    throw new Error('Please enter a category name');
+  }
+  const parentId = values.parentId || null;
+  if (id && parentId && descendantIds(categories, id).includes(parentId)) {
+    throw new Error('A category cannot be moved inside itself');
+  }
+  const duplicate = matchCategory(childCategories(categories, parentId).filter(c => c.id !== id), name);
+  if (duplicate) {
+    throw new Error(`"${duplicate.name}" already exists; merge into it instead`);
+  }
+
+  const categoryId = id || newCategoryId();
+  const updates = {
+    [`categories/${categoryId}`]: {
+      name,
+      slug: uniqueSlug(categories, slugify(values.slug || name), categoryId),
+      parentId,
+      coverImage: values.coverImage || null,
+      sortOrder: parseInt(values.sortOrder) || 0
+    }
+  };
+  products
+    .filter(product => id && product.categoryId === id && product.category !== name)
+    .forEach(product => {
+      Object.assign(updates, productChangeUpdate(product, { category: name }, 'updated', user));
+    });
+
+  await update(ref(db), updates);
+  return categoryId;
+};
+
+// Move all products and subcategories of one category into another and remove it
+export const mergeCategory = async (categories, products, sourceId, targetId, user) => {
+  const target = categories.find(c => c.id === targetId);
+  if (!target || sourceId === targetId) {
+    throw new Error('Please choose a different category to merge into');
+  }
+  if (descendantIds(categories, sourceId).includes(targetId)) {
+    throw new Error('A category cannot be merged into one of its own subcategories');
+  }
+
+  const updates = { [`categories/${sourceId}`]: null };
+  products
+    .filter(product => product.categoryId === sourceId)
+    .forEach(product => {
+      Object.assign(updates, productChangeUpdate(product, { categoryId: targetId, category: target.name }, 'updated', user));
+    });
+  childCategories(categories, sourceId).forEach(child => {
+    updates[`categories/${child.id}/parentId`] = targetId;
+  });
+
+  await update(ref(db), updates);
+};
+
+export const deleteCategory = async (categories, products, id) => {
+  if (products.some(product => product.categoryId === id)) {
+    throw new Error('This category still has products; merge it into another category instead');
+  }
+  if (childCategories(categories, id).length > 0) {
+    throw new Error('Move or delete its subcategories first');
+  }
+  await update(ref(db), { [`categories/${id}`]: null });
+};
+
+// Free-text categories on products that aren't linked to a managed category,
+// grouped so different spellings of the same name count once
+export const getUnlinkedCategories = (products) => {
+  const groups = new Map();
+  products
+    .filter(product => !product.categoryId && categoryKey(product.category))
+    .forEach(product => {
+      const key = categoryKey(product.category);
+      const group = groups.get(key) || { key, names: new Map(), products: [] };
+      const name = product.category.trim().replace(/\s+/g, ' ');
+      group.names.set(name, (group.names.get(name) || 0) + 1);
+      group.products.push(product);
+      groups.set(key, group);
+    });
+
+  return [...groups.values()].map(group => ({
+    // The spelling used most often becomes the category name
+    name: [...group.names.entries()].sort((a, b) => b[1] - a[1])[0][0],
+    spellings: [...group.names.keys()],
+    products: group.products
+  }));
+};
+
+// Link every unlinked product to a managed category, creating missing ones,
+// in a single multi-path update. Returns the number of categories created.
+export const linkUnlinkedCategories = async (categories, products, user) => {
+  const updates = {};
+  const created = [];
+  getUnlinkedCategories(products).forEach(group => {
+    let category = matchCategory([...categories, ...created], group.name);
+    if (!category) {
+      const id = newCategoryId();
+      category = {
+        id,
+        name: group.name,
+        slug: uniqueSlug([...categories, ...created], slugify(group.name), id),
+        parentId: null,
+        sortOrder: categories.length + created.length
+      };
+      created.push(category);
+      const { id: _id, ...data } = category;
+      updates[`categories/${id}`] = data;
+    }
+    group.products.forEach(product => {
+      Object.assign(updates, productChangeUpdate(product, { categoryId: category.id, category: category.name }, 'updated', user));
+    });
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await update(ref(db), updates);
+  }
+  return created.length;
+};
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to the managed categories list
+export default function useCategories() {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    return onValue(ref(db, 'categories'), (snapshot) => {
+      const data = snapshot.val();
+      setCategories(data ? Object.entries(data).map(([id, item]) => ({ id, ...item })) : []);
+    });
+  }, []);
+
+  return categories;
+}
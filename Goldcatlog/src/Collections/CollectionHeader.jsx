@@ -0,0 +1,44 @@
+import { Link } from 'react-router-dom';
+
+// Catalog banner for a collection landing page. Without a collection it lists
+// the collections to browse.
+export default function CollectionHeader({ collections, collection, linkTo }) {
+  if (!collection) {
+    if (collections.length === 0) return null;
+    return (
+      <div className="mb-8">
+        <h2 className="text-lg font-medium text-amber-800 mb-3">Collections</h2>
+        <div className="flex flex-wrap gap-2">
+          {collections.map(item => (
+            <Link
+              key={item.id}
+              to={linkTo(item)}
+              className="bg-white border border-amber-300 text-amber-800 hover:bg-amber-100 px-4 py-2 rounded-full shadow-sm transition-colors"
+            >
+              {item.name}
+            </Link>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-8">
+      <nav className="text-sm text-amber-700 mb-3" aria-label="Breadcrumb">
+        <Link to={linkTo(null)} className="hover:underline">All Jewelry</Link>
+        {' › '}
+        <span className="text-amber-900 font-medium">{collection.name}</span>
+      </nav>
+      <div className="rounded-xl overflow-hidden shadow-lg bg-gradient-to-r from-amber-200 to-yellow-100">
+        {collection.coverImage && (
+          <img src={collection.coverImage.url} alt={collection.name} className="w-full h-40 md:h-56 object-cover" />
+        )}
+        <div className="p-6">
+          <h2 className="text-3xl font-bold text-amber-900">{collection.name}</h2>
+          {collection.description && <p className="mt-2 text-amber-800">{collection.description}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,298 @@
+import { useState } from 'react';
+import { uploadImage, deleteImageFiles } from '../Products/images';
+import TagInput from '../Products/TagInput';
+import { allTags, getTags } from '../Products/tags';
+import useCollections from './useCollections';
+import { collectionMatcher, newCollectionId, saveCollection, deleteCollection } from './collections';
+
+const initialFormData = {
+  name: '',
+  slug: '',
+  description: '',
+  sortOrder: 0,
+  coverImage: null,
+  coverFile: null,
+  productIds: [],
+  tags: [],
+  maxWeight: ''
+};
+
+const inputClassName = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Admin section for curated collections with their own catalog landing pages
+export default function CollectionManager({ products }) {
+  const collections = useCollections();
+  const [formData, setFormData] = useState(initialFormData);
+  const [editId, setEditId] = useState(null);
+  const [productSearch, setProductSearch] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const productCount = (collection) => products.filter(collectionMatcher(collection)).length;
+  const pickableProducts = products.filter(product => {
+    const search = productSearch.trim().toLowerCase();
+    return !search || [product.name, product.category, product.sku, ...getTags(product)]
+      .some(value => value?.toLowerCase().includes(search));
+  });
+
+  const resetForm = () => {
+    setFormData(initialFormData);
+    setEditId(null);
+    setProductSearch('');
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, files } = e.target;
+    setFormData(prev => ({ ...prev, [name]: files ? files[0] || null : value }));
+  };
+
+  const toggleProduct = (productId) => {
+    setFormData(prev => ({
+      ...prev,
+      productIds: prev.productIds.includes(productId)
+        ? prev.productIds.filter(id => id !== productId)
+        : [...prev.productIds, productId]
+    }));
+  };
+
+  const handleEdit = (collection) => {
+    setFormData({
+      name: collection.name,
+      slug: collection.slug,
+      description: collection.description || '',
+      sortOrder: collection.sortOrder ?? 0,
+      coverImage: collection.coverImage || null,
+      coverFile: null,
+      productIds: Object.keys(collection.productIds || {}),
+      tags: collection.rules?.tags || [],
+      maxWeight: collection.rules?.maxWeight ?? ''
+    });
+    setEditId(collection.id);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const { coverFile, ...values } = formData;
+      const collectionId = editId || newCollectionId();
+      const previousCover = collections.find(c => c.id === editId)?.coverImage;
+      if (coverFile) {
+        values.coverImage = await uploadImage(`collections/${collectionId}`, coverFile);
+      }
+
+      await saveCollection(collections, collectionId, values);
+      if (previousCover && previousCover.url !== values.coverImage?.url) {
+        await deleteImageFiles([previousCover]);
+      }
+
+      setSuccessMessage(editId ? 'Collection updated successfully!' : 'Collection added successfully!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving collection:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? Its products are not affected.`)) return;
+    try {
+      await deleteCollection(collection.id);
+      if (collection.coverImage) {
+        await deleteImageFiles([collection.coverImage]);
+      }
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Collections ({collections.length})</h2>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium mb-1">Name*</label>
+          <input
+            type="text"
+            name="name"
+            placeholder="e.g., Diwali 2026"
+            value={formData.name}
+            onChange={handleInputChange}
+            className={inputClassName}
+            required
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-sm font-medium mb-1">URL Slug</label>
+            <input
+              type="text"
+              name="slug"
+              placeholder="From name"
+              value={formData.slug}
+              onChange={handleInputChange}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Order</label>
+            <input
+              type="number"
+              name="sortOrder"
+              step="1"
+              value={formData.sortOrder}
+              onChange={handleInputChange}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium mb-1">Description</label>
+          <textarea
+            name="description"
+            value={formData.description}
+            onChange={handleInputChange}
+            className={inputClassName}
+            rows={2}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Include products tagged</label>
+          <TagInput
+            tags={formData.tags}
+            suggestions={allTags(products)}
+            onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-sm font-medium mb-1">Max Weight (g)</label>
+            <input
+              type="number"
+              name="maxWeight"
+              min="0"
+              step="0.001"
+              placeholder="No limit"
+              value={formData.maxWeight}
+              onChange={handleInputChange}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Cover Image</label>
+            <input
+              type="file"
+              name="coverFile"
+              accept="image/*"
+              onChange={handleInputChange}
+              className="w-full p-1 border rounded text-sm"
+            />
+          </div>
+        </div>
+        <p className="md:col-span-2 -mt-2 text-xs text-gray-500">
+          Tag and weight rules add matching products automatically, including ones added later. Products picked below are always included.
+        </p>
+
+        <div className="md:col-span-2">
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <label className="text-sm font-medium">Hand-picked products ({formData.productIds.length})</label>
+            <input
+              type="text"
+              placeholder="Search products..."
+              value={productSearch}
+              onChange={(e) => setProductSearch(e.target.value)}
+              className="p-1 border rounded text-sm"
+            />
+          </div>
+          <div className="max-h-48 overflow-y-auto border rounded p-2 grid grid-cols-1 md:grid-cols-3 gap-1">
+            {pickableProducts.map(product => (
+              <label key={product.id} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={formData.productIds.includes(product.id)}
+                  onChange={() => toggleProduct(product.id)}
+                />
+                <span className="truncate">{product.name}{product.sku && <span className="text-gray-500"> ({product.sku})</span>}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="md:col-span-2 flex gap-2">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors disabled:bg-blue-400"
+          >
+            {isSaving ? 'Saving...' : editId ? 'Update Collection' : 'Add Collection'}
+          </button>
+          {editId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {collections.length === 0 ? (
+        <p className="text-gray-500">No collections yet</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Collection</th>
+              <th className="py-2">Page</th>
+              <th className="py-2 text-right">Products</th>
+              <th className="py-2 pl-4">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {collections.map(collection => (
+              <tr key={collection.id} className="border-b last:border-0">
+                <td className="py-2">{collection.name}</td>
+                <td className="py-2">
+                  <a href={`/collection/${collection.slug}`} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">
+                    /collection/{collection.slug}
+                  </a>
+                </td>
+                <td className="py-2 text-right">{productCount(collection)}</td>
+                <td className="py-2 pl-4">
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleEdit(collection)}
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(collection)}
+                      className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { ref, push, update } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { grossWeightInGrams } from '../Products/schema';
+import { getTags, parseTags } from '../Products/tags';
+import { slugify, uniqueSlug } from '../Categories/categories';
+
+// Curated collections are stored under `collections/<id>` as
+// { name, slug, description, coverImage, sortOrder, productIds, rules }.
+// `productIds` holds hand-picked products as { <productId>: true }; `rules`
+// optionally adds every product with one of `rules.tags` and/or at most
+// `rules.maxWeight` grams, so "Under 5g" stays current without editing it.
+
+export const sortCollections = (collections) => {
+  return [...collections].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || a.name.localeCompare(b.name));
+};
+
+export const findCollectionBySlug = (collections, slug) => collections.find(collection => collection.slug === slug) || null;
+
+const hasRules = (rules) => parseTags(rules?.tags).length > 0 || rules?.maxWeight > 0;
+
+const matchesRules = (rules, product) => {
+  if (!hasRules(rules)) return false;
+  const tags = parseTags(rules.tags);
+  if (tags.length > 0 && !getTags(product).some(tag => tags.includes(tag))) return false;
+  if (rules.maxWeight > 0) {
+    const weight = grossWeightInGrams(product);
+    if (weight == null || weight > rules.maxWeight) return false;
+  }
+  return true;
+};
+
+// Predicate for products in a collection, picked by hand or by its rules
+export const collectionMatcher = (collection) => {
+  return (product) => Boolean(collection.productIds?.[product.id]) || matchesRules(collection.rules, product);
+};
+
+export const newCollectionId = () => push(ref(db, 'collections')).key;
+
+// Create or update a collection (pass a new id from newCollectionId to create one)
+export const saveCollection = async (collections, id, values) => {
+  const name = String(values.name || '').trim().replace(/\s+/g, ' ');
+  if (!name) {
+    throw new Error('Please enter a collection name');
+  }
+  const maxWeight = values.maxWeight === '' || values.maxWeight == null ? null : parseFloat(values.maxWeight);
+  if (maxWeight !== null && !(maxWeight > 0)) {
+    throw new Error('Maximum weight must be a positive number');
+  }
+  const tags = parseTags(values.tags);
+  const productIds = Object.fromEntries(values.productIds.map(productId => [productId, true]));
+  if (values.productIds.length === 0 && tags.length === 0 && maxWeight === null) {
+    throw new Error('Pick some products or add a tag or weight rule');
+  }
+
+  await update(ref(db), {
+    [`collections/${id}`]: {
+      name,
+      slug: uniqueSlug(collections, slugify(values.slug || name), id, 'collection'),
+      description: String(values.description || '').trim() || null,
+      coverImage: values.coverImage || null,
+      sortOrder: parseInt(values.sortOrder) || 0,
+      productIds: values.productIds.length > 0 ? productIds : null,
+      rules: tags.length > 0 || maxWeight !== null ? { tags: tags.length > 0 ? tags : null, maxWeight } : null
+    }
+  });
+};
+
+export const deleteCollection = async (id) => {
+  await update(ref(db), { [`collections/${id}`]: null });
+};
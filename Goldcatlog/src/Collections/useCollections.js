@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { sortCollections } from './collections';
+
+// Subscribe to the curated collections, in display order
+export default function useCollections() {
+  const [collections, setCollections] = useState([]);
+
+  useEffect(() => {
+    return onValue(ref(db, 'collections'), (snapshot) => {
+      const data = snapshot.val();
+      setCollections(data ? sortCollections(Object.entries(data).map(([id, item]) => ({ id, ...item }))) : []);
+    });
+  }, []);
+
+  return collections;
+}
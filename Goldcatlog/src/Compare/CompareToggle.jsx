@@ -0,0 +1,17 @@
+// "Compare" checkbox on catalog cards; clicks don't open the product
+export default function CompareToggle({ isSelected, onToggle }) {
+  return (
+    <label
+      onClick={(e) => e.stopPropagation()}
+      className="flex items-center gap-1 text-sm text-amber-700 hover:text-amber-900 cursor-pointer select-none"
+    >
+      <input
+        type="checkbox"
+        checked={isSelected}
+        onChange={onToggle}
+        className="accent-amber-500"
+      />
+      Compare
+    </label>
+  );
+}
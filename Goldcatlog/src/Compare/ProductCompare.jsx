@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import useProductsById from '../Products/useProductsById';
+import { getThumbnailUrl } from '../Products/images';
+import { isGold, formatPurity } from '../Products/schema';
+import { weightSummary, hasVariants } from '../Products/variants';
+import useGoldRates from '../Rates/useGoldRates';
+import usePricingSettings from '../Pricing/usePricingSettings';
+import useCurrencyRates from '../Pricing/useCurrencyRates';
+import { calculatePriceBreakup, MAKING_CHARGE_TYPES } from '../Pricing/pricing';
+import { formatCurrency, loadSavedCurrency } from '../Pricing/currency';
+import useHolds from '../Orders/useHolds';
+import { applyHolds, stockLabel } from '../Orders/orders';
+import useCompare from './useCompare';
+import { comparePath, parseCompareIds, hasDifferences } from './compare';
+
+// Side-by-side comparison of up to four products at /compare?ids=a,b. Rows
+// whose values differ are highlighted.
+export default function ProductCompare() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const ids = parseCompareIds(searchParams.get('ids'));
+  const { products: loadedProducts, isLoading } = useProductsById(ids);
+  const holds = useHolds();
+  const { rates } = useGoldRates();
+  const pricingSettings = usePricingSettings();
+  const currencyRates = useCurrencyRates();
+  const [currency] = useState(loadSavedCurrency);
+  const compare = useCompare();
+  const [isCopied, setIsCopied] = useState(false);
+
+  const formatPrice = (amount) => formatCurrency(amount, currency, currencyRates);
+
+  const products = loadedProducts.map(product => applyHolds(product, holds[product.id]));
+
+  const estimatedPrice = (product) => {
+    const price = calculatePriceBreakup(product, rates, pricingSettings);
+    if (!isGold(product) || !(price.weight > 0) || !(price.rate > 0)) return null;
+    return price.totalPrice;
+  };
+
+  const makingChargeText = (product) => {
+    const { makingChargeType, makingCharge, makingChargeAmount, rate } = calculatePriceBreakup(product, rates, pricingSettings);
+    const setting = makingChargeType === 'perGram'
+      ? `${formatPrice(makingCharge)} ${MAKING_CHARGE_TYPES.perGram}`
+      : `${makingCharge}% ${MAKING_CHARGE_TYPES.percent}`;
+    return isGold(product) && rate > 0 && makingChargeAmount > 0 ? `${setting} (${formatPrice(makingChargeAmount)})` : setting;
+  };
+
+  const rows = [
+    { label: 'Weight', value: weightSummary },
+    { label: 'Purity', value: formatPurity },
+    { label: 'Category', value: (product) => product.category || 'Uncategorized' },
+    { label: 'Stock', value: (product) => product.inStock === false ? stockLabel(product) : 'In Stock' },
+    { label: 'Making charge', value: makingChargeText },
+    {
+      label: 'Estimated price',
+      value: (product) => {
+        const price = estimatedPrice(product);
+        if (price === null) return 'Price on request';
+        return `${hasVariants(product) ? 'From ' : ''}${formatPrice(price)}`;
+      }
+    }
+  ];
+
+  const handleRemove = (productId) => {
+    const remaining = ids.filter(id => id !== productId);
+    compare.remove(productId);
+    setSearchParams(remaining.length > 0 ? { ids: remaining.join(',') } : {}, { replace: true });
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${comparePath(ids)}`);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 3000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 to-orange-50">
+      <div className="container mx-auto p-4 max-w-6xl">
+        <header className="py-8 flex flex-col md:flex-row md:justify-between md:items-center gap-3">
+          <div>
+            <Link to="/" className="text-amber-700 hover:underline">← Browse the collection</Link>
+            <h1 className="text-3xl font-bold text-amber-800 mt-2">Compare Pieces</h1>
+          </div>
+          {products.length > 0 && (
+            <button
+              onClick={handleCopyLink}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-4 rounded-lg transition-colors"
+            >
+              {isCopied ? 'Link Copied!' : 'Copy Link'}
+            </button>
+          )}
+        </header>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-amber-500"></div>
+          </div>
+        ) : products.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-lg p-8 text-center text-amber-700">
+            Tick <strong>Compare</strong> on up to four pieces in the catalog to see them side by side.
+          </div>
+        ) : (
+          <>
+            {products.length < ids.length && (
+              <p className="mb-4 text-amber-700">
+                {ids.length - products.length === 1 ? 'One piece is' : 'Some pieces are'} no longer available.
+              </p>
+            )}
+            <div className="bg-white rounded-xl shadow overflow-x-auto">
+              <table className="w-full text-left">
+                <thead>
+                  <tr>
+                    <th className="p-4 w-40"></th>
+                    {products.map(product => (
+                      <th key={product.id} className="p-4 align-top font-normal min-w-48">
+                        <Link to={`/product/${product.id}`}>
+                          {getThumbnailUrl(product) ? (
+                            <img src={getThumbnailUrl(product)} alt={product.name} className="w-full h-40 object-cover rounded-lg" />
+                          ) : (
+                            <div className="w-full h-40 bg-amber-50 rounded-lg"></div>
+                          )}
+                          <span className="block mt-2 font-bold text-amber-900 hover:underline">{product.name}</span>
+                        </Link>
+                        <button
+                          onClick={() => handleRemove(product.id)}
+                          className="mt-1 text-sm text-red-600 hover:underline"
+                        >
+                          Remove
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    const values = products.map(product => row.value(product));
+                    const isDifferent = products.length > 1 && hasDifferences(values);
+                    return (
+                      <tr key={row.label} className={`border-t border-amber-100 ${isDifferent ? 'bg-amber-50' : ''}`}>
+                        <th className="p-4 font-medium text-amber-800">
+                          {row.label}
+                          {isDifferent && <span className="block text-xs font-normal text-amber-600">Differs</span>}
+                        </th>
+                        {values.map((value, index) => (
+                          <td key={products[index].id} className={`p-4 ${isDifferent ? 'font-semibold text-amber-900' : 'text-gray-700'}`}>
+                            {value}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-amber-600 mt-2">
+              Estimated prices use today's published gold rate and the shop's charges, including GST.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
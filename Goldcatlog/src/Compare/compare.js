@@ -0,0 +1,43 @@
+// Products picked for comparison are kept in localStorage next to `goldShopCart`
+// as a list of product ids. The compare page reads them from its URL
+// (/compare?ids=a,b) so a comparison can be shared.
+export const COMPARE_STORAGE_KEY = 'goldShopCompare';
+
+export const MAX_COMPARE = 4;
+
+export const loadCompare = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY));
+    return Array.isArray(saved) ? saved.slice(0, MAX_COMPARE) : [];
+  } catch (e) {
+    console.error('Error loading compare list', e);
+    return [];
+  }
+};
+
+export const saveCompare = (ids) => {
+  localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(ids));
+};
+
+// Add or remove a product; adding a fifth throws
+export const toggleCompareItem = (ids, productId) => {
+  if (ids.includes(productId)) return ids.filter(id => id !== productId);
+  if (ids.length >= MAX_COMPARE) {
+    throw new Error(`You can compare up to ${MAX_COMPARE} pieces at a time`);
+  }
+  return [...ids, productId];
+};
+
+export const comparePath = (ids) => `/compare?ids=${ids.map(encodeURIComponent).join(',')}`;
+
+// Product ids are database push keys; anything else in a shared link is
+// dropped so it can't be used as a database path
+const PUSH_KEY_PATTERN = /^[-\w]{20}$/;
+
+export const parseCompareIds = (value) => {
+  const ids = (value || '').split(',').map(id => id.trim()).filter(id => PUSH_KEY_PATTERN.test(id));
+  return [...new Set(ids)].slice(0, MAX_COMPARE);
+};
+
+// Whether a comparison row has different values across the products
+export const hasDifferences = (values) => new Set(values.map(value => String(value ?? ''))).size > 1;
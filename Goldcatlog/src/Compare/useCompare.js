@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { loadCompare, saveCompare, toggleCompareItem } from './compare';
+
+// The products picked for comparison, saved to localStorage whenever they change
+export default function useCompare() {
+  const [ids, setIds] = useState(loadCompare);
+
+  useEffect(() => {
+    saveCompare(ids);
+  }, [ids]);
+
+  return {
+    ids,
+    // Throws when the comparison is already full
+    toggle: (productId) => setIds(toggleCompareItem(ids, productId)),
+    remove: (productId) => setIds(prev => prev.filter(id => id !== productId)),
+    clear: () => setIds([])
+  };
+}
@@ -0,0 +1,222 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  RecaptchaVerifier,
+  signInWithPhoneNumber,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword
+} from 'firebase/auth';
+import { auth } from '../Firebase/Config';
+
+const ERROR_MESSAGES = {
+  'auth/invalid-credential': 'Incorrect email or password',
+  'auth/invalid-email': 'Please enter a valid email address',
+  'auth/email-already-in-use': 'An account already exists for this email, please sign in',
+  'auth/weak-password': 'Password must be at least 6 characters',
+  'auth/invalid-phone-number': 'Please enter a valid phone number with country code',
+  'auth/invalid-verification-code': 'The code is incorrect, please check and try again',
+  'auth/code-expired': 'The code has expired, please request a new one',
+  'auth/too-many-requests': 'Too many attempts, please try again later'
+};
+
+const DEFAULT_COUNTRY_CODE = '+91';
+
+const inputClassName = 'block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500';
+
+// Optional customer sign-in by phone OTP or email, used to sync favorites and wishlists
+export default function CustomerSignIn({ onClose }) {
+  const [method, setMethod] = useState('phone');
+  const [phone, setPhone] = useState(DEFAULT_COUNTRY_CODE);
+  const [code, setCode] = useState('');
+  const [confirmation, setConfirmation] = useState(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isNewAccount, setIsNewAccount] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const recaptchaContainer = useRef(null);
+  const recaptchaVerifier = useRef(null);
+
+  useEffect(() => {
+    return () => recaptchaVerifier.current?.clear();
+  }, []);
+
+  const run = async (action) => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      await action();
+    } catch (err) {
+      console.error('Error signing in customer:', err);
+      setError(ERROR_MESSAGES[err.code] || 'Could not sign in, please try again');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSendCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (!recaptchaVerifier.current) {
+        recaptchaVerifier.current = new RecaptchaVerifier(auth, recaptchaContainer.current, { size: 'invisible' });
+      }
+      setConfirmation(await signInWithPhoneNumber(auth, phone.replace(/[^\d+]/g, ''), recaptchaVerifier.current));
+    });
+  };
+
+  const handleVerifyCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await confirmation.confirm(code.trim());
+      onClose();
+    });
+  };
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const signIn = isNewAccount ? createUserWithEmailAndPassword : signInWithEmailAndPassword;
+      await signIn(auth, email, password);
+      onClose();
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl overflow-hidden max-w-md w-full"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center bg-amber-100 p-4">
+          <h3 className="font-bold text-xl text-amber-900">Sign in to save your favorites</h3>
+          <button
+            onClick={onClose}
+            className="text-amber-800 hover:text-amber-950"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6">
+          <div className="flex mb-4 border border-amber-300 rounded-lg overflow-hidden">
+            {[['phone', 'Phone'], ['email', 'Email']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => { setMethod(value); setError(''); }}
+                className={`flex-1 py-2 transition-colors ${method === value ? 'bg-amber-500 text-white' : 'bg-white text-amber-800 hover:bg-amber-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded">
+              {error}
+            </div>
+          )}
+
+          {method === 'phone' && !confirmation && (
+            <form onSubmit={handleSendCode} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-amber-800 mb-1">Mobile Number</label>
+                <input
+                  type="tel"
+                  value={phone}
+                  onChange={(e) => setPhone(e.target.value)}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 px-6 rounded-lg transition-colors disabled:bg-amber-300"
+              >
+                {isSubmitting ? 'Sending...' : 'Send Code'}
+              </button>
+            </form>
+          )}
+
+          {method === 'phone' && confirmation && (
+            <form onSubmit={handleVerifyCode} className="space-y-4">
+              <p className="text-sm text-amber-700">Enter the 6-digit code sent to {phone}</p>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className={inputClassName}
+                required
+              />
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 px-6 rounded-lg transition-colors disabled:bg-amber-300"
+              >
+                {isSubmitting ? 'Verifying...' : 'Verify'}
+              </button>
+              <button
+                type="button"
+                onClick={() => { setConfirmation(null); setCode(''); }}
+                className="w-full text-sm text-amber-700 hover:underline"
+              >
+                Use a different number
+              </button>
+            </form>
+          )}
+
+          {method === 'email' && (
+            <form onSubmit={handleEmailSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-amber-800 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className={inputClassName}
+                  autoComplete="email"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-amber-800 mb-1">Password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className={inputClassName}
+                  autoComplete={isNewAccount ? 'new-password' : 'current-password'}
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 px-6 rounded-lg transition-colors disabled:bg-amber-300"
+              >
+                {isSubmitting ? 'Please wait...' : isNewAccount ? 'Create Account' : 'Sign In'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsNewAccount(!isNewAccount)}
+                className="w-full text-sm text-amber-700 hover:underline"
+              >
+                {isNewAccount ? 'Already have an account? Sign in' : 'New here? Create an account'}
+              </button>
+            </form>
+          )}
+
+          {/* Invisible reCAPTCHA used by phone sign-in */}
+          <div ref={recaptchaContainer}></div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaBell } from 'react-icons/fa';
+import { useAuth } from '../Auth/AuthContext';
+import useRateAlerts from '../Rates/useRateAlerts';
+import { checkRateAlerts } from '../Rates/alerts';
+import useNotifications from './useNotifications';
+import { markNotificationsRead, clearNotifications } from './notifications';
+
+// Signed-in customer's notification bell. While it is on screen it also checks
+// their rate alerts against the published rates.
+export default function NotificationBell({ rates }) {
+  const { user } = useAuth();
+  const alerts = useRateAlerts();
+  const notifications = useNotifications();
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!user || !rates) return;
+    checkRateAlerts(user.uid, alerts, rates).catch(error => console.error('Error checking rate alerts:', error));
+  }, [user, alerts, rates]);
+
+  if (!user) return null;
+
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+
+  const toggle = () => {
+    if (!isOpen && unreadCount > 0) {
+      markNotificationsRead(user.uid, notifications).catch(error => console.error('Error updating notifications:', error));
+    }
+    setIsOpen(open => !open);
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearNotifications(user.uid);
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Error clearing notifications:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggle}
+        className="relative text-amber-700 hover:text-amber-900 p-1"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} new)` : ''}`}
+      >
+        <FaBell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-4 min-w-4 px-1 flex items-center justify-center">
+            {unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 bg-white rounded-lg shadow-lg z-40 text-left">
+          <div className="flex justify-between items-center px-4 py-2 border-b border-amber-100">
+            <span className="font-medium text-amber-900">Notifications</span>
+            {notifications.length > 0 && (
+              <button onClick={handleClear} className="text-sm text-amber-600 hover:underline">Clear</button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-amber-700 text-center">
+              No notifications yet. Set a <Link to="/rates" className="underline">rate alert</Link> to hear when gold moves.
+            </p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto divide-y divide-amber-50">
+              {notifications.map(notification => (
+                <li key={notification.id} className="px-4 py-2">
+                  {notification.link ? (
+                    <Link to={notification.link} onClick={() => setIsOpen(false)} className="font-medium text-amber-900 hover:underline">
+                      {notification.title}
+                    </Link>
+                  ) : (
+                    <span className="font-medium text-amber-900">{notification.title}</span>
+                  )}
+                  {notification.message && <p className="text-sm text-amber-700">{notification.message}</p>}
+                  {notification.createdAt && (
+                    <p className="text-xs text-amber-500">{new Date(notification.createdAt).toLocaleString()}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
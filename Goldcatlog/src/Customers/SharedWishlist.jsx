@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import useProducts from '../Products/useProducts';
+import WishlistItems from './WishlistItems';
+
+// Read-only view of a wishlist the customer has chosen to share
+export default function SharedWishlist() {
+  const { uid, listId } = useParams();
+  const { products } = useProducts();
+  const [wishlist, setWishlist] = useState(undefined);
+
+  useEffect(() => {
+    return onValue(ref(db, `customers/${uid}/wishlists/${listId}`), (snapshot) => {
+      const data = snapshot.val();
+      setWishlist(data?.isShared ? data : null);
+    }, () => {
+      // Lists that are not shared are rejected by the database rules
+      setWishlist(null);
+    });
+  }, [uid, listId]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 to-orange-50">
+      <div className="container mx-auto p-4 max-w-7xl">
+        <header className="py-8">
+          <Link to="/" className="text-amber-700 hover:underline">← Browse the collection</Link>
+        </header>
+
+        {wishlist === undefined && (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-amber-500"></div>
+          </div>
+        )}
+
+        {wishlist === null && (
+          <div className="text-center py-12">
+            <h2 className="text-2xl font-bold text-amber-900 mb-2">Wishlist not available</h2>
+            <p className="text-amber-700">This wishlist does not exist or is no longer shared.</p>
+          </div>
+        )}
+
+        {wishlist && (
+          <>
+            <h1 className="text-3xl font-bold text-amber-800 mb-6">{wishlist.name}</h1>
+            <WishlistItems productIds={Object.keys(wishlist.items || {})} products={products} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { Link } from 'react-router-dom';
+import { getThumbnailUrl } from '../Products/images';
+import { formatWeight, formatPurity } from '../Products/schema';
+
+// Grid of the products in a wishlist; items whose product was removed are skipped
+export default function WishlistItems({ productIds, products, onRemove }) {
+  const items = productIds
+    .map(id => products.find(product => product.id === id))
+    .filter(Boolean);
+
+  if (items.length === 0) {
+    return <p className="text-amber-700">No pieces in this list yet.</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+      {items.map(product => (
+        <div key={product.id} className="bg-white rounded-lg shadow overflow-hidden relative">
+          <Link to={`/product/${product.id}`}>
+            <div className="h-40 bg-amber-50">
+              {getThumbnailUrl(product) && (
+                <img src={getThumbnailUrl(product)} alt={product.name} className="w-full h-full object-cover" loading="lazy" />
+              )}
+            </div>
+            <div className="p-3">
+              <h4 className="font-bold text-amber-900 truncate">{product.name}</h4>
+              <p className="text-sm text-amber-700">{formatWeight(product)} · {formatPurity(product)}</p>
+              {product.inStock === false && <p className="text-xs text-red-600">Out of Stock</p>}
+            </div>
+          </Link>
+          {onRemove && (
+            <button
+              onClick={() => onRemove(product.id)}
+              className="absolute top-2 right-2 bg-white bg-opacity-80 text-amber-800 hover:bg-red-100 text-xs w-6 h-6 rounded-full"
+              aria-label={`Remove ${product.name}`}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
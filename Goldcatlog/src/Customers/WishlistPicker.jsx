@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { createWishlist, setWishlistItem } from './wishlists';
+
+// Save a product to one or more of the customer's named wishlists
+export default function WishlistPicker({ productId, wishlists, onSignIn }) {
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  if (!user) {
+    return (
+      <button
+        onClick={onSignIn}
+        className="w-full text-sm text-amber-700 hover:underline"
+      >
+        Sign in to save this piece to a wishlist
+      </button>
+    );
+  }
+
+  const handleToggle = async (list) => {
+    try {
+      await setWishlistItem(user.uid, list.id, productId, !list.items.includes(productId));
+    } catch (error) {
+      console.error('Error updating wishlist:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const listId = await createWishlist(user.uid, newName);
+      await setWishlistItem(user.uid, listId, productId, true);
+      setNewName('');
+    } catch (error) {
+      console.error('Error creating wishlist:', error);
+      alert(error.message);
+    }
+  };
+
+  const savedCount = wishlists.filter(list => list.items.includes(productId)).length;
+
+  return (
+    <div className="border border-amber-200 rounded-lg">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex justify-between items-center px-4 py-2 text-amber-800 hover:bg-amber-50 transition-colors"
+      >
+        <span>Save to wishlist{savedCount > 0 && ` (in ${savedCount})`}</span>
+        <span>{isOpen ? '−' : '+'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-2">
+          {wishlists.map(list => (
+            <label key={list.id} className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={list.items.includes(productId)}
+                onChange={() => handleToggle(list)}
+                className="h-4 w-4 accent-amber-500"
+              />
+              <span>{list.name}</span>
+              <span className="text-xs text-gray-500">({list.items.length})</span>
+            </label>
+          ))}
+          <form onSubmit={handleCreate} className="flex gap-2 pt-2">
+            <input
+              type="text"
+              placeholder='New list, e.g. "Wedding set"'
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="flex-grow px-3 py-1 border border-amber-300 rounded-md text-sm focus:ring-amber-500 focus:border-amber-500"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim()}
+              className="bg-amber-500 hover:bg-amber-600 text-white px-3 py-1 rounded text-sm transition-colors disabled:bg-amber-300"
+            >
+              Create
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../Auth/AuthContext';
+import useProducts from '../Products/useProducts';
+import useWishlists from './useWishlists';
+import CustomerSignIn from './CustomerSignIn';
+import WishlistItems from './WishlistItems';
+import {
+  FAVORITES_LIST_ID,
+  createWishlist,
+  renameWishlist,
+  deleteWishlist,
+  setWishlistItem,
+  setWishlistShared,
+  wishlistShareLink
+} from './wishlists';
+
+// Customer account page listing favorites and named wishlists
+export default function Wishlists() {
+  const { user, isLoading: isAuthLoading, signOut } = useAuth();
+  const { wishlists, isLoading } = useWishlists();
+  const { products } = useProducts();
+  const [isSignInVisible, setIsSignInVisible] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+
+  const withErrorAlert = (action, label) => async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error(`Error ${label}:`, error);
+      alert(error.message);
+    }
+  };
+
+  const handleCreate = withErrorAlert(async (e) => {
+    e.preventDefault();
+    await createWishlist(user.uid, newName);
+    setNewName('');
+  }, 'creating wishlist');
+
+  const handleRename = withErrorAlert(async (list) => {
+    const name = window.prompt('Rename wishlist', list.name);
+    if (name && name.trim()) {
+      await renameWishlist(user.uid, list.id, name);
+    }
+  }, 'renaming wishlist');
+
+  const handleDelete = withErrorAlert(async (list) => {
+    if (window.confirm(`Delete the wishlist "${list.name}"?`)) {
+      await deleteWishlist(user.uid, list.id);
+    }
+  }, 'deleting wishlist');
+
+  const handleShare = withErrorAlert(async (list) => {
+    await setWishlistShared(user.uid, list.id, !list.isShared);
+  }, 'sharing wishlist');
+
+  const handleCopyLink = withErrorAlert(async (list) => {
+    await navigator.clipboard.writeText(wishlistShareLink(user.uid, list.id));
+    setCopiedId(list.id);
+    setTimeout(() => setCopiedId(null), 3000);
+  }, 'copying link');
+
+  const handleRemoveItem = withErrorAlert(async (list, productId) => {
+    await setWishlistItem(user.uid, list.id, productId, false);
+  }, 'removing from wishlist');
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 to-orange-50">
+      <div className="container mx-auto p-4 max-w-7xl">
+        <header className="py-8 flex flex-col md:flex-row md:justify-between md:items-center gap-3">
+          <div>
+            <Link to="/" className="text-amber-700 hover:underline">← Browse the collection</Link>
+            <h1 className="text-3xl font-bold text-amber-800 mt-2">My Wishlists</h1>
+          </div>
+          {user && (
+            <div className="text-amber-800">
+              {user.phoneNumber || user.email}
+              <button
+                onClick={signOut}
+                className="ml-3 border border-amber-500 text-amber-700 hover:bg-amber-50 px-3 py-1 rounded transition-colors"
+              >
+                Sign Out
+              </button>
+            </div>
+          )}
+        </header>
+
+        {!isAuthLoading && !user && (
+          <div className="bg-white rounded-xl shadow-lg p-8 text-center">
+            <p className="text-amber-700 mb-4">Sign in to keep your favorites and wishlists on every device.</p>
+            <button
+              onClick={() => setIsSignInVisible(true)}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+            >
+              Sign In
+            </button>
+          </div>
+        )}
+
+        {user && isLoading && (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-amber-500"></div>
+          </div>
+        )}
+
+        {user && !isLoading && (
+          <>
+            <form onSubmit={handleCreate} className="flex gap-2 mb-8 max-w-md">
+              <input
+                type="text"
+                placeholder='New wishlist, e.g. "Wedding set"'
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                className="flex-grow p-2 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+              />
+              <button
+                type="submit"
+                disabled={!newName.trim()}
+                className="bg-amber-500 hover:bg-amber-600 text-white font-bold px-4 rounded-lg transition-colors disabled:bg-amber-300"
+              >
+                Create
+              </button>
+            </form>
+
+            {wishlists.length === 0 && (
+              <p className="text-amber-700">Tap the heart on any piece to start your favorites.</p>
+            )}
+
+            <div className="space-y-8">
+              {wishlists.map(list => (
+                <section key={list.id} className="bg-white bg-opacity-60 rounded-xl p-4">
+                  <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-2 mb-4">
+                    <h2 className="text-xl font-bold text-amber-900">
+                      {list.name}
+                      <span className="ml-2 text-sm bg-amber-100 text-amber-800 py-1 px-2 rounded-full">{list.items.length}</span>
+                    </h2>
+                    <div className="flex flex-wrap gap-2 text-sm">
+                      <button
+                        onClick={() => handleShare(list)}
+                        className="border border-amber-500 text-amber-700 hover:bg-amber-50 px-3 py-1 rounded transition-colors"
+                      >
+                        {list.isShared ? 'Stop Sharing' : 'Share'}
+                      </button>
+                      {list.isShared && (
+                        <button
+                          onClick={() => handleCopyLink(list)}
+                          className="bg-amber-500 hover:bg-amber-600 text-white px-3 py-1 rounded transition-colors"
+                        >
+                          {copiedId === list.id ? 'Link Copied!' : 'Copy Link'}
+                        </button>
+                      )}
+                      {list.id !== FAVORITES_LIST_ID && (
+                        <>
+                          <button
+                            onClick={() => handleRename(list)}
+                            className="border border-amber-500 text-amber-700 hover:bg-amber-50 px-3 py-1 rounded transition-colors"
+                          >
+                            Rename
+                          </button>
+                          <button
+                            onClick={() => handleDelete(list)}
+                            className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded transition-colors"
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  <WishlistItems
+                    productIds={list.items}
+                    products={products}
+                    onRemove={(productId) => handleRemoveItem(list, productId)}
+                  />
+                </section>
+              ))}
+            </div>
+          </>
+        )}
+
+        {isSignInVisible && <CustomerSignIn onClose={() => setIsSignInVisible(false)} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { ref, push, update, remove, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// In-app notifications for signed-in customers, kept under
+// `customers/<uid>/notifications` as { title, message, link, read, createdAt }
+
+// Database update adding a notification, to be saved with the change behind it
+export const notificationUpdate = (uid, { title, message, link }) => {
+  const key = push(ref(db, `customers/${uid}/notifications`)).key;
+  return {
+    [`customers/${uid}/notifications/${key}`]: {
+      title,
+      message: message || null,
+      link: link || null,
+      read: false,
+      createdAt: serverTimestamp()
+    }
+  };
+};
+
+export const markNotificationsRead = async (uid, notifications) => {
+  const updates = {};
+  notifications.filter(notification => !notification.read).forEach(notification => {
+    updates[`customers/${uid}/notifications/${notification.id}/read`] = true;
+  });
+  if (Object.keys(updates).length > 0) {
+    await update(ref(db), updates);
+  }
+};
+
+export const clearNotifications = (uid) => remove(ref(db, `customers/${uid}/notifications`));
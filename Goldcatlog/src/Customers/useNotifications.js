@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { ref, query, orderByKey, limitToLast, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { useAuth } from '../Auth/AuthContext';
+
+const NOTIFICATION_LIMIT = 20;
+
+// Signed-in customer's most recent notifications, newest first
+export default function useNotifications() {
+  const { user } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+
+  useEffect(() => {
+    if (!user) {
+      setNotifications([]);
+      return;
+    }
+    const notificationsQuery = query(ref(db, `customers/${user.uid}/notifications`), orderByKey(), limitToLast(NOTIFICATION_LIMIT));
+    return onValue(notificationsQuery, (snapshot) => {
+      const notificationsArray = [];
+      snapshot.forEach(child => {
+        notificationsArray.push({ id: child.key, ...child.val() });
+      });
+      setNotifications(notificationsArray.reverse());
+    }, (error) => {
+      console.error('Error loading notifications:', error);
+    });
+  }, [user]);
+
+  return notifications;
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { useAuth } from '../Auth/AuthContext';
+import { FAVORITES_LIST_ID, mergeLocalFavorites } from './wishlists';
+
+// Signed-in customer's wishlists, with the favorites list kept first.
+// `onFavoritesMerged` is called once favorites saved on this device before
+// signing in have been moved to the account.
+export default function useWishlists({ onFavoritesMerged } = {}) {
+  const { user, role, isLoading: isAuthLoading } = useAuth();
+  const [wishlists, setWishlists] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user) {
+      setWishlists([]);
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    return onValue(ref(db, `customers/${user.uid}/wishlists`), (snapshot) => {
+      const data = snapshot.val() || {};
+      const lists = Object.entries(data).map(([id, list]) => ({
+        id,
+        name: list.name,
+        isShared: Boolean(list.isShared),
+        createdAt: list.createdAt || 0,
+        items: Object.keys(list.items || {})
+      }));
+      lists.sort((a, b) => {
+        if (a.id === FAVORITES_LIST_ID) return -1;
+        if (b.id === FAVORITES_LIST_ID) return 1;
+        return a.createdAt - b.createdAt;
+      });
+      setWishlists(lists);
+      setIsLoading(false);
+    }, (error) => {
+      console.error('Error loading wishlists:', error);
+      setIsLoading(false);
+    });
+  }, [user]);
+
+  // Bring over favorites saved before signing in. Staff and owner accounts
+  // are skipped so a shared shop device doesn't fill their lists.
+  useEffect(() => {
+    if (!user || isAuthLoading || role) return;
+
+    mergeLocalFavorites(user.uid)
+      .then(merged => {
+        if (merged) onFavoritesMerged?.();
+      })
+      .catch(error => console.error('Error merging favorites:', error));
+  }, [user, role, isAuthLoading, onFavoritesMerged]);
+
+  const favorites = wishlists.find(list => list.id === FAVORITES_LIST_ID)?.items || [];
+
+  return { wishlists, favorites, isLoading };
+}
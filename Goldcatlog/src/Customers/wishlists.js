@@ -0,0 +1,70 @@
+import { ref, push, set, update, remove, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Every customer's favorites are kept as a wishlist with this fixed id
+export const FAVORITES_LIST_ID = 'favorites';
+const FAVORITES_NAME = 'Favorites';
+
+// Anonymous favorites kept in the browser until the customer signs in
+export const LOCAL_FAVORITES_KEY = 'goldShopFavorites';
+
+const wishlistPath = (uid, listId) => `customers/${uid}/wishlists/${listId}`;
+
+export const wishlistShareLink = (uid, listId) => `${window.location.origin}/wishlist/${uid}/${listId}`;
+
+export const loadLocalFavorites = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_FAVORITES_KEY)) || [];
+  } catch (e) {
+    console.error("Error loading favorites", e);
+    return [];
+  }
+};
+
+export const saveLocalFavorites = (favorites) => {
+  localStorage.setItem(LOCAL_FAVORITES_KEY, JSON.stringify(favorites));
+};
+
+// Add or remove a product from one of the customer's wishlists
+export const setWishlistItem = (uid, listId, productId, isIncluded) => {
+  const changes = { [`items/${productId}`]: isIncluded ? true : null };
+  if (listId === FAVORITES_LIST_ID) {
+    changes.name = FAVORITES_NAME;
+  }
+  return update(ref(db, wishlistPath(uid, listId)), changes);
+};
+
+export const createWishlist = async (uid, name) => {
+  if (!name.trim()) {
+    throw new Error('Please enter a name for the wishlist');
+  }
+  const listRef = push(ref(db, `customers/${uid}/wishlists`));
+  await set(listRef, { name: name.trim(), createdAt: serverTimestamp() });
+  return listRef.key;
+};
+
+export const renameWishlist = (uid, listId, name) => {
+  return update(ref(db, wishlistPath(uid, listId)), { name: name.trim() });
+};
+
+export const deleteWishlist = (uid, listId) => remove(ref(db, wishlistPath(uid, listId)));
+
+// Shared wishlists can be read by anyone with the link (see database.rules.json)
+export const setWishlistShared = (uid, listId, isShared) => {
+  return update(ref(db, wishlistPath(uid, listId)), { isShared: isShared || null });
+};
+
+// Move the anonymous local favorites into the customer's cloud favorites.
+// Resolves to whether there were any to move.
+export const mergeLocalFavorites = async (uid) => {
+  const localFavorites = loadLocalFavorites();
+  if (localFavorites.length === 0) return false;
+
+  const changes = { name: FAVORITES_NAME };
+  localFavorites.forEach(productId => {
+    changes[`items/${productId}`] = true;
+  });
+  await update(ref(db, wishlistPath(uid, FAVORITES_LIST_ID)), changes);
+  localStorage.removeItem(LOCAL_FAVORITES_KEY);
+  return true;
+};
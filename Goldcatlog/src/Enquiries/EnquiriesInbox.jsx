@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import { ENQUIRY_STATUSES, updateEnquiry } from './enquiries';
+
+const STATUS_STYLES = {
+  new: 'bg-blue-100 text-blue-800',
+  contacted: 'bg-yellow-100 text-yellow-800',
+  closed: 'bg-gray-100 text-gray-600'
+};
+
+// Admin inbox for customer enquiries with status, notes and filters
+export default function EnquiriesInbox() {
+  const { user, role } = useAuth();
+  const [enquiries, setEnquiries] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('new');
+  const [productFilter, setProductFilter] = useState('');
+  const [noteDrafts, setNoteDrafts] = useState({});
+
+  useEffect(() => {
+    return onValue(ref(db, 'enquiries'), (snapshot) => {
+      const data = snapshot.val();
+      const enquiriesArray = data
+        ? Object.entries(data).map(([id, item]) => ({ id, ...item }))
+        : [];
+      setEnquiries(enquiriesArray.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)));
+    });
+  }, []);
+
+  const canManage = can(role, 'enquiries:manage');
+
+  // Products that have enquiries, for the product filter
+  const enquiryProducts = [...new Map(enquiries.map(enquiry => [enquiry.productId, enquiry.productName])).entries()];
+
+  const filteredEnquiries = enquiries.filter(enquiry => {
+    const matchesStatus = statusFilter ? enquiry.status === statusFilter : true;
+    const matchesProduct = productFilter ? enquiry.productId === productFilter : true;
+    return matchesStatus && matchesProduct;
+  });
+
+  const newCount = enquiries.filter(enquiry => enquiry.status === 'new').length;
+
+  const handleStatusChange = async (enquiry, status) => {
+    try {
+      await updateEnquiry(enquiry.id, { status }, user);
+    } catch (error) {
+      console.error('Error updating enquiry:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleSaveNotes = async (enquiry) => {
+    try {
+      await updateEnquiry(enquiry.id, { notes: noteDrafts[enquiry.id].trim() || null }, user);
+      setNoteDrafts(prev => {
+        const { [enquiry.id]: _saved, ...rest } = prev;
+        return rest;
+      });
+    } catch (error) {
+      console.error('Error saving notes:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold">
+          Enquiries
+          {newCount > 0 && (
+            <span className="ml-2 text-sm bg-blue-600 text-white py-1 px-2 rounded-full">{newCount} new</span>
+          )}
+        </h2>
+        <div className="flex gap-2">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="p-2 border rounded bg-white text-sm"
+          >
+            <option value="">All Statuses</option>
+            {Object.entries(ENQUIRY_STATUSES).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={productFilter}
+            onChange={(e) => setProductFilter(e.target.value)}
+            className="p-2 border rounded bg-white text-sm"
+          >
+            <option value="">All Products</option>
+            {enquiryProducts.map(([productId, productName]) => (
+              <option key={productId} value={productId}>{productName}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {filteredEnquiries.length === 0 ? (
+        <p className="text-gray-500">No enquiries found</p>
+      ) : (
+        <div className="space-y-4 max-h-[36rem] overflow-y-auto">
+          {filteredEnquiries.map(enquiry => (
+            <div key={enquiry.id} className="border p-4 rounded-lg">
+              <div className="flex flex-col md:flex-row md:justify-between gap-2">
+                <div>
+                  <p className="font-bold">
+                    {enquiry.name}
+                    <span className={`ml-2 text-xs px-2 py-1 rounded-full ${STATUS_STYLES[enquiry.status]}`}>
+                      {ENQUIRY_STATUSES[enquiry.status]}
+                    </span>
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    <a href={`tel:${enquiry.phone}`} className="text-blue-600 hover:underline">{enquiry.phone}</a>
+                    {' · '}
+                    <a
+                      href={`https://wa.me/${enquiry.phone.replace(/\D/g, '')}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-green-600 hover:underline"
+                    >
+                      WhatsApp
+                    </a>
+                    {enquiry.email && (
+                      <>
+                        {' · '}
+                        <a href={`mailto:${enquiry.email}`} className="text-blue-600 hover:underline">{enquiry.email}</a>
+                      </>
+                    )}
+                  </p>
+                  <p className="text-sm mt-1">
+                    About:{' '}
+                    <a
+                      href={`/product/${enquiry.productId}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:underline"
+                    >
+                      {enquiry.productName}
+                    </a>
+                  </p>
+                </div>
+                <div className="text-sm text-gray-500 md:text-right">
+                  {enquiry.createdAt && new Date(enquiry.createdAt).toLocaleString()}
+                  {canManage && (
+                    <select
+                      value={enquiry.status}
+                      onChange={(e) => handleStatusChange(enquiry, e.target.value)}
+                      className="block md:ml-auto mt-2 p-1 border rounded bg-white"
+                    >
+                      {Object.entries(ENQUIRY_STATUSES).map(([status, label]) => (
+                        <option key={status} value={status}>{label}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              </div>
+
+              {enquiry.message && (
+                <p className="mt-2 text-gray-700 bg-gray-50 p-2 rounded">{enquiry.message}</p>
+              )}
+
+              {canManage ? (
+                <div className="mt-2 flex gap-2">
+                  <textarea
+                    rows={1}
+                    placeholder="Add notes..."
+                    value={noteDrafts[enquiry.id] ?? enquiry.notes ?? ''}
+                    onChange={(e) => setNoteDrafts(prev => ({ ...prev, [enquiry.id]: e.target.value }))}
+                    className="flex-grow p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  {noteDrafts[enquiry.id] !== undefined && (
+                    <button
+                      onClick={() => handleSaveNotes(enquiry)}
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                    >
+                      Save
+                    </button>
+                  )}
+                </div>
+              ) : (
+                enquiry.notes && <p className="mt-2 text-sm text-gray-500">Notes: {enquiry.notes}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
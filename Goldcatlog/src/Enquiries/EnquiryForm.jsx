@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { submitEnquiry } from './enquiries';
+
+const initialFormData = {
+  name: '',
+  phone: '',
+  email: '',
+  message: ''
+};
+
+// Customer enquiry form for a product, shown in a modal from the catalog
+export default function EnquiryForm({ product, onClose }) {
+  const [formData, setFormData] = useState(initialFormData);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      await submitEnquiry(product, formData);
+      setIsSent(true);
+    } catch (err) {
+      console.error('Error sending enquiry:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl overflow-hidden max-w-lg w-full"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center bg-amber-100 p-4">
+          <h3 className="font-bold text-xl text-amber-900">Enquire about {product.name}</h3>
+          <button
+            onClick={onClose}
+            className="text-amber-800 hover:text-amber-950"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {isSent ? (
+          <div className="p-6 text-center">
+            <h4 className="font-bold text-lg text-amber-900 mb-2">Thank you!</h4>
+            <p className="text-amber-700 mb-6">We have received your enquiry and will contact you shortly.</p>
+            <button
+              onClick={onClose}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+            >
+              Close
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            {error && (
+              <div className="p-3 bg-red-100 text-red-700 rounded">
+                {error}
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-amber-800 mb-1">Your Name*</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-amber-800 mb-1">Phone*</label>
+              <input
+                type="tel"
+                name="phone"
+                value={formData.phone}
+                onChange={handleInputChange}
+                className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-amber-800 mb-1">Email</label>
+              <input
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleInputChange}
+                className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-amber-800 mb-1">Message</label>
+              <textarea
+                name="message"
+                rows={3}
+                placeholder="Size, customisation, preferred time to call..."
+                value={formData.message}
+                onChange={handleInputChange}
+                className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 px-6 rounded-lg transition-colors disabled:bg-amber-300"
+            >
+              {isSubmitting ? 'Sending...' : 'Send Enquiry'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { ref, push, set, update, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+export const ENQUIRY_STATUSES = {
+  new: 'New',
+  contacted: 'Contacted',
+  closed: 'Closed'
+};
+
+export const productLink = (productId) => `${window.location.origin}/product/${productId}`;
+
+// wa.me link with a prefilled message about a product
+export const buildWhatsAppLink = (whatsappNumber, { product, weightText, priceText }) => {
+  const lines = [
+    `Hello, I'm interested in ${product.name} (ID: ${product.id}).`,
+    weightText && `Weight: ${weightText}`,
+    priceText && `Estimated price: ${priceText}`,
+    productLink(product.id)
+  ].filter(Boolean);
+  const number = String(whatsappNumber || '').replace(/\D/g, '');
+  return `https://wa.me/${number}?text=${encodeURIComponent(lines.join('\n'))}`;
+};
+
+// Save a customer's on-site enquiry to the `enquiries` node
+export const submitEnquiry = async (product, { name, phone, email, message }) => {
+  if (!name.trim() || !phone.trim()) {
+    throw new Error('Please enter your name and phone number');
+  }
+
+  const enquiryRef = push(ref(db, 'enquiries'));
+  await set(enquiryRef, {
+    productId: product.id,
+    productName: product.name,
+    name: name.trim(),
+    phone: phone.trim(),
+    email: email.trim() || null,
+    message: message.trim() || null,
+    status: 'new',
+    createdAt: serverTimestamp()
+  });
+  return enquiryRef.key;
+};
+
+export const updateEnquiry = (id, changes, user) => {
+  return update(ref(db, `enquiries/${id}`), {
+    ...changes,
+    updatedAt: serverTimestamp(),
+    updatedBy: user?.email || null
+  });
+};
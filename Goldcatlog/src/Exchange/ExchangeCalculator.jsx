@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { getThumbnailUrl } from '../Products/images';
+import { formatWeight, formatPurity } from '../Products/schema';
+import { isRateStale, RATE_STALE_HOURS } from '../Rates/rates';
+import { EMPTY_EXCHANGE, exchangeBreakup } from './exchange';
+import ExchangeFields from './ExchangeFields';
+
+// Customer calculator valuing old gold at the shop's buyback rate and, when
+// opened from a piece, offsetting it against that piece's estimated price
+export default function ExchangeCalculator({ item, price, rates, settings, formatPrice, onClose }) {
+  const [exchange, setExchange] = useState(EMPTY_EXCHANGE);
+
+  const breakup = exchangeBreakup(exchange, rates, settings);
+  const balance = price === null ? null : price - breakup.value;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl overflow-hidden max-w-lg w-full max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center bg-amber-100 p-4">
+          <h3 className="font-bold text-xl text-amber-900">Old Gold Exchange</h3>
+          <button onClick={onClose} className="text-amber-800 hover:text-amber-950">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto">
+          {item && (
+            <div className="flex items-center bg-amber-50 p-3 rounded-lg mb-6">
+              {getThumbnailUrl(item) && (
+                <img src={getThumbnailUrl(item)} alt={item.name} className="w-16 h-16 object-cover rounded-md mr-4" />
+              )}
+              <div>
+                <div className="font-medium">{item.name}</div>
+                <div className="text-sm text-amber-700">{formatWeight(item)} · {formatPurity(item)}</div>
+              </div>
+            </div>
+          )}
+
+          <h4 className="font-medium text-amber-800 mb-2">Your old gold</h4>
+          <ExchangeFields exchange={exchange} settings={settings} onChange={setExchange} />
+          <p className="text-xs text-amber-600 mt-2">
+            Purity is confirmed by testing at the shop. Leave the deduction blank to use the shop's usual deduction for that purity.
+          </p>
+
+          {!(breakup.rate > 0) ? (
+            <div className="mt-6 text-sm text-amber-700">Today's rate has not been published yet.</div>
+          ) : (
+            <div className="mt-6 space-y-2 text-amber-900">
+              <div className="flex justify-between text-sm">
+                <span>Buyback rate ({breakup.purity}K, per gram)</span>
+                <span>{formatPrice(breakup.rate)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Value of {breakup.weight}g</span>
+                <span>{formatPrice(breakup.grossValue)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Less deduction ({breakup.deductionPercent}%)</span>
+                <span>−{formatPrice(breakup.deductionAmount)}</span>
+              </div>
+              <div className="flex justify-between font-bold border-t border-amber-200 pt-2">
+                <span>Exchange value</span>
+                <span>{formatPrice(breakup.value)}</span>
+              </div>
+
+              {item && (price === null ? (
+                <p className="text-sm text-amber-700 pt-2">
+                  This piece is priced at the shop, so the exchange value will be taken off there.
+                </p>
+              ) : (
+                <>
+                  <div className="flex justify-between pt-4">
+                    <span>Estimated price of the piece</span>
+                    <span>{formatPrice(price)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Less exchange value</span>
+                    <span>−{formatPrice(breakup.value)}</span>
+                  </div>
+                  <div className="flex justify-between font-bold text-lg border-t border-amber-200 pt-2">
+                    <span>{balance >= 0 ? 'Net payable' : 'Balance paid to you'}</span>
+                    <span>{formatPrice(Math.abs(balance))}</span>
+                  </div>
+                </>
+              ))}
+
+              {isRateStale(rates) && (
+                <div className="p-2 bg-yellow-100 text-yellow-800 text-sm rounded">
+                  This rate is more than {RATE_STALE_HOURS} hours old and may have changed. Please confirm with the shop.
+                </div>
+              )}
+              <p className="text-xs text-amber-600">
+                An estimate only; the final value depends on the weight and purity measured at the shop.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { GOLD_PURITIES } from '../Products/schema';
+import { defaultDeduction } from './exchange';
+
+// Weight, tested purity and deduction inputs for old gold handed in, shared by
+// the quote cart and the exchange calculator
+export default function ExchangeFields({ exchange, settings, onChange }) {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...exchange, [name]: value });
+  };
+
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      <div>
+        <label className="block text-sm text-amber-700 mb-1">Weight (g)</label>
+        <input
+          type="number"
+          name="weight"
+          min="0"
+          step="0.001"
+          value={exchange.weight}
+          onChange={handleChange}
+          className="w-full p-2 border border-amber-300 rounded"
+        />
+      </div>
+      <div>
+        <label className="block text-sm text-amber-700 mb-1">Tested purity (K)</label>
+        <input
+          type="number"
+          name="purity"
+          min="1"
+          max="24"
+          step="0.01"
+          list="exchange-purities"
+          value={exchange.purity}
+          onChange={handleChange}
+          className="w-full p-2 border border-amber-300 rounded"
+        />
+        <datalist id="exchange-purities">
+          {GOLD_PURITIES.map(purity => (
+            <option key={purity} value={purity} />
+          ))}
+        </datalist>
+      </div>
+      <div>
+        <label className="block text-sm text-amber-700 mb-1">Deduction (%)</label>
+        <input
+          type="number"
+          name="deductionPercent"
+          min="0"
+          max="100"
+          step="0.1"
+          placeholder={String(defaultDeduction(exchange.purity, settings))}
+          value={exchange.deductionPercent}
+          onChange={handleChange}
+          className="w-full p-2 border border-amber-300 rounded"
+        />
+      </div>
+    </div>
+  );
+}
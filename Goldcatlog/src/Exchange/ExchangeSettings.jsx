@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { ref, set } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { GOLD_PURITIES } from '../Products/schema';
+import { rateKey } from '../Rates/rates';
+import useExchangeSettings from './useExchangeSettings';
+
+// Owner-only section for the rate and deductions old gold is bought back at
+export default function ExchangeSettings() {
+  const settings = useExchangeSettings();
+  const [formData, setFormData] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const values = formData || settings;
+
+  const handleBuybackChange = (e) => {
+    const { value } = e.target;
+    setFormData(prev => ({ ...(prev || settings), buybackPercent: value }));
+  };
+
+  const handleDeductionChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => {
+      const current = prev || settings;
+      return { ...current, deductions: { ...current.deductions, [name]: value } };
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const buybackPercent = parseFloat(values.buybackPercent);
+      if (!(buybackPercent > 0 && buybackPercent <= 100)) {
+        throw new Error('Buyback rate must be between 0 and 100% of the published rate');
+      }
+      const deductions = {};
+      GOLD_PURITIES.forEach(purity => {
+        const value = parseFloat(values.deductions[rateKey(purity)]);
+        if (isNaN(value) || value < 0 || value > 100) {
+          throw new Error(`${purity}K deduction must be between 0 and 100%`);
+        }
+        deductions[rateKey(purity)] = value;
+      });
+
+      await set(ref(db, 'settings/exchange'), { buybackPercent, deductions });
+      setFormData(null);
+      setSuccessMessage('Exchange rules saved!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error saving exchange rules:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Old Gold Exchange</h2>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">Buyback Rate (% of rate)</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.01"
+            value={values.buybackPercent}
+            onChange={handleBuybackChange}
+            className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        {GOLD_PURITIES.map(purity => (
+          <div key={purity}>
+            <label className="block text-sm font-medium mb-1">{purity}K Deduction (%)</label>
+            <input
+              type="number"
+              name={rateKey(purity)}
+              min="0"
+              max="100"
+              step="0.1"
+              value={values.deductions[rateKey(purity)]}
+              onChange={handleDeductionChange}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-sm text-gray-500 mt-2">
+        Tested purities between these use the deduction of the next lower purity; below 14K uses the 14K deduction.
+      </p>
+
+      <div className="mt-4">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
+        >
+          {isSaving ? 'Saving...' : 'Save Exchange Rules'}
+        </button>
+      </div>
+    </form>
+  );
+}
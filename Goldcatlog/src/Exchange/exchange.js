@@ -0,0 +1,53 @@
+import { rateForPurity, rateKey } from '../Rates/rates';
+import { GOLD_PURITIES, DEFAULT_PURITY } from '../Products/schema';
+
+// Old gold is bought back at a percentage of the published rate for its tested
+// purity, less a deduction for melting loss. Owners set both under
+// `settings/exchange`; deductions are keyed like rates ("22K") and the rule for
+// the nearest standard purity at or below the tested one applies.
+export const DEFAULT_EXCHANGE = {
+  buybackPercent: 100,
+  deductions: { '24K': 0, '22K': 2, '18K': 4, '14K': 6 }
+};
+
+export const EMPTY_EXCHANGE = {
+  weight: '',
+  purity: String(DEFAULT_PURITY),
+  deductionPercent: ''
+};
+
+// Deduction percentage the shop applies to old gold of a tested purity
+export const defaultDeduction = (purity, settings) => {
+  const { deductions } = { ...DEFAULT_EXCHANGE, ...settings };
+  const karat = parseFloat(purity) || 0;
+  const standard = [...GOLD_PURITIES].sort((a, b) => b - a).find(p => p <= karat) ?? Math.min(...GOLD_PURITIES);
+  return parseFloat(deductions?.[rateKey(standard)]) || 0;
+};
+
+// Rate per gram the shop pays for old gold of a purity
+export const buybackRate = (rates, purity, settings) => {
+  const { buybackPercent } = { ...DEFAULT_EXCHANGE, ...settings };
+  return rateForPurity(rates, purity) * (parseFloat(buybackPercent) || 0) / 100;
+};
+
+// Value of old gold handed in: its weight at the buyback rate, less the
+// deduction entered at the counter or, if none, the purity's default
+export const exchangeBreakup = ({ weight, purity, deductionPercent }, rates, settings) => {
+  const grams = parseFloat(weight) || 0;
+  const karat = Math.min(parseFloat(purity) || 0, 24);
+  const deduction = deductionPercent === '' || deductionPercent == null
+    ? defaultDeduction(karat, settings)
+    : Math.min(parseFloat(deductionPercent) || 0, 100);
+  const rate = karat > 0 ? buybackRate(rates, karat, settings) : 0;
+  const grossValue = grams > 0 ? Math.round(grams * rate) : 0;
+  const deductionAmount = Math.round(grossValue * deduction / 100);
+  return {
+    weight: grams,
+    purity: karat,
+    rate,
+    deductionPercent: deduction,
+    grossValue,
+    deductionAmount,
+    value: grossValue - deductionAmount
+  };
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { defaultDeduction, buybackRate, exchangeBreakup } from './exchange';
+
+const rates = { '24K': 7200, '22K': 6000 };
+
+describe('defaultDeduction', () => {
+  it('uses the nearest standard purity at or below the tested one', () => {
+    expect(defaultDeduction(22)).toBe(2);
+    expect(defaultDeduction(23)).toBe(2);
+    expect(defaultDeduction(20)).toBe(4);
+  });
+
+  it('uses the lowest standard purity below 14K', () => {
+    expect(defaultDeduction(10)).toBe(6);
+  });
+
+  it("uses the shop's deductions", () => {
+    expect(defaultDeduction('22', { deductions: { '22K': 1.5 } })).toBe(1.5);
+    expect(defaultDeduction('18', { deductions: { '22K': 1.5 } })).toBe(0);
+  });
+});
+
+describe('buybackRate', () => {
+  it('pays the buyback percentage of the published rate', () => {
+    expect(buybackRate(rates, 22)).toBe(6000);
+    expect(buybackRate(rates, 22, { buybackPercent: 95 })).toBe(5700);
+  });
+
+  it('derives unpublished purities from 24K', () => {
+    expect(buybackRate(rates, 20)).toBe(6000);
+  });
+});
+
+describe('exchangeBreakup', () => {
+  it('deducts the default for the purity when none is entered', () => {
+    expect(exchangeBreakup({ weight: '10', purity: '22', deductionPercent: '' }, rates)).toEqual({
+      weight: 10,
+      purity: 22,
+      rate: 6000,
+      deductionPercent: 2,
+      grossValue: 60000,
+      deductionAmount: 1200,
+      value: 58800
+    });
+  });
+
+  it('uses the deduction entered at the counter, including zero', () => {
+    expect(exchangeBreakup({ weight: '10', purity: '22', deductionPercent: '5' }, rates).value).toBe(57000);
+    expect(exchangeBreakup({ weight: '10', purity: '22', deductionPercent: '0' }, rates).value).toBe(60000);
+  });
+
+  it('values tested purities between the standard ones', () => {
+    const exchange = exchangeBreakup({ weight: 10, purity: 20, deductionPercent: '' }, rates);
+    expect(exchange.rate).toBe(6000);
+    expect(exchange.deductionPercent).toBe(4);
+    expect(exchange.value).toBe(57600);
+  });
+
+  it('caps purity at 24K and the deduction at 100%', () => {
+    const exchange = exchangeBreakup({ weight: 1, purity: 30, deductionPercent: 150 }, rates);
+    expect(exchange.purity).toBe(24);
+    expect(exchange.deductionPercent).toBe(100);
+    expect(exchange.value).toBe(0);
+  });
+
+  it('is worth nothing without a weight or rate', () => {
+    expect(exchangeBreakup({ weight: '', purity: '22' }, rates).value).toBe(0);
+    expect(exchangeBreakup({ weight: '10', purity: '22' }, null).value).toBe(0);
+  });
+});
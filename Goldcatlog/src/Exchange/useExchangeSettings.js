@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { DEFAULT_EXCHANGE } from './exchange';
+
+// Subscribe to the shop's old gold buyback rules, falling back to DEFAULT_EXCHANGE
+export default function useExchangeSettings() {
+  const [settings, setSettings] = useState(DEFAULT_EXCHANGE);
+
+  useEffect(() => {
+    return onValue(ref(db, 'settings/exchange'), (snapshot) => {
+      const value = snapshot.val();
+      setSettings({
+        ...DEFAULT_EXCHANGE,
+        ...value,
+        deductions: { ...DEFAULT_EXCHANGE.deductions, ...value?.deductions }
+      });
+    });
+  }, []);
+
+  return settings;
+}
@@ -1,6 +1,7 @@
 import { initializeApp } from 'firebase/app';
-import { getDatabase } from 'firebase/database';
-import { getStorage } from 'firebase/storage';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getDatabase, connectDatabaseEmulator } from 'firebase/database';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 
 
 const firebaseConfig = {
@@ -16,4 +17,13 @@ const firebaseConfig = {
 
 const app = initializeApp(firebaseConfig);
 export const db = getDatabase(app);
-export const storage = getStorage(app);
\ No newline at end of file
+export const storage = getStorage(app);
+export const auth = getAuth(app);
+
+// Point the SDKs at the local emulator suite (see firebase.json) when running
+// with VITE_USE_FIREBASE_EMULATORS=true, e.g. for testing logins and roles.
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectDatabaseEmulator(db, '127.0.0.1', 9000);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
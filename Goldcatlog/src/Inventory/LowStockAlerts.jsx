@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { ref, set } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import { isLowStock, stockItems } from './inventory';
+import useInventorySettings from './useInventorySettings';
+
+// Banner at the top of the admin panel listing products at or below the low-stock threshold
+export default function LowStockAlerts({ products, onOpenLedger }) {
+  const { role } = useAuth();
+  const { lowStockThreshold } = useInventorySettings();
+  const [thresholdInput, setThresholdInput] = useState(null);
+
+  const lowStockProducts = products
+    .flatMap(stockItems)
+    .filter(item => isLowStock(item, lowStockThreshold))
+    .sort((a, b) => a.quantity - b.quantity);
+
+  const handleSaveThreshold = async (e) => {
+    e.preventDefault();
+    try {
+      const threshold = parseInt(thresholdInput);
+      if (isNaN(threshold) || threshold < 0) {
+        throw new Error('Threshold must be zero or more');
+      }
+      await set(ref(db, 'settings/inventory/lowStockThreshold'), threshold);
+      setThresholdInput(null);
+    } catch (error) {
+      console.error('Error saving low-stock threshold:', error);
+      alert(error.message);
+    }
+  };
+
+  if (lowStockProducts.length === 0 && !can(role, 'settings:edit')) return null;
+
+  return (
+    <div className={`mb-8 p-4 rounded-lg border ${lowStockProducts.length > 0 ? 'bg-red-50 border-red-300' : 'bg-white border-gray-200'}`}>
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3">
+        <p className={lowStockProducts.length > 0 ? 'text-red-800 font-medium' : 'text-gray-600'}>
+          {lowStockProducts.length > 0
+            ? `${lowStockProducts.length} items are at or below ${lowStockThreshold} in stock`
+            : `No items are at or below ${lowStockThreshold} in stock`}
+        </p>
+        {can(role, 'settings:edit') && (
+          <form onSubmit={handleSaveThreshold} className="flex items-center gap-2 text-sm">
+            <label htmlFor="lowStockThreshold">Alert at</label>
+            <input
+              id="lowStockThreshold"
+              type="number"
+              min="0"
+              step="1"
+              value={thresholdInput ?? lowStockThreshold}
+              onChange={(e) => setThresholdInput(e.target.value)}
+              className="w-20 p-1 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            {thresholdInput !== null && (
+              <button
+                type="submit"
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm transition-colors"
+              >
+                Save
+              </button>
+            )}
+          </form>
+        )}
+      </div>
+
+      {lowStockProducts.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-2">
+          {lowStockProducts.map(product => (
+            <li key={`${product.id}-${product.variantId || ''}`}>
+              <button
+                onClick={() => onOpenLedger(product)}
+                className="bg-white border border-red-200 hover:bg-red-100 text-sm px-3 py-1 rounded-full transition-colors"
+              >
+                {product.name}{product.sku && ` (${product.sku})`}:{' '}
+                <span className="font-bold">{product.quantity === 0 ? 'Out of stock' : `${product.quantity} left`}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import { MOVEMENT_TYPES, isTracked, recordStockMovement } from './inventory';
+import { getVariants, variantLabel } from '../Products/variants';
+
+const initialMovement = {
+  variantId: '',
+  type: 'received',
+  quantity: '',
+  note: ''
+};
+
+// Admin modal showing a product's stock movements, with a form to record new ones
+export default function StockLedger({ product, onClose }) {
+  const { user, role } = useAuth();
+  const [movements, setMovements] = useState([]);
+  const [movement, setMovement] = useState(initialMovement);
+  const [isSaving, setIsSaving] = useState(false);
+  const variants = getVariants(product);
+  const labelFor = (variantId) => {
+    const variant = variants.find(v => v.id === variantId);
+    return variant ? variantLabel(product, variant) : null;
+  };
+
+  useEffect(() => {
+    return onValue(ref(db, `stockMovements/${product.id}`), (snapshot) => {
+      const data = snapshot.val();
+      const movementsArray = data
+        ? Object.entries(data).map(([id, item]) => ({ id, ...item }))
+        : [];
+      setMovements(movementsArray.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)));
+    });
+  }, [product.id]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setMovement(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      await recordStockMovement(product, movement, user);
+      setMovement({ ...initialMovement, variantId: movement.variantId });
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-semibold">Stock: {product.name}</h2>
+            <p className="text-sm text-gray-600">
+              {product.sku && `SKU ${product.sku} · `}
+              {isTracked(product) ? `${product.quantity} on hand` : 'Quantity not tracked yet'}
+            </p>
+            {variants.length > 0 && (
+              <ul className="mt-1 text-sm text-gray-600">
+                {variants.map(variant => (
+                  <li key={variant.id}>
+                    {variantLabel(product, variant)}{variant.sku && ` (${variant.sku})`}:{' '}
+                    {isTracked(variant) ? `${variant.quantity} on hand` : variant.inStock === false ? 'Out of stock' : 'In stock, not counted'}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Close"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {can(role, 'products:stock') && (
+          <form onSubmit={handleSubmit} className={`grid grid-cols-1 ${variants.length > 0 ? 'md:grid-cols-5' : 'md:grid-cols-4'} gap-2 mb-6`}>
+            {variants.length > 0 && (
+              <select
+                name="variantId"
+                value={movement.variantId}
+                onChange={handleInputChange}
+                className="p-2 border rounded bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                required
+              >
+                <option value="">Variant...</option>
+                {variants.map(variant => (
+                  <option key={variant.id} value={variant.id}>{variantLabel(product, variant)}</option>
+                ))}
+              </select>
+            )}
+            <select
+              name="type"
+              value={movement.type}
+              onChange={handleInputChange}
+              className="p-2 border rounded bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {Object.entries(MOVEMENT_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              name="quantity"
+              min="0"
+              step="1"
+              placeholder={movement.type === 'adjusted' ? 'Counted quantity' : 'Quantity'}
+              value={movement.quantity}
+              onChange={handleInputChange}
+              className="p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              required
+            />
+            <input
+              type="text"
+              name="note"
+              placeholder="Note (bill no., customer...)"
+              value={movement.note}
+              onChange={handleInputChange}
+              className="p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors disabled:bg-blue-400"
+            >
+              {isSaving ? 'Saving...' : 'Record'}
+            </button>
+          </form>
+        )}
+
+        {movements.length === 0 ? (
+          <p className="text-gray-500">No stock movements recorded</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Date</th>
+                <th className="py-2">Movement</th>
+                <th className="py-2 text-right">Change</th>
+                <th className="py-2 text-right">Balance</th>
+                <th className="py-2 pl-4">By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {movements.map(entry => (
+                <tr key={entry.id} className="border-b last:border-0 align-top">
+                  <td className="py-2">{entry.createdAt && new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="py-2">
+                    {MOVEMENT_TYPES[entry.type]?.label || entry.type}
+                    {entry.variantId && <span className="text-gray-500"> · {labelFor(entry.variantId) || 'Removed variant'}</span>}
+                    {entry.note && <div className="text-gray-500">{entry.note}</div>}
+                  </td>
+                  <td className={`py-2 text-right ${entry.change < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {entry.change > 0 ? `+${entry.change}` : entry.change}
+                  </td>
+                  <td className="py-2 text-right">{entry.balance}</td>
+                  <td className="py-2 pl-4">{entry.createdBy || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
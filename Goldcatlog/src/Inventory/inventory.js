@@ -0,0 +1,87 @@
+import { ref, push, update, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { getVariants, applyVariant, variantSummary } from '../Products/variants';
+import { productChangeUpdate } from '../Audit/audit';
+
+// Kinds of stock movement recorded in the ledger. Adjustments set the counted
+// quantity after a stock take; the others add or remove pieces.
+export const MOVEMENT_TYPES = {
+  received: { label: 'Received', sign: 1 },
+  sold: { label: 'Sold', sign: -1 },
+  returned: { label: 'Returned', sign: 1 },
+  adjusted: { label: 'Adjusted (stock count)', sign: 0 }
+};
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 2;
+
+// Products without a quantity only use the legacy in/out of stock flag
+export const isTracked = (product) => typeof product?.quantity === 'number';
+
+export const isLowStock = (product, threshold) => isTracked(product) && product.quantity <= threshold;
+
+// Stock is held per variant for products with variants
+export const stockItems = (product) => {
+  const variants = getVariants(product);
+  return variants.length > 0 ? variants.map(variant => applyVariant(product, variant)) : [product];
+};
+
+// Database path and value for a new ledger entry, so it can be written in the
+// same multi-path update as the product's quantity
+export const stockMovementUpdate = (productId, { variantId, type, change, balance, note }, user) => {
+  const key = push(ref(db, `stockMovements/${productId}`)).key;
+  return {
+    [`stockMovements/${productId}/${key}`]: {
+      variantId: variantId || null,
+      type,
+      change,
+      balance,
+      note: note?.trim() || null,
+      createdBy: user?.email || null,
+      createdAt: serverTimestamp()
+    }
+  };
+};
+
+// Database updates applying a movement to a product's (or one of its
+// variants') quantity, appending it to the ledger and logging the change
+export const stockMovementUpdates = (product, { variantId, type, quantity, note }, user) => {
+  const movement = MOVEMENT_TYPES[type];
+  const amount = parseInt(quantity);
+  if (!movement) {
+    throw new Error(`Unknown stock movement "${type}"`);
+  }
+  if (isNaN(amount) || amount < 0 || (movement.sign !== 0 && amount === 0)) {
+    throw new Error('Quantity must be a whole number above zero');
+  }
+
+  const variants = getVariants(product);
+  const variant = variants.find(v => v.id === variantId);
+  if (variants.length > 0 && !variant) {
+    throw new Error('Please choose a variant');
+  }
+
+  const item = variant || product;
+  const current = isTracked(item) ? item.quantity : 0;
+  const balance = movement.sign === 0 ? amount : current + movement.sign * amount;
+  if (balance < 0) {
+    throw new Error(`Only ${current} in stock`);
+  }
+
+  let values;
+  if (variant) {
+    const variantValues = { ...product.variants[variantId], quantity: balance, inStock: balance > 0 };
+    const { quantity, inStock } = variantSummary(variants.map(v => v.id === variantId ? { ...v, ...variantValues } : v));
+    values = { variants: { ...product.variants, [variantId]: variantValues }, quantity, inStock };
+  } else {
+    values = { quantity: balance, inStock: balance > 0 };
+  }
+  return {
+    ...stockMovementUpdate(product.id, { variantId, type, change: balance - current, balance, note }, user),
+    ...productChangeUpdate(product, values, 'stock', user)
+  };
+};
+
+// Record a stock movement on its own
+export const recordStockMovement = async (product, movement, user) => {
+  await update(ref(db), stockMovementUpdates(product, movement, user));
+};
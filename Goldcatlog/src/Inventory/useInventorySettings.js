@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { DEFAULT_LOW_STOCK_THRESHOLD } from './inventory';
+
+export const DEFAULT_INVENTORY = {
+  lowStockThreshold: DEFAULT_LOW_STOCK_THRESHOLD
+};
+
+// Subscribe to inventory settings from `settings/inventory`
+export default function useInventorySettings() {
+  const [settings, setSettings] = useState(DEFAULT_INVENTORY);
+
+  useEffect(() => {
+    return onValue(ref(db, 'settings/inventory'), (snapshot) => {
+      setSettings({ ...DEFAULT_INVENTORY, ...snapshot.val() });
+    });
+  }, []);
+
+  return settings;
+}
@@ -0,0 +1,20 @@
+// Notice shown while the catalog is showing saved data instead of live data
+export default function OfflineBanner({ isOnline, isFromCache, updatedAt }) {
+  if (isOnline && !isFromCache) return null;
+
+  const time = updatedAt && new Date(updatedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  let message;
+  if (!isOnline) {
+    message = time
+      ? `Offline – showing data from ${time}. The catalog will refresh when you're back online.`
+      : "Offline – the catalog will load when you're back online.";
+  } else {
+    message = `Connecting… showing saved data from ${time}.`;
+  }
+
+  return (
+    <div className="mb-6 p-3 bg-amber-100 border border-amber-300 text-amber-900 rounded-lg text-center" role="status">
+      {message}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// The last products snapshot is kept in localStorage so the catalog can open
+// without a connection. The database SDK has no offline cache on the web.
+export const PRODUCTS_CACHE_KEY = 'goldShopProductsSnapshot';
+
+// { products, savedAt } or null when nothing has been saved yet
+export const loadCachedProducts = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(PRODUCTS_CACHE_KEY));
+    return Array.isArray(cached?.products) ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveCachedProducts = (products) => {
+  const savedAt = Date.now();
+  try {
+    localStorage.setItem(PRODUCTS_CACHE_KEY, JSON.stringify({ products, savedAt }));
+  } catch (error) {
+    // Storage full or unavailable (private browsing); the catalog still works online
+    console.error('Error caching products:', error);
+  }
+  return savedAt;
+};
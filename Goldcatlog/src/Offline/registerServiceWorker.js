@@ -0,0 +1,14 @@
+// Register the service worker (public/sw.js) in production builds, checking
+// for an updated version whenever the connection comes back
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      window.addEventListener('online', () => registration.update());
+    } catch (error) {
+      console.error('Error registering service worker:', error);
+    }
+  });
+};
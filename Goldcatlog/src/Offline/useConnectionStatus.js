@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Whether the catalog can reach the database. Combines the browser's online
+// flag with the database's own `.info/connected` state, which also catches
+// networks that are up but can't get through.
+export default function useConnectionStatus() {
+  const [isBrowserOnline, setIsBrowserOnline] = useState(navigator.onLine);
+  // null until the first connection, so start-up doesn't count as offline
+  const [isConnected, setIsConnected] = useState(null);
+
+  useEffect(() => {
+    const handleOnline = () => setIsBrowserOnline(true);
+    const handleOffline = () => setIsBrowserOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    const unsubscribe = onValue(ref(db, '.info/connected'), (snapshot) => {
+      const connected = snapshot.val() === true;
+      setIsConnected(prev => (connected ? true : prev === null ? null : false));
+    });
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      unsubscribe();
+    };
+  }, []);
+
+  return isBrowserOnline && isConnected !== false;
+}
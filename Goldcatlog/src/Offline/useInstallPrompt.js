@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+
+// The browser's "install app" prompt, captured so the catalog can offer its
+// own install button. `install` is null when installing isn't available.
+export default function useInstallPrompt() {
+  const [promptEvent, setPromptEvent] = useState(null);
+
+  useEffect(() => {
+    const handlePrompt = (e) => {
+      e.preventDefault();
+      setPromptEvent(e);
+    };
+    const handleInstalled = () => setPromptEvent(null);
+    window.addEventListener('beforeinstallprompt', handlePrompt);
+    window.addEventListener('appinstalled', handleInstalled);
+    return () => {
+      window.removeEventListener('beforeinstallprompt', handlePrompt);
+      window.removeEventListener('appinstalled', handleInstalled);
+    };
+  }, []);
+
+  const install = async () => {
+    promptEvent.prompt();
+    await promptEvent.userChoice;
+    setPromptEvent(null);
+  };
+
+  return promptEvent ? install : null;
+}
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../Auth/AuthContext';
+import { formatCurrency } from '../Pricing/currency';
+import CustomerSignIn from '../Customers/CustomerSignIn';
+import useOrders from './useOrders';
+import { ORDER_STATUSES } from './orders';
+
+const STATUS_STYLES = {
+  reserved: 'bg-amber-100 text-amber-800',
+  advancePaid: 'bg-purple-100 text-purple-800',
+  ready: 'bg-green-100 text-green-800',
+  delivered: 'bg-gray-100 text-gray-700',
+  cancelled: 'bg-red-100 text-red-700'
+};
+
+// Customer account page listing their reservations and orders
+export default function MyOrders() {
+  const { user, isLoading: isAuthLoading } = useAuth();
+  const { orders, isLoading } = useOrders(user ? user.uid : null);
+  const [isSignInVisible, setIsSignInVisible] = useState(false);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 to-orange-50">
+      <div className="container mx-auto p-4 max-w-3xl">
+        <header className="py-8">
+          <Link to="/" className="text-amber-700 hover:underline">← Browse the collection</Link>
+          <h1 className="text-3xl font-bold text-amber-800 mt-2">My Orders</h1>
+        </header>
+
+        {!isAuthLoading && !user && (
+          <div className="bg-white rounded-xl shadow-lg p-8 text-center">
+            <p className="text-amber-700 mb-4">Sign in to follow the pieces you've reserved.</p>
+            <button
+              onClick={() => setIsSignInVisible(true)}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+            >
+              Sign In
+            </button>
+          </div>
+        )}
+
+        {user && isLoading && (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-amber-500"></div>
+          </div>
+        )}
+
+        {user && !isLoading && (
+          orders.length === 0 ? (
+            <p className="text-amber-700">Reserve a piece from its page and it will show up here.</p>
+          ) : (
+            <ul className="space-y-4">
+              {orders.map(order => (
+                <li key={order.id} className="bg-white rounded-xl shadow p-4">
+                  <div className="flex justify-between items-start gap-2">
+                    <div>
+                      <Link to={`/product/${order.productId}`} className="font-bold text-amber-900 hover:underline">
+                        {order.productName}
+                      </Link>
+                      <p className="text-sm text-amber-700">
+                        {order.orderNumber}
+                        {order.createdAt && ` · ${new Date(order.createdAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                    <span className={`text-sm px-3 py-1 rounded-full ${STATUS_STYLES[order.status]}`}>
+                      {ORDER_STATUSES[order.status]}
+                    </span>
+                  </div>
+                  {order.status === 'reserved' && order.holdUntil && (
+                    <p className="text-sm text-amber-700 mt-2">
+                      {order.holdUntil > Date.now()
+                        ? `Held for you until ${new Date(order.holdUntil).toLocaleString()}`
+                        : 'Your hold has ended'}
+                    </p>
+                  )}
+                  {order.status === 'ready' && (
+                    <p className="text-sm text-green-700 mt-2">Your piece is ready to collect from the shop.</p>
+                  )}
+                  {order.advanceAmount > 0 && (
+                    <p className="text-sm text-amber-700 mt-1">Advance paid: {formatCurrency(order.advanceAmount)}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+
+        {isSignInVisible && <CustomerSignIn onClose={() => setIsSignInVisible(false)} />}
+      </div>
+    </div>
+  );
+}
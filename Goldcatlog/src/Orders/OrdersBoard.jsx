@@ -0,0 +1,182 @@
+import { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import { formatCurrency } from '../Pricing/currency';
+import useOrders from './useOrders';
+import { ORDER_STATUSES, NEXT_STATUSES, updateOrderStatus, releaseExpiredHolds } from './orders';
+
+const STATUS_STYLES = {
+  reserved: 'bg-blue-100 text-blue-800',
+  advancePaid: 'bg-purple-100 text-purple-800',
+  ready: 'bg-yellow-100 text-yellow-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+// Admin section for customer reservations and orders, with their status
+// pipeline and each customer's order history
+export default function OrdersBoard({ products }) {
+  const { user, role } = useAuth();
+  const { orders } = useOrders();
+  const [statusFilter, setStatusFilter] = useState('reserved');
+  const [customerPhone, setCustomerPhone] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const isReleasing = useRef(false);
+
+  const canManage = can(role, 'orders:manage');
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Cancel reservations whose hold has run out so their pieces are back in stock
+  useEffect(() => {
+    if (!canManage || isReleasing.current) return;
+    isReleasing.current = true;
+    releaseExpiredHolds(orders, user, now)
+      .catch(error => console.error('Error releasing expired holds:', error))
+      .finally(() => {
+        isReleasing.current = false;
+      });
+  }, [orders, now, canManage, user]);
+
+  const customerOrders = customerPhone ? orders.filter(order => order.customerPhone === customerPhone) : null;
+  const filteredOrders = customerOrders || orders.filter(order => !statusFilter || order.status === statusFilter);
+
+  const handleStatusChange = async (order, status) => {
+    let advanceAmount;
+    if (status === 'advancePaid') {
+      advanceAmount = window.prompt(`Advance received for ${order.orderNumber}`);
+      if (advanceAmount === null) return;
+    }
+    if (status === 'cancelled' && !window.confirm(`Cancel ${order.orderNumber} and release ${order.productName}?`)) {
+      return;
+    }
+
+    try {
+      const product = products.find(p => p.id === order.productId);
+      await updateOrderStatus(order, status, { advanceAmount }, product, user);
+    } catch (error) {
+      console.error('Error updating order:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Orders</h2>
+
+      {customerOrders ? (
+        <div className="flex justify-between items-center mb-4 bg-gray-50 p-3 rounded">
+          <span>
+            Order history for <strong>{customerOrders[0]?.customerName}</strong> · {customerPhone}
+          </span>
+          <button onClick={() => setCustomerPhone('')} className="text-blue-600 hover:underline text-sm">
+            Back to all orders
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {[['', 'All'], ...Object.entries(ORDER_STATUSES)].map(([status, label]) => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                statusFilter === status ? 'bg-blue-600 text-white border-blue-600' : 'hover:bg-gray-100'
+              }`}
+            >
+              {label} ({status ? orders.filter(order => order.status === status).length : orders.length})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {filteredOrders.length === 0 ? (
+        <p className="text-gray-500">No orders found</p>
+      ) : (
+        <div className="space-y-4 max-h-[36rem] overflow-y-auto">
+          {filteredOrders.map(order => (
+            <div key={order.id} className="border p-4 rounded-lg">
+              <div className="flex flex-col md:flex-row md:justify-between gap-2">
+                <div>
+                  <p className="font-bold">
+                    {order.orderNumber}
+                    <span className={`ml-2 text-xs px-2 py-1 rounded-full ${STATUS_STYLES[order.status]}`}>
+                      {ORDER_STATUSES[order.status]}
+                    </span>
+                  </p>
+                  <p className="text-sm mt-1">
+                    <a
+                      href={`/product/${order.productId}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:underline"
+                    >
+                      {order.productName}
+                    </a>
+                    {order.sku && <span className="text-gray-500"> · SKU {order.sku}</span>}
+                    {order.estimatedPrice && <span className="text-gray-500"> · est. {formatCurrency(order.estimatedPrice)}</span>}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    <button
+                      onClick={() => setCustomerPhone(order.customerPhone)}
+                      className="text-blue-600 hover:underline"
+                      title="Show this customer's orders"
+                    >
+                      {order.customerName}
+                    </button>
+                    {' · '}
+                    <a href={`tel:${order.customerPhone}`} className="text-blue-600 hover:underline">{order.customerPhone}</a>
+                  </p>
+                  {order.advanceAmount > 0 && (
+                    <p className="text-sm text-gray-600">Advance paid: {formatCurrency(order.advanceAmount)}</p>
+                  )}
+                  {order.status === 'reserved' && order.holdUntil && (
+                    <p className={`text-sm ${order.holdUntil <= now ? 'text-red-600' : 'text-gray-600'}`}>
+                      {order.holdUntil <= now ? 'Hold expired' : 'Held until'} {new Date(order.holdUntil).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+                <div className="text-sm text-gray-500 md:text-right">
+                  {order.createdAt && new Date(order.createdAt).toLocaleString()}
+                  {canManage && NEXT_STATUSES[order.status]?.length > 0 && (
+                    <div className="flex flex-wrap md:justify-end gap-1 mt-2">
+                      {NEXT_STATUSES[order.status].map(status => (
+                        <button
+                          key={status}
+                          onClick={() => handleStatusChange(order, status)}
+                          className={`px-2 py-1 rounded text-xs text-white transition-colors ${
+                            status === 'cancelled' ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-600 hover:bg-blue-700'
+                          }`}
+                        >
+                          {ORDER_STATUSES[status]}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {order.note && (
+                <p className="mt-2 text-gray-700 bg-gray-50 p-2 rounded">{order.note}</p>
+              )}
+
+              {order.history && (
+                <ul className="mt-2 text-xs text-gray-500 space-y-0.5">
+                  {Object.entries(order.history).map(([key, entry]) => (
+                    <li key={key}>
+                      {entry.at && new Date(entry.at).toLocaleString()} · {ORDER_STATUSES[entry.status]}
+                      {entry.by && ` by ${entry.by}`}
+                      {entry.note && ` · ${entry.note}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
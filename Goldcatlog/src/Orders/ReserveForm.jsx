@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../Auth/AuthContext';
+import { reservePiece } from './orders';
+
+// Customer form to reserve a piece, shown in a modal from the catalog. The
+// piece is held for the shop's hold period while they come in to see it.
+export default function ReserveForm({ piece, estimatedPrice, holdHours, onClose }) {
+  const { user } = useAuth();
+  const [formData, setFormData] = useState({
+    name: user?.displayName || '',
+    phone: user?.phoneNumber || '',
+    note: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reservation, setReservation] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      setReservation(await reservePiece(piece, formData, { user, holdHours, estimatedPrice }));
+    } catch (err) {
+      console.error('Error reserving piece:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl overflow-hidden max-w-lg w-full"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center bg-amber-100 p-4">
+          <h3 className="font-bold text-xl text-amber-900">Reserve {piece.name}</h3>
+          <button
+            onClick={onClose}
+            className="text-amber-800 hover:text-amber-950"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {reservation ? (
+          <div className="p-6 text-center">
+            <h4 className="font-bold text-lg text-amber-900 mb-2">Reserved!</h4>
+            <p className="text-amber-700 mb-2">
+              Your reservation number is <strong>{reservation.orderNumber}</strong>.
+            </p>
+            <p className="text-amber-700 mb-6">
+              We'll keep this piece for you until {new Date(reservation.holdUntil).toLocaleString()}.
+            </p>
+            <div className="flex justify-center gap-3">
+              {user && (
+                <Link
+                  to="/orders"
+                  className="border-2 border-amber-500 text-amber-700 hover:bg-amber-50 font-bold py-2 px-6 rounded-lg transition-colors"
+                >
+                  My Orders
+                </Link>
+              )}
+              <button
+                onClick={onClose}
+                className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            {error && (
+              <div className="p-3 bg-red-100 text-red-700 rounded">
+                {error}
+              </div>
+            )}
+            <p className="text-sm text-amber-700">
+              We'll hold this piece for {holdHours} hours so you can visit the shop to see it. The price is
+              confirmed at the day's gold rate when you buy.
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-amber-800 mb-1">Your Name*</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-amber-800 mb-1">Phone*</label>
+              <input
+                type="tel"
+                name="phone"
+                value={formData.phone}
+                onChange={handleInputChange}
+                className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-amber-800 mb-1">Note</label>
+              <textarea
+                name="note"
+                rows={2}
+                placeholder="Size, when you plan to visit..."
+                value={formData.note}
+                onChange={handleInputChange}
+                className="block w-full px-3 py-2 border border-amber-300 rounded-md focus:ring-amber-500 focus:border-amber-500"
+              />
+            </div>
+            {!user && (
+              <p className="text-sm text-amber-600">Sign in first to follow your reservation under My Orders.</p>
+            )}
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 px-6 rounded-lg transition-colors disabled:bg-amber-300"
+            >
+              {isSubmitting ? 'Reserving...' : 'Reserve'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
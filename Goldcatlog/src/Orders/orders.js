@@ -0,0 +1,226 @@
+import { ref, push, get, update, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { getVariants, variantSummary } from '../Products/variants';
+import { isTracked, stockMovementUpdates } from '../Inventory/inventory';
+import { productChangeUpdate } from '../Audit/audit';
+import { referenceNumber } from '../Quotes/quotes';
+import { DEFAULT_SHOP, MAX_RESERVATION_HOLD_HOURS } from '../Shop/useShopSettings';
+
+// Orders start as a customer's reservation under `orders/<id>` and move through
+// these statuses. While an order holds a piece, `holds/<productId>/<slot>`
+// records { orderId, variantId, holdUntil, createdAt } so the catalog can count
+// it as taken. The slot is the variant id, or "piece" for products without
+// variants, so each can only be held for one order at a time (the database
+// rules enforce this). Reservations lapse at `holdUntil`; paid orders hold
+// until they end.
+export const ORDER_STATUSES = {
+  reserved: 'Reserved',
+  advancePaid: 'Advance paid',
+  ready: 'Ready for pickup',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// The statuses each order can move on to
+export const NEXT_STATUSES = {
+  reserved: ['advancePaid', 'ready', 'delivered', 'cancelled'],
+  advancePaid: ['ready', 'delivered', 'cancelled'],
+  ready: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+const HOLDING_STATUSES = ['reserved', 'advancePaid', 'ready'];
+
+export const isActiveHold = (hold, now = Date.now()) => !hold.holdUntil || hold.holdUntil > now;
+
+export const holdSlot = (variantId) => variantId || 'piece';
+
+// Only the holds still in force, keyed by product id like `holds`
+export const activeHolds = (holds, now = Date.now()) => {
+  return Object.fromEntries(Object.entries(holds || {})
+    .map(([productId, productHolds]) => [
+      productId,
+      Object.fromEntries(Object.entries(productHolds || {}).filter(([, hold]) => isActiveHold(hold, now)))
+    ])
+    .filter(([, productHolds]) => Object.keys(productHolds).length > 0));
+};
+
+// When the next timed hold runs out, or null if none will
+export const nextHoldExpiry = (holds, now = Date.now()) => {
+  const times = Object.values(holds || {})
+    .flatMap(productHolds => Object.values(productHolds || {}))
+    .map(hold => hold.holdUntil)
+    .filter(holdUntil => holdUntil > now);
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+// The product with pieces held for orders taken out of its stock. Tracked
+// items lose one piece per hold; untracked ones are out of stock while held.
+// `isReserved` marks products that are only out of stock because of holds.
+export const applyHolds = (product, productHolds, now = Date.now()) => {
+  const holds = Object.values(productHolds || {}).filter(hold => isActiveHold(hold, now));
+  if (!product || holds.length === 0) return product;
+
+  const hold = (item, count) => {
+    if (count === 0) return item;
+    if (isTracked(item)) {
+      const quantity = Math.max(0, item.quantity - count);
+      return { ...item, quantity, inStock: item.inStock !== false && quantity > 0 };
+    }
+    return { ...item, inStock: false };
+  };
+
+  let held;
+  const variants = getVariants(product);
+  if (variants.length > 0) {
+    const heldVariants = variants.map(variant => hold(variant, holds.filter(h => h.variantId === variant.id).length));
+    const { quantity, inStock } = variantSummary(heldVariants);
+    held = {
+      ...product,
+      variants: Object.fromEntries(heldVariants.map(({ id, ...variant }) => [id, variant])),
+      quantity,
+      inStock
+    };
+  } else {
+    held = hold(product, holds.length);
+  }
+  return { ...held, isReserved: product.inStock !== false && held.inStock === false };
+};
+
+// Out-of-stock label; pieces held for other customers read "Reserved"
+export const stockLabel = (item) => item.isReserved ? 'Reserved' : 'Out of Stock';
+
+const historyEntry = (status, user, note) => ({
+  [push(ref(db, 'orders')).key]: {
+    status,
+    note: note || null,
+    by: user?.email || null,
+    at: serverTimestamp()
+  }
+});
+
+// Reserve a piece (a product with its holds and chosen variant applied) for a
+// customer, holding it for the shop's hold period. Returns the new order's
+// reference number and when the hold ends. If someone else reserved the piece
+// first, the database rules turn the write down.
+export const reservePiece = async (piece, { name, phone, note }, { user, holdHours, estimatedPrice }) => {
+  if (!name.trim() || !phone.trim()) {
+    throw new Error('Please enter your name and phone number');
+  }
+  if (piece.inStock === false) {
+    throw new Error('Sorry, this piece has just been reserved or sold');
+  }
+
+  const variantId = piece.variantId || null;
+  const orderRef = push(ref(db, 'orders'));
+  const now = new Date();
+  const hours = Math.min(parseFloat(holdHours) || DEFAULT_SHOP.reservationHoldHours, MAX_RESERVATION_HOLD_HOURS);
+  const holdUntil = now.getTime() + hours * 60 * 60 * 1000;
+  const orderNumber = referenceNumber('R', orderRef.key, now);
+  try {
+    await update(ref(db), {
+      [`orders/${orderRef.key}`]: {
+        orderNumber,
+        productId: piece.id,
+        variantId,
+        productName: piece.name,
+        sku: piece.sku || null,
+        estimatedPrice: estimatedPrice || null,
+        customerName: name.trim(),
+        customerPhone: phone.trim(),
+        customerUid: user?.uid || null,
+        note: note.trim() || null,
+        status: 'reserved',
+        holdUntil,
+        history: historyEntry('reserved', user),
+        createdAt: serverTimestamp()
+      },
+      [`holds/${piece.id}/${holdSlot(variantId)}`]: {
+        orderId: orderRef.key,
+        variantId,
+        holdUntil,
+        createdAt: serverTimestamp()
+      }
+    });
+  } catch (error) {
+    if (error.code === 'PERMISSION_DENIED') {
+      throw new Error('Sorry, this piece has just been reserved or sold');
+    }
+    throw error;
+  }
+  return { orderNumber, holdUntil };
+};
+
+// Move an order to a new status. Paid and ready orders hold their piece with
+// no time limit; delivery records the sale against stock and cancelling frees
+// the piece.
+export const updateOrderStatus = async (order, status, { advanceAmount, note } = {}, product, user) => {
+  if (!NEXT_STATUSES[order.status]?.includes(status)) {
+    throw new Error(`A ${ORDER_STATUSES[order.status]?.toLowerCase()} order can't be marked ${ORDER_STATUSES[status]?.toLowerCase() || status}`);
+  }
+  const updates = {
+    [`orders/${order.id}/status`]: status,
+    [`orders/${order.id}/updatedAt`]: serverTimestamp(),
+    [`orders/${order.id}/updatedBy`]: user?.email || null
+  };
+  Object.entries(historyEntry(status, user, note)).forEach(([key, entry]) => {
+    updates[`orders/${order.id}/history/${key}`] = entry;
+  });
+
+  if (status === 'advancePaid') {
+    const amount = parseFloat(advanceAmount);
+    if (!(amount > 0)) {
+      throw new Error('Please enter the advance received');
+    }
+    updates[`orders/${order.id}/advanceAmount`] = amount;
+  }
+
+  // A lapsed reservation's piece may have been reserved again since, in which
+  // case that newer hold is left alone
+  const holdPath = `holds/${order.productId}/${holdSlot(order.variantId)}`;
+  const hold = (await get(ref(db, holdPath))).val();
+  const isHeldForOrder = hold?.orderId === order.id;
+  if (HOLDING_STATUSES.includes(status)) {
+    if (hold && !isHeldForOrder && isActiveHold(hold)) {
+      throw new Error('This piece is now held for another order');
+    }
+    updates[`orders/${order.id}/holdUntil`] = status === 'reserved' ? order.holdUntil : null;
+    updates[holdPath] = {
+      orderId: order.id,
+      variantId: order.variantId || null,
+      holdUntil: status === 'reserved' ? order.holdUntil : null,
+      createdAt: serverTimestamp()
+    };
+  } else if (isHeldForOrder) {
+    updates[holdPath] = null;
+  }
+
+  if (status === 'delivered' && product) {
+    const variant = getVariants(product).find(v => v.id === order.variantId);
+    if (isTracked(variant || product)) {
+      Object.assign(updates, stockMovementUpdates(product, {
+        variantId: order.variantId,
+        type: 'sold',
+        quantity: 1,
+        note: `Order ${order.orderNumber}`
+      }, user));
+    } else if (variant) {
+      const variants = { ...product.variants, [variant.id]: { ...product.variants[variant.id], inStock: false } };
+      Object.assign(updates, productChangeUpdate(product, { variants, inStock: variantSummary(variants).inStock }, 'stock', user));
+    } else {
+      Object.assign(updates, productChangeUpdate(product, { inStock: false }, 'stock', user));
+    }
+  }
+
+  await update(ref(db), updates);
+};
+
+// Cancel reservations whose hold period has passed and free their pieces
+export const releaseExpiredHolds = async (orders, user, now = Date.now()) => {
+  const expired = orders.filter(order => order.status === 'reserved' && order.holdUntil && order.holdUntil <= now);
+  for (const order of expired) {
+    await updateOrderStatus(order, 'cancelled', { note: 'Hold expired' }, null, user);
+  }
+  return expired.length;
+};
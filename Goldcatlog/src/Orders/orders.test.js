@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { get, ref } from 'firebase/database';
+import {
+  isActiveHold, activeHolds, nextHoldExpiry, applyHolds, stockLabel, reservePiece, updateOrderStatus
+} from './orders';
+
+// An in-memory database whose writes are atomic and, like the database rules,
+// turn down a hold on a slot another order still holds.
+vi.mock('firebase/database', () => {
+  let data = {};
+  let keys = 0;
+  return {
+    reset: () => { data = {}; },
+    ref: (db, path = '') => ({ path, key: path.split('/').pop() }),
+    push: (parent) => {
+      keys += 1;
+      return { path: `${parent.path}/order${keys}`, key: `order${keys}` };
+    },
+    get: async ({ path }) => ({ val: () => data[path] ?? null, exists: () => path in data }),
+    serverTimestamp: () => ({ '.sv': 'timestamp' }),
+    update: async (root, values) => {
+      await Promise.resolve();
+      for (const [path, value] of Object.entries(values)) {
+        const held = data[path];
+        if (path.startsWith('holds/') && held && held.orderId !== value?.orderId
+          && (!held.holdUntil || held.holdUntil > Date.now())) {
+          throw Object.assign(new Error('PERMISSION_DENIED: Permission denied'), { code: 'PERMISSION_DENIED' });
+        }
+      }
+      Object.entries(values).forEach(([path, value]) => {
+        if (value === null) delete data[path];
+        else data[path] = value;
+      });
+    }
+  };
+});
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const HOUR = 60 * 60 * 1000;
+
+describe('isActiveHold', () => {
+  it('holds until holdUntil passes', () => {
+    expect(isActiveHold({ holdUntil: NOW + HOUR }, NOW)).toBe(true);
+    expect(isActiveHold({ holdUntil: NOW }, NOW)).toBe(false);
+    expect(isActiveHold({ holdUntil: NOW - HOUR }, NOW)).toBe(false);
+  });
+
+  it('holds paid orders with no end time until they end', () => {
+    expect(isActiveHold({ holdUntil: null }, NOW)).toBe(true);
+  });
+});
+
+describe('activeHolds', () => {
+  const holds = {
+    p1: { piece: { orderId: 'o1', holdUntil: NOW - HOUR } },
+    p2: { small: { orderId: 'o2', holdUntil: NOW + HOUR }, large: { orderId: 'o3', holdUntil: NOW + 2 * HOUR } },
+    p3: { piece: { orderId: 'o4', holdUntil: null } }
+  };
+
+  it('drops holds that have run out', () => {
+    expect(activeHolds(holds, NOW)).toEqual({ p2: holds.p2, p3: holds.p3 });
+    expect(activeHolds(holds, NOW + HOUR)).toEqual({ p2: { large: holds.p2.large }, p3: holds.p3 });
+  });
+
+  it('finds when the next hold runs out', () => {
+    expect(nextHoldExpiry(holds, NOW)).toBe(NOW + HOUR);
+    expect(nextHoldExpiry(holds, NOW + 2 * HOUR)).toBe(null);
+  });
+});
+
+describe('applyHolds', () => {
+  const piece = { id: 'p1', name: 'Bangle', inStock: true };
+
+  it('leaves products without active holds alone', () => {
+    expect(applyHolds(piece, null, NOW)).toBe(piece);
+    expect(applyHolds(piece, { o1: { holdUntil: NOW - HOUR } }, NOW)).toBe(piece);
+  });
+
+  it('marks a held untracked piece reserved', () => {
+    const held = applyHolds(piece, { o1: { holdUntil: NOW + HOUR } }, NOW);
+    expect(held.inStock).toBe(false);
+    expect(held.isReserved).toBe(true);
+    expect(stockLabel(held)).toBe('Reserved');
+  });
+
+  it('takes one piece per hold from tracked stock', () => {
+    const product = { ...piece, quantity: 3 };
+    const holds = { o1: { holdUntil: NOW + HOUR }, o2: { holdUntil: null }, o3: { holdUntil: NOW - HOUR } };
+    const held = applyHolds(product, holds, NOW);
+    expect(held.quantity).toBe(1);
+    expect(held.inStock).toBe(true);
+    expect(held.isReserved).toBe(false);
+  });
+
+  it('marks tracked stock reserved once every piece is held', () => {
+    const held = applyHolds({ ...piece, quantity: 1 }, { o1: { holdUntil: NOW + HOUR } }, NOW);
+    expect(held.quantity).toBe(0);
+    expect(held.isReserved).toBe(true);
+  });
+
+  it('does not call a product that was already out of stock reserved', () => {
+    const held = applyHolds({ ...piece, inStock: false }, { o1: { holdUntil: NOW + HOUR } }, NOW);
+    expect(held.isReserved).toBe(false);
+    expect(stockLabel(held)).toBe('Out of Stock');
+  });
+
+  it('holds the chosen variant only', () => {
+    const product = {
+      ...piece,
+      variants: {
+        small: { quantity: 1, inStock: true, sortOrder: 0 },
+        large: { quantity: 2, inStock: true, sortOrder: 1 }
+      }
+    };
+    const held = applyHolds(product, { o1: { variantId: 'small', holdUntil: NOW + HOUR } }, NOW);
+    expect(held.variants.small).toMatchObject({ quantity: 0, inStock: false });
+    expect(held.variants.large).toMatchObject({ quantity: 2, inStock: true });
+    expect(held.quantity).toBe(2);
+    expect(held.inStock).toBe(true);
+  });
+});
+
+describe('updateOrderStatus', () => {
+  it('rejects moves the pipeline does not allow', async () => {
+    await expect(updateOrderStatus({ id: 'o1', status: 'delivered' }, 'reserved'))
+      .rejects.toThrow("A delivered order can't be marked reserved");
+    await expect(updateOrderStatus({ id: 'o1', status: 'ready' }, 'advancePaid'))
+      .rejects.toThrow("A ready for pickup order can't be marked advance paid");
+  });
+});
+
+describe('reservePiece', () => {
+  const piece = { id: 'p1', name: 'Bangle', inStock: true };
+  const customer = (name) => ({ name, phone: '98450 00000', note: '' });
+
+  beforeEach(async () => {
+    (await import('firebase/database')).reset();
+  });
+
+  it('lets only one of two customers reserving at once hold the piece', async () => {
+    const results = await Promise.allSettled([
+      reservePiece(piece, customer('Asha'), { holdHours: 24 }),
+      reservePiece(piece, customer('Ravi'), { holdHours: 24 })
+    ]);
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message)
+      .toBe('Sorry, this piece has just been reserved or sold');
+  });
+
+  it('keeps a newer hold when a lapsed reservation is cancelled', async () => {
+    await reservePiece(piece, customer('Asha'), { holdHours: 24 });
+    const hold = (await get(ref({}, 'holds/p1/piece'))).val();
+    await updateOrderStatus({ id: 'lapsed', productId: 'p1', status: 'reserved' }, 'cancelled');
+    expect((await get(ref({}, 'holds/p1/piece'))).val()).toEqual(hold);
+  });
+});
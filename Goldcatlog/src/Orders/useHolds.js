@@ -0,0 +1,28 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { activeHolds, nextHoldExpiry } from './orders';
+
+// Subscribe to the pieces held for orders, keyed by product id. Only active
+// holds are returned, and the result updates by itself when a hold expires.
+export default function useHolds() {
+  const [holds, setHolds] = useState({});
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    return onValue(ref(db, 'holds'), (snapshot) => {
+      setHolds(snapshot.val() || {});
+    }, (error) => {
+      console.error('Error loading holds:', error);
+    });
+  }, []);
+
+  useEffect(() => {
+    const expiry = nextHoldExpiry(holds, now);
+    if (!expiry) return;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(Math.max(expiry - Date.now(), 0), 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [holds, now]);
+
+  return useMemo(() => activeHolds(holds, now), [holds, now]);
+}
@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+import { ref, query, orderByChild, equalTo, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to orders, newest first. Pass a customer's uid to load only their
+// orders (customers can't read anyone else's); pass null to skip.
+export default function useOrders(customerUid) {
+  const [orders, setOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (customerUid === null) {
+      setOrders([]);
+      setIsLoading(false);
+      return;
+    }
+    const ordersRef = customerUid
+      ? query(ref(db, 'orders'), orderByChild('customerUid'), equalTo(customerUid))
+      : ref(db, 'orders');
+    setIsLoading(true);
+    return onValue(ordersRef, (snapshot) => {
+      const data = snapshot.val();
+      const ordersArray = data ? Object.entries(data).map(([id, order]) => ({ id, ...order })) : [];
+      setOrders(ordersArray.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)));
+      setIsLoading(false);
+    }, (error) => {
+      console.error('Error loading orders:', error);
+      setIsLoading(false);
+    });
+  }, [customerUid]);
+
+  return { orders, isLoading };
+}
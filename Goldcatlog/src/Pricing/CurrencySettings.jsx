@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { ref, set, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { BASE_CURRENCY, CURRENCIES } from './currency';
+import useCurrencyRates from './useCurrencyRates';
+
+const FOREIGN_CURRENCIES = Object.keys(CURRENCIES).filter(currency => currency !== BASE_CURRENCY);
+
+// Owner-only section for the conversion rates used to show prices in other currencies
+export default function CurrencySettings() {
+  const conversionRates = useCurrencyRates();
+  const [values, setValues] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const rates = { updatedAt: serverTimestamp() };
+      FOREIGN_CURRENCIES.forEach(currency => {
+        const value = values[currency] ?? conversionRates?.[currency];
+        if (value === undefined || value === '') return;
+        const rate = parseFloat(value);
+        if (!(rate > 0)) {
+          throw new Error(`${currency} rate must be a positive number`);
+        }
+        rates[currency] = rate;
+      });
+
+      await set(ref(db, 'settings/currency'), rates);
+      setValues({});
+      setSuccessMessage('Conversion rates saved!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error saving conversion rates:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Currency Conversion</h2>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {FOREIGN_CURRENCIES.map(currency => (
+          <div key={currency}>
+            <label className="block text-sm font-medium mb-1">
+              1 {currency} = ? {BASE_CURRENCY}
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.0001"
+              placeholder="Not set"
+              value={values[currency] ?? conversionRates?.[currency] ?? ''}
+              onChange={(e) => setValues(prev => ({ ...prev, [currency]: e.target.value }))}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-4 flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          {conversionRates?.updatedAt
+            ? `Last updated ${new Date(conversionRates.updatedAt).toLocaleString()}`
+            : 'Customers only see prices in rupees until a rate is set'}
+        </p>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
+        >
+          {isSaving ? 'Saving...' : 'Save Rates'}
+        </button>
+      </div>
+    </form>
+  );
+}
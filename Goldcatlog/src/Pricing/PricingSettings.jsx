@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { ref, set } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { MAKING_CHARGE_TYPES } from './pricing';
+import usePricingSettings from './usePricingSettings';
+
+const NUMBER_FIELDS = [
+  { name: 'wastagePercent', label: 'Wastage (%)' },
+  { name: 'makingCharge', label: 'Making Charge' },
+  { name: 'stoneCharges', label: 'Stone Charges' },
+  { name: 'hallmarkFee', label: 'Hallmarking Fee' },
+  { name: 'gstPercent', label: 'GST (%)' }
+];
+
+// Owner-only section for the default charges used when a product has no override
+export default function PricingSettings() {
+  const settings = usePricingSettings();
+  const [formData, setFormData] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const values = formData || settings;
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...(prev || settings), [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const pricing = { makingChargeType: values.makingChargeType };
+      NUMBER_FIELDS.forEach(({ name, label }) => {
+        const value = parseFloat(values[name]);
+        if (isNaN(value) || value < 0) {
+          throw new Error(`${label} must be zero or more`);
+        }
+        pricing[name] = value;
+      });
+
+      await set(ref(db, 'settings/pricing'), pricing);
+      setFormData(null);
+      setSuccessMessage('Pricing defaults saved!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error saving pricing defaults:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Default Charges</h2>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {NUMBER_FIELDS.map(({ name, label }) => (
+          <div key={name}>
+            <label className="block text-sm font-medium mb-1">{label}</label>
+            <input
+              type="number"
+              name={name}
+              min="0"
+              step="0.01"
+              value={values[name]}
+              onChange={handleInputChange}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-sm font-medium mb-1">Making Charge Type</label>
+          <select
+            name="makingChargeType"
+            value={values.makingChargeType}
+            onChange={handleInputChange}
+            className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+          >
+            {Object.entries(MAKING_CHARGE_TYPES).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
+        >
+          {isSaving ? 'Saving...' : 'Save Defaults'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,49 @@
+// All prices are stored and calculated in rupees; other currencies are only
+// used for display, converted with the rates published in `settings/currency`.
+export const BASE_CURRENCY = 'INR';
+
+export const CURRENCIES = {
+  INR: { label: 'Indian Rupee', locale: 'en-IN', fractionDigits: 2 },
+  USD: { label: 'US Dollar', locale: 'en-US', fractionDigits: 2 },
+  AED: { label: 'UAE Dirham', locale: 'en-AE', fractionDigits: 2 },
+  GBP: { label: 'British Pound', locale: 'en-GB', fractionDigits: 2 }
+};
+
+// Customer's chosen display currency, stored next to `goldShopFavorites`
+export const CURRENCY_STORAGE_KEY = 'goldShopCurrency';
+
+export const loadSavedCurrency = () => {
+  const saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+  return CURRENCIES[saved] ? saved : BASE_CURRENCY;
+};
+
+export const saveCurrency = (currency) => {
+  localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+};
+
+// Conversion rates are stored as rupees per one unit of the foreign currency,
+// e.g. { USD: 83.2 }. Returns null when no rate has been published.
+export const convertFromBase = (amount, currency, conversionRates) => {
+  if (currency === BASE_CURRENCY) return amount;
+  const rate = conversionRates?.[currency];
+  return rate > 0 ? amount / rate : null;
+};
+
+// Format a rupee amount in the requested currency, falling back to rupees
+// when that currency has no conversion rate yet
+export const formatCurrency = (amount, currency = BASE_CURRENCY, conversionRates = null) => {
+  let displayCurrency = CURRENCIES[currency] ? currency : BASE_CURRENCY;
+  let value = convertFromBase(amount || 0, displayCurrency, conversionRates);
+  if (value === null) {
+    displayCurrency = BASE_CURRENCY;
+    value = amount || 0;
+  }
+
+  const { locale, fractionDigits } = CURRENCIES[displayCurrency];
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: displayCurrency,
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  }).format(value);
+};
@@ -0,0 +1,74 @@
+import { rateForPurity } from '../Rates/rates';
+import { DEFAULT_PURITY, netWeightInGrams } from '../Products/schema';
+
+export const MAKING_CHARGE_TYPES = {
+  percent: '% of metal value',
+  perGram: 'per gram'
+};
+
+// Shop-wide defaults, overridden by `settings/pricing` and then per product
+export const DEFAULT_PRICING = {
+  wastagePercent: 0,
+  makingChargeType: 'percent',
+  makingCharge: 10,
+  stoneCharges: 0,
+  hallmarkFee: 45,
+  gstPercent: 3
+};
+
+// Charges a product can override; GST is always the shop-wide rate
+export const PRODUCT_CHARGE_FIELDS = ['wastagePercent', 'makingChargeType', 'makingCharge', 'stoneCharges', 'hallmarkFee'];
+
+const chargeFor = (product, settings, field) => {
+  const value = product?.[field];
+  return value === undefined || value === null || value === '' ? settings[field] : value;
+};
+
+// Indian-style jewellery price breakup: metal value at the item's purity, wastage,
+// making charge, stone charges and hallmarking, plus GST on the subtotal.
+export const calculatePriceBreakup = (product, rates, pricingSettings) => {
+  const settings = { ...DEFAULT_PRICING, ...pricingSettings };
+  const weight = netWeightInGrams(product) || 0;
+  const purity = product?.purity || DEFAULT_PURITY;
+  const rate = rateForPurity(rates, purity);
+
+  const metalValue = weight * rate;
+
+  const wastagePercent = parseFloat(chargeFor(product, settings, 'wastagePercent')) || 0;
+  const wastageAmount = (metalValue * wastagePercent) / 100;
+
+  const makingChargeType = chargeFor(product, settings, 'makingChargeType');
+  const makingCharge = parseFloat(chargeFor(product, settings, 'makingCharge')) || 0;
+  const makingChargeAmount = makingChargeType === 'perGram'
+    ? weight * makingCharge
+    : (metalValue * makingCharge) / 100;
+
+  const stoneCharges = parseFloat(chargeFor(product, settings, 'stoneCharges')) || 0;
+  const hallmarkFee = parseFloat(chargeFor(product, settings, 'hallmarkFee')) || 0;
+
+  const subtotal = metalValue + wastageAmount + makingChargeAmount + stoneCharges + hallmarkFee;
+  const gstPercent = parseFloat(settings.gstPercent) || 0;
+  const gstAmount = (subtotal * gstPercent) / 100;
+
+  const exactTotal = subtotal + gstAmount;
+  const totalPrice = Math.round(exactTotal);
+
+  return {
+    weight,
+    purity,
+    rate,
+    metalValue,
+    wastagePercent,
+    wastageAmount,
+    makingChargeType,
+    makingCharge,
+    makingChargeAmount,
+    stoneCharges,
+    hallmarkFee,
+    subtotal,
+    gstPercent,
+    gstAmount,
+    roundOff: totalPrice - exactTotal,
+    totalPrice
+  };
+};
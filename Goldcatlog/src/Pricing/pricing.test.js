@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { calculatePriceBreakup } from './pricing';
+
+const rates = { '24K': 7200, '22K': 6000 };
+
+describe('calculatePriceBreakup', () => {
+  it('prices a product with the shop defaults', () => {
+    const price = calculatePriceBreakup({ grossWeight: 10, weightUnit: 'g', purity: 22 }, rates);
+    expect(price.rate).toBe(6000);
+    expect(price.metalValue).toBe(60000);
+    expect(price.makingChargeAmount).toBe(6000);
+    expect(price.hallmarkFee).toBe(45);
+    expect(price.subtotal).toBe(66045);
+    expect(price.gstAmount).toBeCloseTo(1981.35);
+    expect(price.totalPrice).toBe(68026);
+    expect(price.roundOff).toBeCloseTo(-0.35);
+  });
+
+  it('uses per-product charges over the shop settings', () => {
+    const product = {
+      grossWeight: 10,
+      purity: 22,
+      wastagePercent: 2,
+      makingChargeType: 'perGram',
+      makingCharge: 500,
+      stoneCharges: 1000
+    };
+    const price = calculatePriceBreakup(product, rates, { makingCharge: 12, hallmarkFee: 45 });
+    expect(price.wastageAmount).toBe(1200);
+    expect(price.makingChargeAmount).toBe(5000);
+    expect(price.subtotal).toBe(67245);
+    expect(price.totalPrice).toBe(69262);
+  });
+
+  it('treats blank product charges as unset', () => {
+    const price = calculatePriceBreakup({ grossWeight: 1, purity: 22, makingCharge: '' }, rates, { makingCharge: 20, gstPercent: 0, hallmarkFee: 0 });
+    expect(price.makingCharge).toBe(20);
+    expect(price.totalPrice).toBe(7200);
+  });
+
+  it('prices the net weight in grams', () => {
+    const price = calculatePriceBreakup({ grossWeight: 1, netWeight: 0.5, weightUnit: 'tola', purity: 22 }, rates, { gstPercent: 0, makingCharge: 0, hallmarkFee: 0 });
+    expect(price.weight).toBeCloseTo(5.8319);
+    expect(price.totalPrice).toBe(34991);
+  });
+
+  it('derives a purity without a published rate from 24K', () => {
+    expect(calculatePriceBreakup({ grossWeight: 1, purity: 18 }, rates).rate).toBe(5400);
+  });
+
+  it('charges only fees when there is no rate', () => {
+    const price = calculatePriceBreakup({ grossWeight: 10, purity: 22 }, null);
+    expect(price.metalValue).toBe(0);
+    expect(price.totalPrice).toBe(46);
+  });
+});
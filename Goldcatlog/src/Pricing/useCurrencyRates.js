@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to the conversion rates published from the admin panel
+export default function useCurrencyRates() {
+  const [conversionRates, setConversionRates] = useState(null);
+
+  useEffect(() => {
+    return onValue(ref(db, 'settings/currency'), (snapshot) => {
+      setConversionRates(snapshot.val());
+    });
+  }, []);
+
+  return conversionRates;
+}
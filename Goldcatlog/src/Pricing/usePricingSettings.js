@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { DEFAULT_PRICING } from './pricing';
+
+// Subscribe to the shop's default charges, falling back to DEFAULT_PRICING
+export default function usePricingSettings() {
+  const [settings, setSettings] = useState(DEFAULT_PRICING);
+
+  useEffect(() => {
+    return onValue(ref(db, 'settings/pricing'), (snapshot) => {
+      setSettings({ ...DEFAULT_PRICING, ...snapshot.val() });
+    });
+  }, []);
+
+  return settings;
+}
@@ -0,0 +1,387 @@
+import { useState } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import { formatWeight, formatPurity, grossWeightInGrams } from './schema';
+import { getThumbnailUrl } from './images';
+import { getVariants, hasVariants, productSkus } from './variants';
+import { getTags, tagLabel } from './tags';
+import { MAKING_CHARGE_TYPES } from '../Pricing/pricing';
+import { isTracked, isLowStock, stockItems } from '../Inventory/inventory';
+import useInventorySettings from '../Inventory/useInventorySettings';
+import { flattenCategoryTree, categoryMatcher } from '../Categories/categories';
+import { BATCH_ACTIONS, parseBatchValue, planBatchAction, batchSummary, applyBatchAction } from './batchActions';
+
+const STOCK_FILTERS = {
+  all: 'All Stock',
+  inStock: 'In Stock',
+  outOfStock: 'Out of Stock',
+  lowStock: 'Low Stock',
+  needsReview: 'Needs Review'
+};
+
+// Push ids start with the creation time, so they sort oldest first
+const compareIds = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+const SORTS = {
+  newest: { label: 'Newest First', compare: (a, b) => compareIds(b, a) },
+  oldest: { label: 'Oldest First', compare: compareIds },
+  nameAZ: { label: 'Name: A to Z', compare: (a, b) => (a.name || '').localeCompare(b.name || '') },
+  weightHighToLow: { label: 'Weight: High to Low', compare: (a, b) => (grossWeightInGrams(b) || 0) - (grossWeightInGrams(a) || 0) },
+  quantityLowToHigh: { label: 'Quantity: Low to High', compare: (a, b) => (a.quantity ?? Infinity) - (b.quantity ?? Infinity) }
+};
+
+const initialBatchValues = {
+  categoryId: '',
+  tags: '',
+  makingCharge: '',
+  makingChargeType: ''
+};
+
+// Admin product list with search, filters and sorting, plus checkboxes to
+// select products and apply a batch action to all of them at once
+export default function AdminProductList({ products, categories, onEdit, onOpenLedger, onToggleStock, onDelete }) {
+  const { user, role } = useAuth();
+  const { lowStockThreshold } = useInventorySettings();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [stockFilter, setStockFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('newest');
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [batchAction, setBatchAction] = useState('');
+  const [batchValues, setBatchValues] = useState(initialBatchValues);
+  const [isApplying, setIsApplying] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const allowedActions = Object.entries(BATCH_ACTIONS)
+    .filter(([action, { permission }]) => can(role, permission) && (action !== 'category' || categories.length > 0));
+
+  const activeCategory = categories.find(category => category.id === categoryFilter);
+  const matchesCategory = activeCategory ? categoryMatcher(categories, activeCategory) : () => true;
+  const search = searchTerm.trim().toLowerCase();
+
+  const filteredProducts = products.filter(product => {
+    const matchesSearch = !search || [product.name, product.category, ...productSkus(product), ...getTags(product)]
+      .some(text => text?.toLowerCase().includes(search));
+    const matchesStock =
+      stockFilter === 'inStock' ? product.inStock !== false :
+      stockFilter === 'outOfStock' ? product.inStock === false :
+      stockFilter === 'lowStock' ? stockItems(product).some(item => isLowStock(item, lowStockThreshold)) :
+      stockFilter === 'needsReview' ? Boolean(product.needsReview) : true;
+    return matchesSearch && matchesStock && matchesCategory(product);
+  }).sort(SORTS[sortBy].compare);
+
+  // Selections of products that have since been deleted are ignored
+  const selectedProducts = products.filter(product => selectedIds.has(product.id));
+  const isAllFilteredSelected = filteredProducts.length > 0 && filteredProducts.every(product => selectedIds.has(product.id));
+
+  const toggleSelected = (productId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(productId)) {
+        next.delete(productId);
+      } else {
+        next.add(productId);
+      }
+      return next;
+    });
+  };
+
+  const toggleAllFiltered = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      filteredProducts.forEach(product => (isAllFilteredSelected ? next.delete(product.id) : next.add(product.id)));
+      return next;
+    });
+  };
+
+  const handleBatchValueChange = (e) => {
+    const { name, value } = e.target;
+    setBatchValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleApplyBatch = async (e) => {
+    e.preventDefault();
+    try {
+      const value = parseBatchValue(batchAction, batchAction === 'category' ? batchValues.categoryId :
+        batchAction === 'makingCharge' ? batchValues : batchValues.tags, categories);
+      const plan = planBatchAction(selectedProducts, batchAction, value);
+      if (plan.changes.length === 0) {
+        alert(`Nothing to change.\n\n${batchSummary(plan, value)}`);
+        return;
+      }
+      if (!window.confirm(`${batchSummary(plan, value)}\n\nApply this change?`)) return;
+
+      setIsApplying(true);
+      await applyBatchAction(plan, user);
+      setSelectedIds(new Set());
+      setBatchAction('');
+      setBatchValues(initialBatchValues);
+      setSuccessMessage(`Updated ${plan.changes.length} ${plan.changes.length === 1 ? 'product' : 'products'}`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error applying batch action:', error);
+      alert(error.message);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">
+        Product List ({filteredProducts.length === products.length ? products.length : `${filteredProducts.length} of ${products.length}`})
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Search name, SKU, category or tag"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <select
+          value={categoryFilter}
+          onChange={(e) => setCategoryFilter(e.target.value)}
+          className="p-2 border rounded bg-white text-sm"
+        >
+          <option value="">All Categories</option>
+          {flattenCategoryTree(categories).map(category => (
+            <option key={category.id} value={category.id}>
+              {'— '.repeat(category.depth)}{category.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={stockFilter}
+          onChange={(e) => setStockFilter(e.target.value)}
+          className="p-2 border rounded bg-white text-sm"
+        >
+          {Object.entries(STOCK_FILTERS).map(([filter, label]) => (
+            <option key={filter} value={filter}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="p-2 border rounded bg-white text-sm"
+        >
+          {Object.entries(SORTS).map(([sort, { label }]) => (
+            <option key={sort} value={sort}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      {allowedActions.length > 0 && filteredProducts.length > 0 && (
+        <form onSubmit={handleApplyBatch} className="mb-4 p-3 bg-gray-50 rounded flex flex-col md:flex-row md:items-center gap-2">
+          <label className="flex items-center gap-2 text-sm whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={isAllFilteredSelected}
+              onChange={toggleAllFiltered}
+              className="h-4 w-4"
+            />
+            Select all {filteredProducts.length}
+          </label>
+          <span className="text-sm text-gray-600 whitespace-nowrap">{selectedProducts.length} selected</span>
+
+          {selectedProducts.length > 0 && (
+            <>
+              <select
+                value={batchAction}
+                onChange={(e) => setBatchAction(e.target.value)}
+                className="p-2 border rounded bg-white text-sm"
+                required
+              >
+                <option value="">Choose an action</option>
+                {allowedActions.map(([action, { label }]) => (
+                  <option key={action} value={action}>{label}</option>
+                ))}
+              </select>
+
+              {batchAction === 'category' && (
+                <select
+                  name="categoryId"
+                  value={batchValues.categoryId}
+                  onChange={handleBatchValueChange}
+                  className="p-2 border rounded bg-white text-sm"
+                  required
+                >
+                  <option value="">Select a category</option>
+                  {flattenCategoryTree(categories).map(category => (
+                    <option key={category.id} value={category.id}>
+                      {'— '.repeat(category.depth)}{category.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              {(batchAction === 'addTags' || batchAction === 'removeTags') && (
+                <input
+                  type="text"
+                  name="tags"
+                  placeholder="e.g., bridal, lightweight"
+                  value={batchValues.tags}
+                  onChange={handleBatchValueChange}
+                  className="flex-grow p-2 border rounded text-sm"
+                  required
+                />
+              )}
+
+              {batchAction === 'makingCharge' && (
+                <>
+                  <input
+                    type="number"
+                    name="makingCharge"
+                    min="0"
+                    step="0.01"
+                    placeholder="Blank for shop default"
+                    value={batchValues.makingCharge}
+                    onChange={handleBatchValueChange}
+                    className="p-2 border rounded text-sm"
+                  />
+                  <select
+                    name="makingChargeType"
+                    value={batchValues.makingChargeType}
+                    onChange={handleBatchValueChange}
+                    className="p-2 border rounded bg-white text-sm"
+                  >
+                    <option value="">Keep each product's type</option>
+                    {Object.entries(MAKING_CHARGE_TYPES).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+
+              <button
+                type="submit"
+                disabled={isApplying || !batchAction}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm transition-colors disabled:bg-blue-400 whitespace-nowrap"
+              >
+                {isApplying ? 'Applying...' : 'Apply'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setSelectedIds(new Set())}
+                className="text-sm text-gray-600 hover:underline whitespace-nowrap"
+              >
+                Clear selection
+              </button>
+            </>
+          )}
+        </form>
+      )}
+
+      {filteredProducts.length === 0 ? (
+        <p className="text-gray-500">No products found</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {filteredProducts.map((product) => (
+            <div
+              key={product.id}
+              className={`border p-4 rounded-lg hover:shadow-md transition-shadow relative ${selectedIds.has(product.id) ? 'ring-2 ring-blue-500' : ''}`}
+            >
+              {!product.inStock && (
+                <div className="absolute top-2 right-2 bg-red-500 text-white text-xs px-2 py-1 rounded-full">
+                  Out of Stock
+                </div>
+              )}
+              {product.needsReview && (
+                <div className="absolute top-2 left-2 bg-yellow-500 text-white text-xs px-2 py-1 rounded-full">
+                  Needs Review
+                </div>
+              )}
+
+              {product.imageUrl ? (
+                <img
+                  src={getThumbnailUrl(product)}
+                  alt={product.name}
+                  className="w-full h-48 object-contain mb-3 bg-gray-100 rounded"
+                />
+              ) : (
+                <div className="w-full h-48 flex items-center justify-center bg-gray-100 mb-3 rounded">
+                  <span className="text-gray-400">No Image</span>
+                </div>
+              )}
+
+              <label className="flex items-start gap-2">
+                {allowedActions.length > 0 && (
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.has(product.id)}
+                    onChange={() => toggleSelected(product.id)}
+                    className="mt-1.5 h-4 w-4"
+                    aria-label={`Select ${product.name}`}
+                  />
+                )}
+                <h3 className="font-bold text-lg">{product.name}</h3>
+              </label>
+              <p className="text-gray-600">Weight: {formatWeight(product)}</p>
+              <p className="text-gray-600">Metal: {formatPurity(product)}</p>
+              {product.price && (
+                <p className="text-gray-600">Price: {product.price}</p>
+              )}
+              {product.description && (
+                <p className="text-sm text-gray-500 mt-1 line-clamp-2">{product.description}</p>
+              )}
+              <p className="text-sm mt-2">Category: {product.category}</p>
+              {getTags(product).length > 0 && (
+                <p className="text-sm text-gray-600">Tags: {getTags(product).map(tagLabel).join(', ')}</p>
+              )}
+              {(product.sku || isTracked(product)) && (
+                <p className="text-sm">
+                  {product.sku && `SKU: ${product.sku}`}
+                  {product.sku && isTracked(product) && ' · '}
+                  {isTracked(product) && `Qty: ${product.quantity}`}
+                </p>
+              )}
+              {hasVariants(product) && (
+                <p className="text-sm">Variants: {getVariants(product).length}</p>
+              )}
+
+              <div className="mt-3 flex gap-2">
+                {can(role, 'products:edit') && (
+                  <button
+                    onClick={() => onEdit(product)}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                  >
+                    Edit
+                  </button>
+                )}
+                <button
+                  onClick={() => onOpenLedger(product)}
+                  className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm transition-colors"
+                >
+                  Stock
+                </button>
+                {can(role, 'products:stock') && !isTracked(product) && !hasVariants(product) && (
+                  <button
+                    onClick={() => onToggleStock(product)}
+                    className={`${product.inStock ? 'bg-orange-500 hover:bg-orange-600' : 'bg-green-500 hover:bg-green-600'} text-white px-3 py-1 rounded text-sm transition-colors`}
+                  >
+                    {product.inStock ? 'Mark Out of Stock' : 'Mark In Stock'}
+                  </button>
+                )}
+                {can(role, 'products:delete') && (
+                  <button
+                    onClick={() => onDelete(product)}
+                    className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { Link } from 'react-router-dom';
+import { FACETS } from './facets';
+
+// Catalog sidebar with live counts for categories, tags, purity and metal.
+// Categories link to their pages; the other facets toggle URL filters.
+// Counts are hidden while only part of the catalog has loaded.
+export default function FacetSidebar({ categoryOptions, categoryLink, facetOptions, selection, onToggle, showCounts = true }) {
+  const sections = Object.keys(FACETS).filter(key => facetOptions[key].length > 0);
+  if (categoryOptions.length === 0 && sections.length === 0) return null;
+
+  return (
+    <aside className="bg-white rounded-xl shadow-lg p-4 space-y-6">
+      {categoryOptions.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-amber-800 mb-2">Category</h3>
+          <ul className="space-y-1 text-sm">
+            {categoryOptions.map(({ category, count }) => (
+              <li key={category.id}>
+                <Link
+                  to={categoryLink(category)}
+                  className={`flex justify-between hover:text-amber-900 ${showCounts && count === 0 ? 'text-gray-400' : 'text-amber-700'}`}
+                >
+                  <span>{category.name}</span>
+                  {showCounts && <span>{count}</span>}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {sections.map(key => (
+        <div key={key}>
+          <h3 className="font-semibold text-amber-800 mb-2">{FACETS[key].label}</h3>
+          <ul className="space-y-1 text-sm">
+            {facetOptions[key].map(({ value, label, count }) => (
+              <li key={value}>
+                <label className={`flex items-center gap-2 cursor-pointer ${showCounts && count === 0 ? 'text-gray-400' : 'text-amber-700'}`}>
+                  <input
+                    type="checkbox"
+                    checked={selection[key].includes(value)}
+                    onChange={() => onToggle(key, value)}
+                    className="accent-amber-500"
+                  />
+                  <span className="flex-grow">{label}</span>
+                  {showCounts && <span>{count}</span>}
+                </label>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </aside>
+  );
+}
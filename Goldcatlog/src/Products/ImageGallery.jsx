@@ -0,0 +1,106 @@
+import { useState, useRef } from 'react';
+
+const SWIPE_THRESHOLD = 50;
+
+// Swipeable product image gallery; click or tap an image to zoom in where you pointed
+export default function ImageGallery({ images, alt, startIndex = 0, className = '' }) {
+  const [index, setIndex] = useState(Math.min(startIndex, images.length - 1));
+  const [zoomOrigin, setZoomOrigin] = useState(null);
+  const touchStartX = useRef(null);
+
+  if (images.length === 0) return null;
+
+  const goTo = (newIndex) => {
+    setIndex((newIndex + images.length) % images.length);
+    setZoomOrigin(null);
+  };
+
+  const toggleZoom = (e) => {
+    e.stopPropagation();
+    if (zoomOrigin) {
+      setZoomOrigin(null);
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    setZoomOrigin(`${x}% ${y}%`);
+  };
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null || zoomOrigin) return;
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (Math.abs(deltaX) > SWIPE_THRESHOLD) {
+      goTo(deltaX < 0 ? index + 1 : index - 1);
+    }
+  };
+
+  return (
+    <div className={`relative flex flex-col ${className}`}>
+      <div
+        className="relative flex-grow overflow-hidden bg-amber-50"
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+      >
+        <img
+          src={images[index].url}
+          alt={`${alt} (${index + 1} of ${images.length})`}
+          onClick={toggleZoom}
+          className={`w-full h-full object-cover transition-transform duration-300 ${zoomOrigin ? 'scale-200 cursor-zoom-out' : 'cursor-zoom-in'}`}
+          style={zoomOrigin ? { transformOrigin: zoomOrigin } : undefined}
+        />
+
+        {images.length > 1 && (
+          <>
+            <button
+              onClick={(e) => { e.stopPropagation(); goTo(index - 1); }}
+              className="absolute left-2 top-1/2 -translate-y-1/2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
+              aria-label="Previous image"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-amber-700" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+            </button>
+            <button
+              onClick={(e) => { e.stopPropagation(); goTo(index + 1); }}
+              className="absolute right-2 top-1/2 -translate-y-1/2 bg-white bg-opacity-70 p-2 rounded-full shadow-md hover:bg-amber-100 transition-colors"
+              aria-label="Next image"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-amber-700" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+            </button>
+            <div className="absolute bottom-2 left-0 right-0 flex justify-center gap-1">
+              {images.map((image, i) => (
+                <span
+                  key={image.url}
+                  className={`h-2 w-2 rounded-full ${i === index ? 'bg-amber-500' : 'bg-white bg-opacity-70'}`}
+                ></span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {images.length > 1 && (
+        <div className="flex gap-2 p-2 overflow-x-auto bg-white">
+          {images.map((image, i) => (
+            <button
+              key={image.url}
+              onClick={(e) => { e.stopPropagation(); goTo(i); }}
+              className={`flex-shrink-0 w-14 h-14 rounded overflow-hidden border-2 ${i === index ? 'border-amber-500' : 'border-transparent'}`}
+              aria-label={`Show image ${i + 1}`}
+            >
+              <img src={image.thumbUrl || image.url} alt="" className="w-full h-full object-cover" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
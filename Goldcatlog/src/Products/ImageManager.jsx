@@ -0,0 +1,121 @@
+import { useState } from 'react';
+
+// Admin image list editor. Existing images are { url, path }; newly picked files
+// are { file, url } with a local preview URL until the product is saved.
+export default function ImageManager({ images, coverIndex, onChange }) {
+  const [urlInput, setUrlInput] = useState('');
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const handleFilesChange = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+    const newImages = files.map(file => ({ file, url: URL.createObjectURL(file) }));
+    onChange([...images, ...newImages], coverIndex);
+    e.target.value = '';
+  };
+
+  const handleAddUrl = () => {
+    const url = urlInput.trim();
+    if (!url || images.some(image => image.url === url)) return;
+    onChange([...images, { url }], coverIndex);
+    setUrlInput('');
+  };
+
+  const handleRemove = (index) => {
+    if (images[index].file) URL.revokeObjectURL(images[index].url);
+    const newImages = images.filter((_, i) => i !== index);
+    let newCover = coverIndex;
+    if (index === coverIndex) newCover = 0;
+    else if (index < coverIndex) newCover = coverIndex - 1;
+    onChange(newImages, newCover);
+  };
+
+  // Move the dragged image to the drop position, keeping the same cover image
+  const handleDrop = (index) => {
+    if (dragIndex === null || dragIndex === index) return;
+    const cover = images[coverIndex];
+    const newImages = [...images];
+    const [moved] = newImages.splice(dragIndex, 1);
+    newImages.splice(index, 0, moved);
+    onChange(newImages, Math.max(newImages.indexOf(cover), 0));
+    setDragIndex(null);
+  };
+
+  return (
+    <div className="md:col-span-2">
+      <label className="block text-sm font-medium mb-1">Product Images</label>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={handleFilesChange}
+          className="w-full p-2 border rounded"
+        />
+        <div className="flex gap-2">
+          <input
+            type="url"
+            placeholder="OR add image URL: https://example.com/image.jpg"
+            value={urlInput}
+            onChange={(e) => setUrlInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleAddUrl();
+              }
+            }}
+            className="flex-grow p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            type="button"
+            onClick={handleAddUrl}
+            className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm transition-colors"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      {images.length > 0 && (
+        <>
+          <p className="text-xs text-gray-500 mt-2">Drag images to reorder. The cover image is shown in the catalog grid.</p>
+          <div className="mt-2 flex flex-wrap gap-3">
+            {images.map((image, index) => (
+              <div
+                key={image.url}
+                draggable
+                onDragStart={() => setDragIndex(index)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => handleDrop(index)}
+                onDragEnd={() => setDragIndex(null)}
+                className={`relative w-24 h-24 rounded border-2 cursor-move bg-gray-100 ${index === coverIndex ? 'border-blue-500' : 'border-transparent'} ${dragIndex === index ? 'opacity-50' : ''}`}
+              >
+                <img src={image.url} alt="" className="w-full h-full object-cover rounded" />
+                {index === coverIndex ? (
+                  <span className="absolute bottom-1 left-1 bg-blue-600 text-white text-xs px-1 rounded">Cover</span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onChange(images, index)}
+                    className="absolute bottom-1 left-1 bg-white bg-opacity-80 text-xs px-1 rounded hover:bg-blue-100"
+                  >
+                    Set cover
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="absolute top-1 right-1 bg-red-600 hover:bg-red-700 text-white text-xs w-5 h-5 rounded-full"
+                  aria-label="Remove image"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import { IMPORT_FIELDS, readSpreadsheet, guessColumnMapping, buildImportPreview, importProducts, exportProducts } from './importExport';
+import { formatWeight, formatPurity } from './schema';
+import useCategories from '../Categories/useCategories';
+
+// Admin section for importing products from CSV/XLSX and exporting backups
+export default function ProductImport({ products }) {
+  const { user, role } = useAuth();
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+  const categories = useCategories();
+
+  const preview = sheet ? buildImportPreview(sheet.rows, mapping, categories, products) : [];
+  const validCount = preview.filter(row => row.errors.length === 0).length;
+  const missingRequired = IMPORT_FIELDS.filter(field => field.required && !mapping[field.key]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = await readSpreadsheet(file);
+      if (data.rows.length === 0) {
+        throw new Error('The file has no rows to import');
+      }
+      setSheet({ ...data, fileName: file.name });
+      setMapping(guessColumnMapping(data.headers));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm(`Import ${validCount} products? Rows with errors will be skipped.`)) return;
+    setIsImporting(true);
+
+    try {
+      const count = await importProducts(preview, user);
+      setSheet(null);
+      setMapping({});
+      setSuccessMessage(`Imported ${count} products successfully!`);
+      setTimeout(() => setSuccessMessage(''), 5000);
+    } catch (error) {
+      console.error('Error importing products:', error);
+      alert(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      await exportProducts(products, format);
+    } catch (error) {
+      console.error('Error exporting products:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold">Import / Export</h2>
+        <div className="flex gap-2">
+          {['csv', 'xlsx', 'json'].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={products.length === 0}
+              className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm transition-colors disabled:bg-gray-300"
+            >
+              Export {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      {can(role, 'products:import') && (
+        <>
+          <label className="block text-sm font-medium mb-1">Import products from CSV or Excel</label>
+          <input
+            type="file"
+            accept=".csv,.xlsx,text/csv"
+            onChange={handleFileChange}
+            className="w-full p-2 border rounded"
+          />
+        </>
+      )}
+
+      {sheet && (
+        <div className="mt-4">
+          <h3 className="font-medium mb-2">Map columns from {sheet.fileName}</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {IMPORT_FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="block text-xs font-medium mb-1">
+                  {field.label}{field.required && '*'}
+                </label>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className="w-full p-1 border rounded text-sm bg-white"
+                >
+                  <option value="">— Not imported —</option>
+                  {sheet.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {missingRequired.length > 0 && (
+            <p className="mt-2 text-sm text-red-600">
+              Choose a column for: {missingRequired.map(field => field.label).join(', ')}
+            </p>
+          )}
+
+          <div className="mt-4 overflow-x-auto max-h-96 overflow-y-auto border rounded">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-500">
+                  <th className="p-2">Row</th>
+                  <th className="p-2">Name</th>
+                  <th className="p-2">Category</th>
+                  <th className="p-2">SKU</th>
+                  <th className="p-2">Qty</th>
+                  <th className="p-2">Weight</th>
+                  <th className="p-2">Metal</th>
+                  <th className="p-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(row => (
+                  <tr key={row.rowNumber} className={`border-t ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                    <td className="p-2">{row.rowNumber}</td>
+                    <td className="p-2">{row.product.name}</td>
+                    <td className="p-2">
+                      {row.product.category}
+                      {row.product.category && !row.product.categoryId && <span className="ml-1 text-xs text-yellow-700">(new)</span>}
+                    </td>
+                    <td className="p-2">{row.product.sku}</td>
+                    <td className="p-2">{row.product.quantity ?? '-'}</td>
+                    <td className="p-2">{row.product.grossWeight > 0 ? formatWeight(row.product) : '-'}</td>
+                    <td className="p-2">{formatPurity(row.product)}</td>
+                    <td className="p-2">
+                      {row.errors.length > 0
+                        ? <span className="text-red-600">{row.errors.join('; ')}</span>
+                        : <span className="text-green-600">Ready</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-4 flex items-center gap-3">
+            <button
+              onClick={handleImport}
+              disabled={isImporting || validCount === 0 || missingRequired.length > 0}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
+            >
+              {isImporting ? 'Importing...' : `Import ${validCount} of ${preview.length} Rows`}
+            </button>
+            <button
+              onClick={() => setSheet(null)}
+              className="bg-gray-500 hover:bg-gray-600 text-white px-6 py-2 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { parseTags, tagLabel } from './tags';
+
+// Admin tag editor: type a tag and press Enter or comma to add it; existing
+// tags are offered as suggestions
+export default function TagInput({ tags, suggestions, onChange }) {
+  const [text, setText] = useState('');
+  const unused = suggestions.filter(tag => !tags.includes(tag));
+
+  const addTags = (value) => {
+    const newTags = parseTags([...tags, ...parseTags(value)]);
+    if (newTags.length !== tags.length) {
+      onChange(newTags);
+    }
+    setText('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTags(text);
+    } else if (e.key === 'Backspace' && text === '' && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-2 border rounded focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500">
+      {tags.map(tag => (
+        <span key={tag} className="bg-blue-100 text-blue-800 text-sm px-2 py-0.5 rounded-full">
+          {tagLabel(tag)}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter(t => t !== tag))}
+            className="ml-1 text-blue-600 hover:text-blue-900"
+            aria-label={`Remove ${tag}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        list="tag-suggestions"
+        placeholder={tags.length === 0 ? 'e.g., bridal, lightweight' : ''}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => text && addTags(text)}
+        className="flex-grow min-w-[8rem] outline-none"
+      />
+      <datalist id="tag-suggestions">
+        {unused.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import { GOLD_PURITIES, WEIGHT_UNITS } from './schema';
+import { newVariantId } from './variants';
+
+const inputClassName = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Admin editor for a product's variants (sizes, purities) as rows of form values.
+// `lockedIds` are saved variants whose quantity only changes through the stock ledger.
+export default function VariantEditor({ variants, metal, weightUnit, purity, lockedIds, onChange }) {
+  const unit = (WEIGHT_UNITS[weightUnit] || WEIGHT_UNITS.g).short;
+
+  const handleAdd = () => {
+    const last = variants[variants.length - 1];
+    onChange([...variants, {
+      id: newVariantId(),
+      size: '',
+      purity: last?.purity ?? purity,
+      grossWeight: last?.grossWeight ?? '',
+      netWeight: '',
+      sku: '',
+      quantity: '',
+      inStock: true
+    }]);
+  };
+
+  const handleChange = (index, field, value) => {
+    onChange(variants.map((variant, i) => i === index ? { ...variant, [field]: value } : variant));
+  };
+
+  const handleRemove = (index) => {
+    onChange(variants.filter((_, i) => i !== index));
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= variants.length) return;
+    const newVariants = [...variants];
+    [newVariants[index], newVariants[target]] = [newVariants[target], newVariants[index]];
+    onChange(newVariants);
+  };
+
+  return (
+    <div className="md:col-span-2">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold">
+          Variants <span className="font-normal text-gray-500">(sizes or purities; each replaces the weight, purity and stock above)</span>
+        </h3>
+        <button
+          type="button"
+          onClick={handleAdd}
+          className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm transition-colors"
+        >
+          Add Variant
+        </button>
+      </div>
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="p-1">Size</th>
+                {metal === 'gold' && <th className="p-1">Purity</th>}
+                <th className="p-1">Gross ({unit})*</th>
+                <th className="p-1">Net ({unit})</th>
+                <th className="p-1">SKU</th>
+                <th className="p-1">Qty</th>
+                <th className="p-1">In Stock</th>
+                <th className="p-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant, index) => (
+                <tr key={variant.id}>
+                  <td className="p-1">
+                    <input
+                      type="text"
+                      placeholder="e.g., 12"
+                      value={variant.size}
+                      onChange={(e) => handleChange(index, 'size', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </td>
+                  {metal === 'gold' && (
+                    <td className="p-1">
+                      <select
+                        value={variant.purity}
+                        onChange={(e) => handleChange(index, 'purity', e.target.value)}
+                        className={`${inputClassName} bg-white`}
+                      >
+                        {GOLD_PURITIES.map(option => (
+                          <option key={option} value={option}>{option}K</option>
+                        ))}
+                      </select>
+                    </td>
+                  )}
+                  <td className="p-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.001"
+                      value={variant.grossWeight}
+                      onChange={(e) => handleChange(index, 'grossWeight', e.target.value)}
+                      className={inputClassName}
+                      required
+                    />
+                  </td>
+                  <td className="p-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.001"
+                      placeholder="Same"
+                      value={variant.netWeight}
+                      onChange={(e) => handleChange(index, 'netWeight', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </td>
+                  <td className="p-1">
+                    <input
+                      type="text"
+                      value={variant.sku}
+                      onChange={(e) => handleChange(index, 'sku', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </td>
+                  <td className="p-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      placeholder="-"
+                      value={variant.quantity}
+                      onChange={(e) => handleChange(index, 'quantity', e.target.value)}
+                      disabled={lockedIds.includes(variant.id)}
+                      title={lockedIds.includes(variant.id) ? 'Use Stock in the product list to record movements' : undefined}
+                      className={`${inputClassName} w-20 disabled:bg-gray-100`}
+                    />
+                  </td>
+                  <td className="p-1 text-center">
+                    <input
+                      type="checkbox"
+                      checked={variant.inStock}
+                      onChange={(e) => handleChange(index, 'inStock', e.target.checked)}
+                      disabled={variant.quantity !== ''}
+                      className="h-5 w-5"
+                    />
+                  </td>
+                  <td className="p-1 whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => handleMove(index, -1)}
+                      className="px-1 text-gray-500 hover:text-gray-800"
+                      aria-label="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleMove(index, 1)}
+                      className="px-1 text-gray-500 hover:text-gray-800"
+                      aria-label="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(index)}
+                      className="ml-1 bg-red-600 hover:bg-red-700 text-white text-xs w-5 h-5 rounded-full"
+                      aria-label="Remove variant"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import { getVariants, variantLabel } from './variants';
+
+// Size / purity chooser for products with variants; out-of-stock options stay
+// selectable so customers can still ask about them
+export default function VariantPicker({ product, selectedId, onSelect, className = '' }) {
+  const variants = getVariants(product);
+  if (variants.length === 0) return null;
+
+  return (
+    <div className={className}>
+      <span className="block font-medium text-amber-800 mb-2">Options:</span>
+      <div className="flex flex-wrap gap-2">
+        {variants.map(variant => (
+          <button
+            key={variant.id}
+            onClick={(e) => { e.stopPropagation(); onSelect(variant.id); }}
+            className={`px-3 py-1 rounded-lg border text-sm transition-colors ${
+              variant.id === selectedId
+                ? 'bg-amber-500 border-amber-500 text-white'
+                : 'bg-white border-amber-300 text-amber-800 hover:bg-amber-50'
+            } ${variant.inStock === false ? 'line-through opacity-60' : ''}`}
+            aria-pressed={variant.id === selectedId}
+          >
+            {variantLabel(product, variant)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+
+// Windowed grid for long product lists: only the rows near the viewport are
+// rendered, positioned inside a container as tall as the whole list. The page
+// itself scrolls, so the grid follows the window's scroll position. Rows are
+// measured as they render; unmeasured rows use `estimateRowHeight`.
+// `minItemWidth` sets how many columns fit (0 for a single-column list) and
+// `onEndReached` is called when the last rows come into view.
+export default function VirtualGrid({ items, renderItem, minItemWidth = 0, gap = 0, estimateRowHeight, overscan = 2, onEndReached }) {
+  const containerRef = useRef(null);
+  const rowHeights = useRef(new Map());
+  const [rowObserver, setRowObserver] = useState(null);
+  const [width, setWidth] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+  const [, setMeasuredCount] = useState(0);
+
+  // Container width decides the number of columns
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    setWidth(container.offsetWidth);
+    const observer = new ResizeObserver(() => setWidth(container.offsetWidth));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Track which part of the grid is on screen, at most once per frame
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const rect = containerRef.current.getBoundingClientRect();
+      setViewport(prev => {
+        const next = { top: -rect.top, height: window.innerHeight };
+        return prev.top === next.top && prev.height === next.height ? prev : next;
+      });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  // Rendered rows report their real height, keyed by the products they show
+  useEffect(() => {
+    const observer = new ResizeObserver(entries => {
+      let changed = false;
+      entries.forEach(({ target }) => {
+        const height = target.offsetHeight;
+        if (rowHeights.current.get(target.dataset.rowKey) !== height) {
+          rowHeights.current.set(target.dataset.rowKey, height);
+          changed = true;
+        }
+      });
+      if (changed) setMeasuredCount(count => count + 1);
+    });
+    setRowObserver(observer);
+    return () => observer.disconnect();
+  }, []);
+
+  const columns = minItemWidth > 0 ? Math.max(1, Math.floor((width + gap) / (minItemWidth + gap))) : 1;
+  const rows = [];
+  let totalHeight = 0;
+  for (let start = 0; start < items.length; start += columns) {
+    const rowItems = items.slice(start, start + columns);
+    const key = `${columns}:${rowItems.map(item => item.id).join(',')}`;
+    const height = rowHeights.current.get(key) ?? estimateRowHeight;
+    rows.push({ key, items: rowItems, top: totalHeight });
+    totalHeight += height + gap;
+  }
+  totalHeight = Math.max(0, totalHeight - gap);
+
+  // Rows overlapping the viewport, plus a few either side
+  let first = rows.findIndex(row => row.top + (rowHeights.current.get(row.key) ?? estimateRowHeight) >= viewport.top);
+  if (first === -1) first = rows.length;
+  let last = first;
+  while (last < rows.length - 1 && rows[last + 1].top <= viewport.top + viewport.height) last++;
+  first = Math.max(0, first - overscan);
+  last = Math.min(rows.length - 1, last + overscan);
+  const visibleRows = rows.slice(first, last + 1);
+
+  const isEndVisible = rows.length > 0 && last === rows.length - 1;
+  useEffect(() => {
+    if (isEndVisible) onEndReached?.();
+  }, [isEndVisible, items.length, onEndReached]);
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative', height: totalHeight }}>
+      {rowObserver && visibleRows.map(row => (
+        <div
+          key={row.key}
+          data-row-key={row.key}
+          ref={(element) => {
+            rowObserver.observe(element);
+            return () => rowObserver.unobserve(element);
+          }}
+          style={{
+            position: 'absolute',
+            top: row.top,
+            left: 0,
+            right: 0,
+            display: 'grid',
+            gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+            gap
+          }}
+        >
+          {row.items.map(renderItem)}
+        </div>
+      ))}
+    </div>
+  );
+}
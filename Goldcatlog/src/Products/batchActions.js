@@ -0,0 +1,148 @@
+import { ref, update } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { MAKING_CHARGE_TYPES } from '../Pricing/pricing';
+import { isTracked } from '../Inventory/inventory';
+import { hasVariants } from './variants';
+import { getTags, parseTags, tagLabel } from './tags';
+import { productChangeUpdate, deleteProductUpdate } from '../Audit/audit';
+
+// Actions that can be applied to several selected products at once, with the
+// permission each needs
+export const BATCH_ACTIONS = {
+  inStock: { label: 'Mark in stock', permission: 'products:stock' },
+  outOfStock: { label: 'Mark out of stock', permission: 'products:stock' },
+  category: { label: 'Change category', permission: 'products:edit' },
+  addTags: { label: 'Add tags', permission: 'products:edit' },
+  removeTags: { label: 'Remove tags', permission: 'products:edit' },
+  makingCharge: { label: 'Set making charge', permission: 'products:edit' },
+  delete: { label: 'Delete', permission: 'products:delete' }
+};
+
+// Read and check the value entered for an action. Making charges take
+// { makingCharge, makingChargeType }; a blank charge clears the override, and
+// with no type chosen each product keeps the type it has.
+export const parseBatchValue = (action, value, categories) => {
+  if (action === 'category') {
+    const category = categories.find(c => c.id === value);
+    if (!category) {
+      throw new Error('Please choose a category');
+    }
+    return category;
+  }
+  if (action === 'addTags' || action === 'removeTags') {
+    const tags = parseTags(value);
+    if (tags.length === 0) {
+      throw new Error('Please enter at least one tag');
+    }
+    return tags;
+  }
+  if (action === 'makingCharge') {
+    if (value.makingCharge === '') {
+      return { makingCharge: null, makingChargeType: null };
+    }
+    const makingCharge = parseFloat(value.makingCharge);
+    if (isNaN(makingCharge) || makingCharge < 0) {
+      throw new Error('Making charge must be zero or more');
+    }
+    return { makingCharge, makingChargeType: value.makingChargeType || null };
+  }
+  return null;
+};
+
+// New field values for one product, or a reason to leave it unchanged
+const productChanges = (product, action, value) => {
+  switch (action) {
+    case 'inStock':
+    case 'outOfStock': {
+      if (isTracked(product) || hasVariants(product)) {
+        return { skip: 'stock is counted in the ledger' };
+      }
+      const inStock = action === 'inStock';
+      return (product.inStock !== false) === inStock ? { skip: 'already marked that way' } : { values: { inStock } };
+    }
+    case 'category':
+      return product.categoryId === value.id
+        ? { skip: 'already in that category' }
+        : { values: { categoryId: value.id, category: value.name } };
+    case 'addTags': {
+      const tags = parseTags([...getTags(product), ...value]);
+      return tags.length === getTags(product).length ? { skip: 'already tagged' } : { values: { tags } };
+    }
+    case 'removeTags': {
+      const tags = getTags(product).filter(tag => !value.includes(tag));
+      return tags.length === getTags(product).length
+        ? { skip: 'not tagged' }
+        : { values: { tags: tags.length > 0 ? tags : null } };
+    }
+    case 'makingCharge': {
+      const makingChargeType = value.makingCharge === null ? null : value.makingChargeType || product.makingChargeType || null;
+      return (product.makingCharge ?? null) === value.makingCharge && (product.makingChargeType ?? null) === makingChargeType
+        ? { skip: 'already set' }
+        : { values: { makingCharge: value.makingCharge, makingChargeType } };
+    }
+    case 'delete':
+      return { values: null };
+    default:
+      throw new Error(`Unknown batch action "${action}"`);
+  }
+};
+
+// Work out what an action would do to the selected products: the products that
+// change, and how many are skipped for each reason
+export const planBatchAction = (products, action, value) => {
+  const changes = [];
+  const skipped = {};
+  products.forEach(product => {
+    const { values, skip } = productChanges(product, action, value);
+    if (skip) {
+      skipped[skip] = (skipped[skip] || 0) + 1;
+    } else {
+      changes.push({ product, values });
+    }
+  });
+  return { action, changes, skipped };
+};
+
+const describeAction = (action, value) => {
+  switch (action) {
+    case 'category':
+      return `Move to "${value.name}"`;
+    case 'addTags':
+      return `Add tags ${value.map(tagLabel).join(', ')}`;
+    case 'removeTags':
+      return `Remove tags ${value.map(tagLabel).join(', ')}`;
+    case 'makingCharge':
+      return value.makingCharge === null
+        ? 'Use the shop default making charge'
+        : `Set making charge to ${value.makingCharge}${value.makingChargeType ? ` ${MAKING_CHARGE_TYPES[value.makingChargeType]}` : ''}`;
+    case 'delete':
+      return 'Move to the trash';
+    default:
+      return BATCH_ACTIONS[action].label;
+  }
+};
+
+// Confirmation text listing what will change and what will be skipped
+export const batchSummary = (plan, value) => {
+  const lines = [`${describeAction(plan.action, value)}: ${plan.changes.length} ${plan.changes.length === 1 ? 'product' : 'products'}`];
+  plan.changes.slice(0, 10).forEach(({ product }) => lines.push(`  • ${product.name}`));
+  if (plan.changes.length > 10) {
+    lines.push(`  • and ${plan.changes.length - 10} more`);
+  }
+  Object.entries(plan.skipped).forEach(([reason, count]) => {
+    lines.push(`Skipping ${count} ${count === 1 ? 'product' : 'products'}: ${reason}`);
+  });
+  return lines.join('\n');
+};
+
+// Apply a planned action in one multi-path update, so either every product
+// changes or none do. Each change is logged in the audit log.
+export const applyBatchAction = async (plan, user) => {
+  const updates = {};
+  plan.changes.forEach(({ product, values }) => {
+    Object.assign(updates, plan.action === 'delete'
+      ? deleteProductUpdate(product, user)
+      : productChangeUpdate(product, values, plan.action === 'inStock' || plan.action === 'outOfStock' ? 'stock' : 'updated', user));
+  });
+  await update(ref(db), updates);
+};
@@ -0,0 +1,61 @@
+import { METALS, isGold } from './schema';
+import { getVariants } from './variants';
+import { getTags, tagLabel } from './tags';
+
+// Catalog sidebar facets. Each lists the values a product has for it; values
+// selected within a facet are alternatives (any of), and facets combine with
+// each other and the other catalog filters (all of).
+export const FACETS = {
+  tags: {
+    label: 'Tags',
+    values: (product) => getTags(product),
+    format: tagLabel
+  },
+  purity: {
+    label: 'Purity',
+    // Products with variants are listed under each purity they come in
+    values: (product) => {
+      if (!isGold(product)) return [];
+      const purities = getVariants(product).map(variant => variant.purity);
+      return (purities.length > 0 ? purities : [product.purity]).filter(Boolean).map(String);
+    },
+    format: (value) => `${value}K`
+  },
+  metal: {
+    label: 'Metal',
+    values: (product) => [product.metal || 'gold'],
+    format: (value) => METALS[value] || value
+  }
+};
+
+// Selected facet values from the URL's comma-separated parameters
+export const parseFacetSelection = (filters) => {
+  return Object.fromEntries(Object.keys(FACETS).map(key => [key, filters[key] ? filters[key].split(',') : []]));
+};
+
+export const serializeFacetValues = (values) => values.join(',');
+
+// Whether a product matches every selected facet, optionally ignoring one so
+// that facet's own counts show what selecting another value would give
+export const matchesFacets = (product, selection, exceptKey = null) => {
+  return Object.entries(selection).every(([key, selected]) => {
+    if (key === exceptKey || selected.length === 0) return true;
+    return FACETS[key].values(product).some(value => selected.includes(value));
+  });
+};
+
+// [{ value, label, count }] for one facet over the given products, most common first
+export const facetCounts = (products, selection, key) => {
+  const counts = new Map();
+  products
+    .filter(product => matchesFacets(product, selection, key))
+    .forEach(product => {
+      new Set(FACETS[key].values(product)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+  // Keep selected values listed even when nothing else matches them
+  selection[key].forEach(value => counts.has(value) || counts.set(value, 0));
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, label: FACETS[key].format(value), count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
@@ -0,0 +1,80 @@
+import { ref as storageRef, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { storage } from '../Firebase/Config';
+import { processImage, extensionFor } from './processImage';
+
+// Products keep an ordered `images` list of { url, path, thumbUrl, thumbPath }
+// plus `imageUrl` and `thumbnailUrl` for the chosen cover. Paths are only set
+// for files uploaded to Storage; external URLs have no thumbnail. Older products
+// only have `imageUrl`.
+export const getProductImages = (product) => {
+  if (product?.images?.length) return product.images;
+  return product?.imageUrl ? [{ url: product.imageUrl }] : [];
+};
+
+export const getCoverIndex = (product) => {
+  const index = getProductImages(product).findIndex(image => image.url === product.imageUrl);
+  return index === -1 ? 0 : index;
+};
+
+// Small image for grids and lists, falling back to the full image
+export const getThumbnailUrl = (product) => product?.thumbnailUrl || product?.imageUrl;
+
+const uploadBlob = (path, blob, onProgress) => {
+  return new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(storageRef(storage, path), blob, { contentType: blob.type });
+    task.on(
+      'state_changed',
+      (snapshot) => onProgress?.(snapshot.bytesTransferred, snapshot.totalBytes),
+      reject,
+      async () => resolve(await getDownloadURL(task.snapshot.ref))
+    );
+  });
+};
+
+// Process a photo and upload its full-size and thumbnail variants to a Storage
+// folder, reporting progress as a fraction between 0 and 1
+export const uploadImage = async (folder, file, onProgress) => {
+  const { full, thumbnail } = await processImage(file);
+  const totalBytes = full.size + thumbnail.size;
+  const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const path = `${folder}/${name}.${extensionFor(full)}`;
+  const thumbPath = `${folder}/${name}-thumb.${extensionFor(thumbnail)}`;
+
+  const url = await uploadBlob(path, full, (transferred) => {
+    onProgress?.(transferred / totalBytes);
+  });
+  const thumbUrl = await uploadBlob(thumbPath, thumbnail, (transferred) => {
+    onProgress?.((full.size + transferred) / totalBytes);
+  });
+  return { url, path, thumbUrl, thumbPath };
+};
+
+export const uploadProductImage = (productId, file, onProgress) => {
+  return uploadImage(`products/${productId}`, file, onProgress);
+};
+
+// Storage references for an image and its thumbnail, if they live in our bucket
+const imageFileRefs = (image) => {
+  if (image.path) {
+    return [image.path, image.thumbPath].filter(Boolean).map(path => storageRef(storage, path));
+  }
+  try {
+    // Legacy uploads only stored their download URL
+    return [storageRef(storage, image.url)];
+  } catch {
+    return [];
+  }
+};
+
+// Remove the Storage files behind images that are no longer used
+export const deleteImageFiles = async (images) => {
+  await Promise.all(images.flatMap(imageFileRefs).map(async (fileRef) => {
+    try {
+      await deleteObject(fileRef);
+    } catch (error) {
+      if (error.code !== 'storage/object-not-found') {
+        console.error('Error deleting image:', error);
+      }
+    }
+  }));
+};
@@ -0,0 +1,200 @@
+import { ref, push, update } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { DEFAULT_PURITY } from './schema';
+import { prepareProductData } from './productData';
+import { productSkus } from './variants';
+import { stockMovementUpdate } from '../Inventory/inventory';
+import { auditEntryUpdate } from '../Audit/audit';
+import { matchCategory } from '../Categories/categories';
+
+// Columns understood by the bulk import, with header names they are matched from
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['product', 'product name', 'item', 'item name'] },
+  { key: 'category', label: 'Category', required: true, aliases: ['type'] },
+  { key: 'sku', label: 'SKU / Tag No.', aliases: ['tag', 'tag no', 'tag number', 'code', 'item code'] },
+  { key: 'quantity', label: 'Quantity', aliases: ['qty', 'stock qty', 'pieces', 'pcs'] },
+  { key: 'grossWeight', label: 'Gross Weight', required: true, aliases: ['weight', 'gross wt', 'gross', 'wt'] },
+  { key: 'netWeight', label: 'Net Weight', aliases: ['net wt', 'net'] },
+  { key: 'weightUnit', label: 'Weight Unit', aliases: ['unit', 'uom'] },
+  { key: 'metal', label: 'Metal', aliases: [] },
+  { key: 'purity', label: 'Purity (K)', aliases: ['karat', 'carat', 'kt'] },
+  { key: 'description', label: 'Description', aliases: ['details'] },
+  { key: 'tags', label: 'Tags', aliases: ['keywords', 'labels'] },
+  { key: 'inStock', label: 'In Stock', aliases: ['stock', 'available'] },
+  { key: 'imageUrl', label: 'Image URL', aliases: ['image', 'photo', 'picture'] },
+  { key: 'wastagePercent', label: 'Wastage (%)', aliases: ['wastage'] },
+  { key: 'makingCharge', label: 'Making Charge', aliases: ['making'] },
+  { key: 'makingChargeType', label: 'Making Charge Type', aliases: ['making type'] },
+  { key: 'stoneCharges', label: 'Stone Charges', aliases: ['stone', 'stones', 'diamond charges'] },
+  { key: 'hallmarkFee', label: 'Hallmarking Fee', aliases: ['hallmark', 'hallmarking', 'huid fee'] }
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Cell value as text; dates keep only the day
+const cellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+const isCsv = (file) => file.type === 'text/csv' || /\.csv$/i.test(file.name);
+
+// Read a CSV file, or the first sheet of an XLSX file, into an array of row
+// objects keyed by the header row. Blank rows and unnamed columns are skipped.
+export const readSpreadsheet = async (file) => {
+  let table;
+  if (isCsv(file)) {
+    const { default: Papa } = await import('papaparse');
+    table = Papa.parse(await file.text(), { skipEmptyLines: 'greedy' }).data;
+  } else {
+    const { readSheet } = await import('read-excel-file/browser');
+    table = await readSheet(file);
+  }
+
+  const [headerRow = [], ...dataRows] = table;
+  const columns = headerRow.map(cellText).map(header => header.trim());
+  const headers = columns.filter(Boolean);
+  const rows = dataRows
+    .filter(row => row.some(cell => cellText(cell).trim()))
+    .map(row => Object.fromEntries(
+      columns.map((header, index) => [header, cellText(row[index])]).filter(([header]) => header)
+    ));
+  return { headers, rows };
+};
+
+// Match spreadsheet headers to product fields by label, key or alias
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const candidates = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+    const header = headers.find(h => candidates.includes(normalizeHeader(h)));
+    if (header) mapping[field.key] = header;
+  });
+  return mapping;
+};
+
+const parseBoolean = (value) => {
+  if (value === '' || value === undefined) return true;
+  return !['no', 'n', 'false', '0', 'out', 'out of stock', 'sold'].includes(String(value).trim().toLowerCase());
+};
+
+const parseUnit = (value) => {
+  const unit = String(value || '').trim().toLowerCase();
+  if (['gm', 'gms', 'gram', 'grams'].includes(unit)) return 'g';
+  if (['ounce', 'ounces'].includes(unit)) return 'oz';
+  return unit;
+};
+
+// Turn spreadsheet rows into products, validated the same way as the admin form.
+// Category names are linked to the matching managed category where there is one.
+// A SKU already used by a product, or by an earlier row, is an error.
+export const buildImportPreview = (rows, mapping, categories = [], products = []) => {
+  const skuRows = new Map();
+  return rows.map((row, index) => {
+    const values = {};
+    IMPORT_FIELDS.forEach(({ key }) => {
+      const value = mapping[key] ? row[mapping[key]] : '';
+      values[key] = typeof value === 'string' ? value.trim() : value;
+    });
+
+    const { imageUrl, inStock, ...rest } = values;
+    const { data, errors } = prepareProductData({
+      ...rest,
+      weightUnit: parseUnit(rest.weightUnit),
+      metal: String(rest.metal || '').toLowerCase(),
+      purity: String(rest.purity || DEFAULT_PURITY).replace(/k.*$/i, '')
+    });
+
+    if (data.quantity === null) {
+      data.inStock = parseBoolean(inStock);
+    }
+
+    const category = matchCategory(categories, data.category);
+    if (category) {
+      data.categoryId = category.id;
+      data.category = category.name;
+    }
+    if (imageUrl) {
+      data.imageUrl = imageUrl;
+      data.images = [{ url: imageUrl }];
+    }
+
+    // Spreadsheet row number, counting the header row
+    const rowNumber = index + 2;
+    if (data.sku) {
+      const duplicateSku = products.find(p => productSkus(p).includes(data.sku));
+      if (duplicateSku) {
+        errors.push(`SKU ${data.sku} is already used by ${duplicateSku.name}`);
+      } else if (skuRows.has(data.sku)) {
+        errors.push(`SKU ${data.sku} is also on row ${skuRows.get(data.sku)}`);
+      } else {
+        skuRows.set(data.sku, rowNumber);
+      }
+    }
+
+    return { rowNumber, product: data, errors };
+  });
+};
+
+// Write all valid rows as new products in a single multi-path update, each
+// logged as created, with an opening stock ledger entry for rows that have a
+// quantity
+export const importProducts = async (previewRows, user) => {
+  const updates = {};
+  let count = 0;
+  previewRows
+    .filter(row => row.errors.length === 0)
+    .forEach(row => {
+      const key = push(ref(db, 'products')).key;
+      const { quantity } = row.product;
+      updates[`products/${key}`] = row.product;
+      Object.assign(updates, auditEntryUpdate(key, { action: 'created', before: null, after: row.product }, user));
+      if (quantity !== null) {
+        Object.assign(updates, stockMovementUpdate(key, { type: 'received', change: quantity, balance: quantity, note: 'Imported' }, user));
+      }
+      count++;
+    });
+
+  if (count > 0) {
+    await update(ref(db), updates);
+  }
+  return count;
+};
+
+// Flat columns used for CSV/XLSX exports
+const EXPORT_COLUMNS = ['id', ...IMPORT_FIELDS.map(field => field.key), 'weight', 'needsReview'];
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Download the full products list as CSV, XLSX or a raw JSON backup
+export const exportProducts = async (products, format) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `products-${date}.${format}`;
+
+  if (format === 'json') {
+    const backup = Object.fromEntries(products.map(({ id, ...product }) => [id, product]));
+    downloadBlob(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }), filename);
+    return;
+  }
+
+  const rows = products.map(product => EXPORT_COLUMNS.map(column => (
+    Array.isArray(product[column]) ? product[column].join(', ') : product[column] ?? null
+  )));
+
+  if (format === 'csv') {
+    const { default: Papa } = await import('papaparse');
+    downloadBlob(new Blob([Papa.unparse({ fields: EXPORT_COLUMNS, data: rows })], { type: 'text/csv' }), filename);
+    return;
+  }
+
+  const { default: writeXlsxFile } = await import('write-excel-file/browser');
+  await writeXlsxFile([EXPORT_COLUMNS, ...rows], { sheet: 'Products' }).toFile(filename);
+};
@@ -0,0 +1,69 @@
+import { ref, update } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { GOLD_PURITIES, DEFAULT_PURITY, parseWeightString } from './schema';
+import { productChangeUpdate } from '../Audit/audit';
+
+// Products still carrying the legacy free-text `weight` field that haven't
+// been migrated yet. Ones already flagged for review (or given a net weight)
+// are left for staff, so running the migration again doesn't touch them.
+export const getLegacyProducts = (products) => {
+  return products.filter(product => product.grossWeight == null && product.weight
+    && !product.needsReview && product.netWeight == null);
+};
+
+// Look for a karat marking such as "22K" or "18 kt" in the product text
+const detectPurity = (product) => {
+  const text = `${product.weight || ''} ${product.name || ''} ${product.description || ''}`;
+  const match = text.match(/\b(\d{2})\s*(k|kt|karat|carat)\b/i);
+  const purity = match ? parseInt(match[1]) : null;
+  return GOLD_PURITIES.includes(purity) ? purity : null;
+};
+
+// One-time migration: parse legacy weight strings into structured fields in a
+// single multi-path update, logging each product's change. Records that can't
+// be parsed keep their text and are flagged with `needsReview` so staff can
+// fix them by hand. Weights marked "net" only give the net weight; they keep
+// their text too and are flagged until someone enters the gross weight.
+export const migrateWeights = async (products, user) => {
+  const updates = {};
+  let migrated = 0;
+  let flagged = 0;
+
+  getLegacyProducts(products).forEach(product => {
+    const parsed = parseWeightString(product.weight);
+
+    if (!parsed) {
+      const change = productChangeUpdate(product, { needsReview: true }, 'updated', user);
+      if (Object.keys(change).length > 0) {
+        Object.assign(updates, change);
+        flagged++;
+      }
+      return;
+    }
+
+    const values = parsed.isNet
+      ? { netWeight: parsed.value, weightUnit: parsed.unit, needsReview: true }
+      : { grossWeight: parsed.value, weightUnit: parsed.unit, weight: null, needsReview: null };
+    if (!product.metal) {
+      values.metal = 'gold';
+    }
+    if (!product.purity) {
+      values.purity = detectPurity(product) || DEFAULT_PURITY;
+    }
+    const change = productChangeUpdate(product, values, 'updated', user);
+    if (Object.keys(change).length === 0) {
+      return;
+    }
+    Object.assign(updates, change);
+    if (parsed.isNet) {
+      flagged++;
+    } else {
+      migrated++;
+    }
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await update(ref(db), updates);
+  }
+  return { migrated, flagged };
+};
@@ -0,0 +1,76 @@
+// Browser-side image pipeline run before upload: applies the EXIF orientation,
+// centre-crops to a consistent aspect ratio, resizes and re-encodes as WebP (or
+// JPEG where WebP encoding isn't supported). Re-encoding through a canvas also
+// strips EXIF metadata such as GPS location from phone photos.
+
+// Width / height of every product image
+export const IMAGE_ASPECT_RATIO = 1;
+export const FULL_SIZE = 1600;
+export const THUMBNAIL_SIZE = 400;
+const QUALITY = 0.82;
+
+const canvasToBlob = (canvas, type) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('Could not process image'));
+    }, type, QUALITY);
+  });
+};
+
+const encode = async (canvas) => {
+  const webp = await canvasToBlob(canvas, 'image/webp');
+  if (webp.type === 'image/webp') return webp;
+  return canvasToBlob(canvas, 'image/jpeg');
+};
+
+// Draw the centre of the image at the target aspect ratio, no larger than maxSize
+const renderCropped = (bitmap, maxSize) => {
+  let sourceWidth = bitmap.width;
+  let sourceHeight = bitmap.height;
+  if (sourceWidth / sourceHeight > IMAGE_ASPECT_RATIO) {
+    sourceWidth = sourceHeight * IMAGE_ASPECT_RATIO;
+  } else {
+    sourceHeight = sourceWidth / IMAGE_ASPECT_RATIO;
+  }
+
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(
+    bitmap,
+    (bitmap.width - sourceWidth) / 2,
+    (bitmap.height - sourceHeight) / 2,
+    sourceWidth,
+    sourceHeight,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+  return canvas;
+};
+
+export const extensionFor = (blob) => (blob.type === 'image/webp' ? 'webp' : 'jpg');
+
+// Produce the full-size and thumbnail variants for an uploaded photo
+export const processImage = async (file) => {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  } catch {
+    throw new Error(`${file.name} is not a supported image`);
+  }
+
+  try {
+    const full = await encode(renderCropped(bitmap, FULL_SIZE));
+    const thumbnail = await encode(renderCropped(bitmap, THUMBNAIL_SIZE));
+    return { full, thumbnail };
+  } finally {
+    bitmap.close();
+  }
+};
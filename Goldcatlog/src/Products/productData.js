@@ -0,0 +1,125 @@
+import { METALS, GOLD_PURITIES, WEIGHT_UNITS } from './schema';
+import { variantSummary } from './variants';
+import { parseTags } from './tags';
+import { MAKING_CHARGE_TYPES, PRODUCT_CHARGE_FIELDS } from '../Pricing/pricing';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const purityError = `Purity must be one of ${GOLD_PURITIES.map(purity => `${purity}K`).join(', ')}`;
+
+// Gross and net weights as numbers, pushing any problems onto `errors`
+const parseWeights = (grossWeight, netWeight, errors) => {
+  const gross = parseFloat(grossWeight);
+  const net = isBlank(netWeight) ? null : parseFloat(netWeight);
+  if (!(gross > 0) || (net !== null && !(net > 0))) {
+    errors.push('Weights must be positive numbers');
+  }
+  if (net > gross) {
+    errors.push('Net weight cannot be more than gross weight');
+  }
+  return { grossWeight: gross, netWeight: net };
+};
+
+// Blank quantity leaves stock tracked by the in/out of stock flag only
+const parseQuantity = (value, errors) => {
+  if (isBlank(value)) return null;
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    errors.push('Quantity must be a whole number, zero or more');
+    return null;
+  }
+  return quantity;
+};
+
+// Convert the form's variant rows into the stored `variants/<id>` map
+const prepareVariants = (variants, metal, errors) => {
+  const prepared = {};
+  variants.forEach((variant, index) => {
+    const quantity = parseQuantity(variant.quantity, errors);
+    const purity = metal === 'gold' ? parseInt(variant.purity) : null;
+    if (metal === 'gold' && !GOLD_PURITIES.includes(purity)) {
+      errors.push(purityError);
+    }
+    prepared[variant.id] = {
+      size: isBlank(variant.size) ? null : String(variant.size).trim(),
+      purity,
+      ...parseWeights(variant.grossWeight, variant.netWeight, errors),
+      sku: isBlank(variant.sku) ? null : String(variant.sku).trim(),
+      quantity,
+      inStock: quantity === null ? variant.inStock !== false : quantity > 0,
+      sortOrder: index
+    };
+  });
+  return prepared;
+};
+
+// Validate raw product values from the admin form or a bulk import and convert
+// them to the stored shape. Returns the cleaned data and a list of errors.
+export const prepareProductData = (values) => {
+  const data = { ...values };
+  const errors = [];
+
+  data.metal = isBlank(data.metal) ? 'gold' : data.metal;
+  if (!METALS[data.metal]) {
+    errors.push(`Unknown metal "${data.metal}"`);
+  }
+
+  // Variant products take their weight, purity and stock from their variants
+  if (data.variants?.length > 0) {
+    data.variants = prepareVariants(data.variants, data.metal, errors);
+    Object.assign(data, variantSummary(data.variants));
+  } else {
+    data.variants = null;
+  }
+
+  // Validate required fields
+  if (isBlank(data.name) || isBlank(data.grossWeight) || isBlank(data.category)) {
+    errors.push('Please fill all required fields');
+  }
+
+  Object.assign(data, parseWeights(data.grossWeight, data.netWeight, errors));
+
+  data.weightUnit = isBlank(data.weightUnit) ? 'g' : data.weightUnit;
+  if (!WEIGHT_UNITS[data.weightUnit]) {
+    errors.push(`Unknown weight unit "${data.weightUnit}"`);
+  }
+
+  data.purity = data.metal === 'gold' ? parseInt(data.purity) : null;
+  if (data.metal === 'gold' && !GOLD_PURITIES.includes(data.purity)) {
+    errors.push(purityError);
+  }
+
+  data.category = isBlank(data.category) ? '' : String(data.category).trim();
+  data.categoryId = isBlank(data.categoryId) ? null : data.categoryId;
+
+  data.tags = parseTags(data.tags);
+  if (data.tags.length === 0) data.tags = null;
+
+  data.sku = isBlank(data.sku) ? null : String(data.sku).trim();
+
+  data.quantity = parseQuantity(data.quantity, errors);
+  if (data.quantity !== null && !data.variants) {
+    data.inStock = data.quantity > 0;
+  }
+
+  PRODUCT_CHARGE_FIELDS.forEach(field => {
+    if (isBlank(data[field])) {
+      data[field] = null;
+    } else if (field === 'makingChargeType') {
+      if (!MAKING_CHARGE_TYPES[data[field]]) {
+        errors.push(`Unknown making charge type "${data[field]}"`);
+      }
+    } else {
+      data[field] = parseFloat(data[field]);
+      if (isNaN(data[field]) || data[field] < 0) {
+        errors.push('Charges must be zero or more');
+      }
+    }
+  });
+
+  // Clear the legacy free-text weight once structured fields are saved
+  data.weight = null;
+  data.needsReview = null;
+
+  return { data, errors: [...new Set(errors)] };
+};
@@ -0,0 +1,97 @@
+// Structured product fields: metal, purity and weights stored as numbers
+// together with the unit they were entered in.
+
+export const METALS = {
+  gold: 'Gold',
+  silver: 'Silver',
+  platinum: 'Platinum'
+};
+
+// Karat purities offered for gold items
+export const GOLD_PURITIES = [24, 22, 18, 14];
+
+export const DEFAULT_PURITY = 22;
+
+// Products saved before metals were introduced are all gold
+export const isGold = (product) => !product?.metal || product.metal === 'gold';
+
+export const WEIGHT_UNITS = {
+  g: { label: 'Grams', short: 'g', grams: 1 },
+  tola: { label: 'Tola', short: 'tola', grams: 11.6638 },
+  oz: { label: 'Troy Ounce', short: 'oz', grams: 31.1035 }
+};
+
+const UNIT_ALIASES = {
+  g: 'g', gm: 'g', gms: 'g', gr: 'g', gram: 'g', grams: 'g', grm: 'g',
+  tola: 'tola', tolas: 'tola', tole: 'tola',
+  oz: 'oz', ounce: 'oz', ounces: 'oz'
+};
+
+export const toGrams = (value, unit = 'g') => {
+  const amount = parseFloat(value);
+  if (isNaN(amount)) return null;
+  return amount * (WEIGHT_UNITS[unit]?.grams || 1);
+};
+
+// Parse a legacy free-text weight such as "10g", "1 tola" or "10.5 gm net".
+// Returns null when the text is ambiguous so it can be flagged for review.
+export const parseWeightString = (text) => {
+  if (typeof text === 'number') return { value: text, unit: 'g', isNet: false };
+  if (!text || typeof text !== 'string') return null;
+
+  const normalized = text.trim().toLowerCase();
+  const isNet = /\bnet\b/.test(normalized);
+  const cleaned = normalized.replace(/\b(net|gross|wt|weight)\b\.?:?/g, ' ').trim();
+
+  const match = cleaned.match(/^(\d+(?:\.\d+)?)\s*([a-z]*)\.?$/);
+  if (!match) return null;
+
+  const unit = match[2] ? UNIT_ALIASES[match[2]] : 'g';
+  if (!unit) return null;
+
+  return { value: parseFloat(match[1]), unit, isNet };
+};
+
+// Gross weight of a product in grams, falling back to the legacy `weight` text
+// unless that text is a net weight
+export const grossWeightInGrams = (product) => {
+  if (product?.grossWeight != null) {
+    return toGrams(product.grossWeight, product.weightUnit);
+  }
+  const parsed = parseWeightString(product?.weight);
+  return parsed && !parsed.isNet ? toGrams(parsed.value, parsed.unit) : null;
+};
+
+// Net metal weight in grams, used for pricing; defaults to the gross weight
+export const netWeightInGrams = (product) => {
+  if (product?.netWeight != null) {
+    return toGrams(product.netWeight, product.weightUnit);
+  }
+  const parsed = product?.grossWeight == null ? parseWeightString(product?.weight) : null;
+  if (parsed?.isNet) {
+    return toGrams(parsed.value, parsed.unit);
+  }
+  return grossWeightInGrams(product);
+};
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+export const formatWeight = (product) => {
+  if (product?.grossWeight == null) return product?.weight || '';
+
+  const unit = WEIGHT_UNITS[product.weightUnit] || WEIGHT_UNITS.g;
+  let text = `${roundWeight(product.grossWeight)} ${unit.short}`;
+  if (unit.grams !== 1) {
+    text += ` (${roundWeight(grossWeightInGrams(product))} g)`;
+  }
+  if (product.netWeight != null && product.netWeight !== product.grossWeight) {
+    text += `, net ${roundWeight(product.netWeight)} ${unit.short}`;
+  }
+  return text;
+};
+
+export const formatPurity = (product) => {
+  const metal = METALS[product?.metal] || METALS.gold;
+  if (!isGold(product)) return metal;
+  return `${product?.purity || DEFAULT_PURITY}K ${metal}`;
+};
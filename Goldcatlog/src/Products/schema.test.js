@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { parseWeightString, toGrams, grossWeightInGrams, netWeightInGrams, formatWeight } from './schema';
+
+describe('parseWeightString', () => {
+  it('reads a weight and its unit', () => {
+    expect(parseWeightString('10g')).toEqual({ value: 10, unit: 'g', isNet: false });
+    expect(parseWeightString('1 tola')).toEqual({ value: 1, unit: 'tola', isNet: false });
+    expect(parseWeightString('2.5 Ounces')).toEqual({ value: 2.5, unit: 'oz', isNet: false });
+  });
+
+  it('defaults to grams when there is no unit', () => {
+    expect(parseWeightString('7.25')).toEqual({ value: 7.25, unit: 'g', isNet: false });
+  });
+
+  it('marks net weights', () => {
+    expect(parseWeightString('10.5 gm net')).toEqual({ value: 10.5, unit: 'g', isNet: true });
+    expect(parseWeightString('Net wt: 4 gms')).toEqual({ value: 4, unit: 'g', isNet: true });
+  });
+
+  it('returns null for text it cannot read', () => {
+    expect(parseWeightString('10g + stones')).toBeNull();
+    expect(parseWeightString('about 5 pounds')).toBeNull();
+    expect(parseWeightString('')).toBeNull();
+    expect(parseWeightString(null)).toBeNull();
+  });
+});
+
+describe('toGrams', () => {
+  it('converts tola and troy ounces', () => {
+    expect(toGrams(1, 'tola')).toBeCloseTo(11.6638);
+    expect(toGrams('2', 'oz')).toBeCloseTo(62.207);
+  });
+
+  it('returns null for non-numbers', () => {
+    expect(toGrams('abc')).toBeNull();
+  });
+});
+
+describe('product weights in grams', () => {
+  it('uses the structured fields', () => {
+    const product = { grossWeight: 2, netWeight: 1.5, weightUnit: 'tola' };
+    expect(grossWeightInGrams(product)).toBeCloseTo(23.3276);
+    expect(netWeightInGrams(product)).toBeCloseTo(17.4957);
+  });
+
+  it('falls back to the gross weight for the net weight', () => {
+    expect(netWeightInGrams({ grossWeight: 8, weightUnit: 'g' })).toBe(8);
+  });
+
+  it('reads legacy weight text', () => {
+    expect(grossWeightInGrams({ weight: '12 gms' })).toBe(12);
+    expect(netWeightInGrams({ weight: '12 gms' })).toBe(12);
+  });
+
+  it('does not treat a legacy net weight as the gross weight', () => {
+    const product = { weight: '10.5 gm net' };
+    expect(grossWeightInGrams(product)).toBeNull();
+    expect(netWeightInGrams(product)).toBe(10.5);
+  });
+});
+
+describe('formatWeight', () => {
+  it('shows grams alongside other units and a different net weight', () => {
+    expect(formatWeight({ grossWeight: 1, netWeight: 0.9, weightUnit: 'tola' })).toBe('1 tola (11.664 g), net 0.9 tola');
+  });
+
+  it('shows legacy text as it was entered', () => {
+    expect(formatWeight({ weight: '10g approx' })).toBe('10g approx');
+  });
+});
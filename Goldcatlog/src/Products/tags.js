@@ -0,0 +1,23 @@
+// Products store tags as a list of lowercase labels such as "bridal" or
+// "lightweight" under `tags`, used for catalog filters and collections.
+
+export const normalizeTag = (tag) => String(tag || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Tags from a list or a comma / semicolon separated string, without duplicates
+export const parseTags = (value) => {
+  const tags = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+export const getTags = (product) => (Array.isArray(product?.tags) ? product.tags : []);
+
+export const tagLabel = (tag) => tag.replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Every tag in use, most used first, for suggestions in the admin form
+export const allTags = (products) => {
+  const counts = new Map();
+  products.forEach(product => getTags(product).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag);
+};
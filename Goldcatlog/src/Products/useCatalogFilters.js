@@ -0,0 +1,61 @@
+import { useSearchParams } from 'react-router-dom';
+
+// Catalog filters kept in the query string so filtered views can be bookmarked
+// and shared. Each filter maps to a query parameter and its default value;
+// defaults are left out of the URL.
+const FILTER_PARAMS = {
+  searchTerm: { param: 'q', defaultValue: '' },
+  categoryFilter: { param: 'category', defaultValue: '' },
+  // Sidebar facets, as comma-separated values
+  tags: { param: 'tags', defaultValue: '' },
+  purity: { param: 'purity', defaultValue: '' },
+  metal: { param: 'metal', defaultValue: '' },
+  stockFilter: { param: 'stock', defaultValue: 'all' },
+  sortBy: { param: 'sort', defaultValue: 'featured' },
+  viewType: { param: 'view', defaultValue: 'grid' },
+  minWeight: { param: 'minWeight', defaultValue: null, isNumber: true },
+  maxWeight: { param: 'maxWeight', defaultValue: null, isNumber: true }
+};
+
+export default function useCatalogFilters() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = {};
+  Object.entries(FILTER_PARAMS).forEach(([key, { param, defaultValue, isNumber }]) => {
+    const value = searchParams.get(param);
+    if (value === null) {
+      filters[key] = defaultValue;
+    } else if (isNumber) {
+      const number = parseFloat(value);
+      filters[key] = isNaN(number) ? defaultValue : number;
+    } else {
+      filters[key] = value;
+    }
+  });
+
+  // Update some filters; pass { replace: true } to avoid a history entry per keystroke
+  const setFilters = (changes, options) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        const { param, defaultValue } = FILTER_PARAMS[key];
+        if (value === defaultValue || value === null || value === '') {
+          next.delete(param);
+        } else {
+          next.set(param, value);
+        }
+      });
+      return next;
+    }, options);
+  };
+
+  const clearFilters = () => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.values(FILTER_PARAMS).forEach(({ param }) => next.delete(param));
+      return next;
+    });
+  };
+
+  return { filters, setFilters, clearFilters };
+}
@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to a single product, e.g. one linked to that isn't among the
+// products loaded so far. Returns undefined while loading and null if the
+// product doesn't exist; pass no id to skip.
+export default function useProduct(id) {
+  const [product, setProduct] = useState({ id: null, data: undefined });
+
+  useEffect(() => {
+    if (!id) return;
+    return onValue(ref(db, `products/${id}`), (snapshot) => {
+      setProduct({ id, data: snapshot.exists() ? { id, ...snapshot.val() } : null });
+    });
+  }, [id]);
+
+  return id && product.id === id ? product.data : undefined;
+}
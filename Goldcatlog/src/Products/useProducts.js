@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { ref, query, orderByKey, limitToFirst, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { loadCachedProducts, saveCachedProducts } from '../Offline/productsCache';
+
+// Subscribe to the products list, or only the first `limit` products in key
+// (creation) order so large catalogs can be loaded a page at a time.
+// `isComplete` is false while more products remain beyond the limit.
+// Until the first snapshot arrives the last saved one is returned, with
+// `isFromCache` set; `updatedAt` is when the returned data was received.
+export default function useProducts(limit = null) {
+  const [state, setState] = useState(() => {
+    const cached = loadCachedProducts();
+    return {
+      products: cached?.products || [],
+      isLoading: !cached,
+      isComplete: Boolean(cached),
+      isFromCache: Boolean(cached),
+      updatedAt: cached?.savedAt || null
+    };
+  });
+
+  useEffect(() => {
+    const productsQuery = limit ? query(ref(db, 'products'), orderByKey(), limitToFirst(limit)) : ref(db, 'products');
+    return onValue(productsQuery, (snapshot) => {
+      const products = [];
+      snapshot.forEach(child => {
+        products.push({ id: child.key, ...child.val() });
+      });
+      const isComplete = !limit || products.length < limit;
+
+      // Keep the fullest snapshot for offline use, not just the first page
+      const cachedCount = isComplete ? 0 : loadCachedProducts()?.products.length || 0;
+      const updatedAt = cachedCount <= products.length ? saveCachedProducts(products) : Date.now();
+      setState({ products, isLoading: false, isComplete, isFromCache: false, updatedAt });
+    });
+  }, [limit]);
+
+  return state;
+}
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to a handful of products by id, such as the pieces in a cart,
+// without loading the whole catalog. Returns the ones that exist, in order.
+export default function useProductsById(ids) {
+  const [loaded, setLoaded] = useState({});
+  const idsKey = [...new Set(ids)].join(',');
+
+  useEffect(() => {
+    if (!idsKey) return;
+    const unsubscribes = idsKey.split(',').map(id => onValue(ref(db, `products/${id}`), (snapshot) => {
+      setLoaded(prev => ({ ...prev, [id]: snapshot.exists() ? { id, ...snapshot.val() } : null }));
+    }));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [idsKey]);
+
+  return {
+    products: idsKey ? idsKey.split(',').map(id => loaded[id]).filter(Boolean) : [],
+    isLoading: idsKey ? idsKey.split(',').some(id => loaded[id] === undefined) : false
+  };
+}
@@ -0,0 +1,77 @@
+import { isGold, formatWeight } from './schema';
+
+// Products can offer variants such as ring sizes or chain purities, stored under
+// `variants/<variantId>` with their own size, purity, weight, SKU and stock. The
+// parent's weight, purity and stock are kept as a summary of its variants so
+// filters, sorting and older screens keep working.
+
+export const getVariants = (product) => {
+  return Object.entries(product?.variants || {})
+    .map(([id, variant]) => ({ id, ...variant }))
+    .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+};
+
+export const hasVariants = (product) => getVariants(product).length > 0;
+
+export const newVariantId = () => `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Variant shown first: the first one in stock, otherwise the first one
+export const defaultVariant = (product) => {
+  const variants = getVariants(product);
+  return variants.find(variant => variant.inStock !== false) || variants[0] || null;
+};
+
+export const findVariant = (product, variantId) => {
+  return getVariants(product).find(variant => variant.id === variantId) || defaultVariant(product);
+};
+
+export const variantLabel = (product, variant) => {
+  const parts = [];
+  if (variant.size) parts.push(`Size ${variant.size}`);
+  if (isGold(product) && variant.purity) parts.push(`${variant.purity}K`);
+  if (parts.length === 0) {
+    parts.push(formatWeight({ ...product, grossWeight: variant.grossWeight, netWeight: variant.netWeight ?? null }));
+  }
+  return parts.join(' · ');
+};
+
+// Weight shown on catalog cards; variant products show their lightest option
+export const weightSummary = (product) => {
+  if (!hasVariants(product)) return formatWeight(product);
+  return `${getVariants(product).length} options from ${formatWeight(product)}`;
+};
+
+// The product as it would be sold in the given variant, for display and pricing
+export const applyVariant = (product, variant) => {
+  if (!variant) return product;
+  return {
+    ...product,
+    name: `${product.name} (${variantLabel(product, variant)})`,
+    variantId: variant.id,
+    grossWeight: variant.grossWeight,
+    netWeight: variant.netWeight ?? null,
+    purity: isGold(product) ? variant.purity ?? product.purity : product.purity,
+    sku: variant.sku ?? product.sku ?? null,
+    quantity: variant.quantity ?? null,
+    inStock: variant.inStock !== false
+  };
+};
+
+// Parent fields derived from its variants: the lightest weight, the first
+// variant's purity, and in stock while any variant is
+export const variantSummary = (variants) => {
+  const list = Array.isArray(variants) ? variants : Object.values(variants);
+  const tracked = list.filter(variant => typeof variant.quantity === 'number');
+  return {
+    grossWeight: Math.min(...list.map(variant => variant.grossWeight)),
+    netWeight: null,
+    purity: list[0].purity ?? null,
+    quantity: tracked.length === list.length ? tracked.reduce((sum, variant) => sum + variant.quantity, 0) : null,
+    inStock: list.some(variant => variant.inStock !== false)
+  };
+};
+
+// Every SKU used by a product and its variants
+export const productSkus = (product) => {
+  return [product.sku, ...getVariants(product).map(variant => variant.sku)].filter(Boolean);
+};
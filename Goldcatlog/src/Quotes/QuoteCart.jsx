@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useProductsById from '../Products/useProductsById';
+import { getThumbnailUrl } from '../Products/images';
+import { getVariants, variantLabel } from '../Products/variants';
+import { EMPTY_EXCHANGE } from '../Exchange/exchange';
+import ExchangeFields from '../Exchange/ExchangeFields';
+import { buildQuote, saveQuote } from './quotes';
+
+// Customer's selection of pieces with a combined estimate, an optional old
+// gold exchange and a button to turn it into a printable quotation
+export default function QuoteCart({ cart, rates, pricingSettings, exchangeSettings, shop, formatPrice, onClose }) {
+  const navigate = useNavigate();
+  const { products, isLoading } = useProductsById(cart.items.map(item => item.productId));
+  const [exchange, setExchange] = useState(EMPTY_EXCHANGE);
+  const [customer, setCustomer] = useState({ customerName: '', customerPhone: '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const quote = buildQuote(cart.items, products, rates, pricingSettings, exchange, exchangeSettings);
+
+  const handleCustomerChange = (e) => {
+    const { name, value } = e.target;
+    setCustomer(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreateQuote = async () => {
+    setIsSaving(true);
+    try {
+      const quoteId = await saveQuote(quote, { ...customer, validityDays: shop.quoteValidityDays });
+      cart.clear();
+      navigate(`/quote/${quoteId}`);
+    } catch (error) {
+      console.error('Error saving quote:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl overflow-hidden max-w-3xl w-full max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center bg-amber-100 p-4">
+          <h3 className="font-bold text-xl text-amber-900">Your Quote</h3>
+          <button onClick={onClose} className="text-amber-800 hover:text-amber-950">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto">
+          {cart.items.length === 0 ? (
+            <p className="text-center text-amber-700 py-8">
+              Add pieces with the <strong>Add to Quote</strong> button to price them together.
+            </p>
+          ) : isLoading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-b-4 border-amber-500"></div>
+            </div>
+          ) : (
+            <>
+              <ul className="divide-y divide-amber-100 mb-6">
+                {cart.items.map((item, index) => {
+                  const line = quote.lines.find(l => l.item === item);
+                  if (!line) {
+                    return (
+                      <li key={`${item.productId}-${item.variantId}`} className="py-3 flex justify-between items-center text-gray-500">
+                        <span>This piece is no longer available</span>
+                        <button onClick={() => cart.removeItem(index)} className="text-red-600 hover:underline text-sm">Remove</button>
+                      </li>
+                    );
+                  }
+                  const variants = getVariants(line.product);
+                  return (
+                    <li key={`${item.productId}-${item.variantId}`} className="py-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                      {getThumbnailUrl(line.product) ? (
+                        <img src={getThumbnailUrl(line.product)} alt="" className="w-16 h-16 object-cover rounded" />
+                      ) : (
+                        <span className="w-16 h-16 bg-amber-50 rounded"></span>
+                      )}
+                      <div className="flex-grow">
+                        <p className="font-medium text-amber-900">{line.product.name}</p>
+                        {variants.length > 0 && (
+                          <select
+                            value={line.piece.variantId}
+                            onChange={(e) => cart.updateItem(index, { variantId: e.target.value })}
+                            className="mt-1 p-1 border border-amber-300 rounded bg-white text-sm"
+                          >
+                            {variants.map(variant => (
+                              <option key={variant.id} value={variant.id}>{variantLabel(line.product, variant)}</option>
+                            ))}
+                          </select>
+                        )}
+                        <p className="text-sm text-amber-700">
+                          {line.unitPrice === null ? 'Price on request' : `${formatPrice(line.unitPrice)} each`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={item.quantity}
+                          onChange={(e) => cart.updateItem(index, { quantity: Math.max(1, parseInt(e.target.value) || 1) })}
+                          className="w-16 p-1 border border-amber-300 rounded text-center"
+                          aria-label="Quantity"
+                        />
+                        <span className="w-28 text-right font-medium text-amber-900">
+                          {line.lineTotal === null ? '—' : formatPrice(line.lineTotal)}
+                        </span>
+                        <button
+                          onClick={() => cart.removeItem(index)}
+                          className="text-red-500 hover:text-red-700"
+                          aria-label="Remove"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+
+              <div className="bg-amber-50 rounded-lg p-4 mb-6">
+                <h4 className="font-medium text-amber-800 mb-2">Old Gold Exchange</h4>
+                <ExchangeFields exchange={exchange} settings={exchangeSettings} onChange={setExchange} />
+              </div>
+
+              <div className="space-y-1 text-amber-900 mb-6">
+                <div className="flex justify-between">
+                  <span>Estimate</span>
+                  <span>{formatPrice(quote.subtotal)}</span>
+                </div>
+                {quote.exchangeAmount > 0 && (
+                  <div className="flex justify-between text-green-700">
+                    <span>
+                      Less old gold ({quote.exchange.weight}g {quote.exchange.purity}K
+                      {quote.exchange.deductionPercent > 0 && `, ${quote.exchange.deductionPercent}% deduction`})
+                    </span>
+                    <span>−{formatPrice(quote.exchangeAmount)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between font-bold text-lg border-t border-amber-200 pt-2">
+                  <span>Total</span>
+                  <span>{formatPrice(quote.total)}</span>
+                </div>
+                {quote.hasUnpricedItems && (
+                  <p className="text-sm text-amber-600">Pieces marked "Price on request" aren't included in the total.</p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-4">
+                <input
+                  type="text"
+                  name="customerName"
+                  placeholder="Your name (optional)"
+                  value={customer.customerName}
+                  onChange={handleCustomerChange}
+                  className="p-2 border border-amber-300 rounded"
+                />
+                <input
+                  type="tel"
+                  name="customerPhone"
+                  placeholder="Phone (optional)"
+                  value={customer.customerPhone}
+                  onChange={handleCustomerChange}
+                  className="p-2 border border-amber-300 rounded"
+                />
+              </div>
+
+              <button
+                onClick={handleCreateQuote}
+                disabled={isSaving || quote.lines.length === 0}
+                className="w-full bg-amber-500 hover:bg-amber-600 text-white font-bold py-3 px-6 rounded-lg transition-colors disabled:bg-amber-300"
+              >
+                {isSaving ? 'Creating...' : 'Create Printable Quotation'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import useShopSettings from '../Shop/useShopSettings';
+import { formatCurrency } from '../Pricing/currency';
+
+const formatDate = (time) => new Date(time).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Printable quotation at /quote/:id; the browser's print dialog saves it as a PDF
+export default function QuotePrint() {
+  const { id } = useParams();
+  const shop = useShopSettings();
+  const [quote, setQuote] = useState(undefined);
+
+  useEffect(() => {
+    return onValue(ref(db, `quotes/${id}`), (snapshot) => {
+      setQuote(snapshot.exists() ? snapshot.val() : null);
+    }, (error) => {
+      console.error('Error loading quote:', error);
+      setQuote(null);
+    });
+  }, [id]);
+
+  if (quote === undefined) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-4 border-b-4 border-amber-500"></div>
+      </div>
+    );
+  }
+
+  if (quote === null) {
+    return (
+      <div className="container mx-auto p-8 max-w-md text-center">
+        <h1 className="text-2xl font-bold text-amber-900 mb-2">Quotation not found</h1>
+        <Link to="/" className="text-amber-600 hover:underline">Back to the catalog</Link>
+      </div>
+    );
+  }
+
+  const isExpired = quote.validUntil < Date.now();
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white py-8 print:py-0">
+      <div className="container mx-auto max-w-3xl">
+        <div className="flex justify-between mb-4 print:hidden">
+          <Link to="/" className="text-amber-700 hover:underline">← Back to the catalog</Link>
+          <button
+            onClick={() => window.print()}
+            className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-4 rounded-lg transition-colors"
+          >
+            Print / Save as PDF
+          </button>
+        </div>
+
+        <div className="bg-white p-8 shadow-md print:shadow-none">
+          <div className="flex justify-between items-start border-b-2 border-amber-500 pb-4 mb-6">
+            <div>
+              <h1 className="text-2xl font-bold text-amber-900">{shop.name}</h1>
+              {shop.address && <p className="text-sm text-gray-600 whitespace-pre-line">{shop.address}</p>}
+              {shop.phone && <p className="text-sm text-gray-600">Phone: {shop.phone}</p>}
+            </div>
+            <div className="text-right">
+              <h2 className="text-xl font-semibold text-amber-800">Quotation</h2>
+              <p className="text-sm">No. <strong>{quote.quoteNumber}</strong></p>
+              <p className="text-sm">Date: {formatDate(quote.createdAt)}</p>
+              <p className={`text-sm ${isExpired ? 'text-red-600 font-semibold' : ''}`}>
+                Valid until: {formatDate(quote.validUntil)}{isExpired && ' (expired)'}
+              </p>
+            </div>
+          </div>
+
+          {(quote.customerName || quote.customerPhone) && (
+            <p className="mb-4">
+              For: <strong>{quote.customerName}</strong>{quote.customerName && quote.customerPhone && ' · '}{quote.customerPhone}
+            </p>
+          )}
+
+          <table className="w-full text-sm mb-6">
+            <thead>
+              <tr className="border-b text-left">
+                <th className="py-2 pr-2">Item</th>
+                <th className="py-2 pr-2">Weight</th>
+                <th className="py-2 pr-2 text-right">Metal + wastage</th>
+                <th className="py-2 pr-2 text-right">Charges</th>
+                <th className="py-2 pr-2 text-right">GST</th>
+                <th className="py-2 pr-2 text-right">Qty</th>
+                <th className="py-2 text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {quote.items.map((item, index) => (
+                <tr key={index} className="border-b align-top">
+                  <td className="py-2 pr-2">
+                    {item.name}
+                    {item.sku && <span className="block text-xs text-gray-500">SKU {item.sku}</span>}
+                  </td>
+                  <td className="py-2 pr-2">
+                    {item.weight}
+                    <span className="block text-xs text-gray-500">{item.purity}</span>
+                  </td>
+                  <td className="py-2 pr-2 text-right">{item.metalValue != null ? formatCurrency(item.metalValue) : '—'}</td>
+                  <td className="py-2 pr-2 text-right">{item.charges != null ? formatCurrency(item.charges) : '—'}</td>
+                  <td className="py-2 pr-2 text-right">{item.gstAmount != null ? formatCurrency(item.gstAmount) : '—'}</td>
+                  <td className="py-2 pr-2 text-right">{item.quantity}</td>
+                  <td className="py-2 text-right">{item.lineTotal != null ? formatCurrency(item.lineTotal) : 'On request'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="ml-auto max-w-xs space-y-1 mb-6">
+            <div className="flex justify-between">
+              <span>Total</span>
+              <span>{formatCurrency(quote.subtotal)}</span>
+            </div>
+            {quote.exchange && (
+              <div className="flex justify-between">
+                <span>
+                  Less old gold ({quote.exchange.weight}g {quote.exchange.purity}K
+                  {quote.exchange.deductionPercent > 0 && `, ${quote.exchange.deductionPercent}% deduction`})
+                </span>
+                <span>−{formatCurrency(quote.exchangeAmount)}</span>
+              </div>
+            )}
+            <div className="flex justify-between font-bold text-lg border-t pt-1">
+              <span>Net payable</span>
+              <span>{formatCurrency(quote.total)}</span>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Prices are based on the gold rate on {formatDate(quote.createdAt)} and this quotation is valid until{' '}
+            {formatDate(quote.validUntil)}. After that, prices are recalculated at the current rate.
+            {quote.items.some(item => item.lineTotal == null) && ' Items marked "On request" are priced at the shop.'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { ref, query, orderByKey, limitToLast, orderByChild, equalTo, onValue, get } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { formatCurrency } from '../Pricing/currency';
+
+const PAGE_SIZE = 100;
+
+// Admin section for looking up customer quotations by number, name or phone
+export default function QuotesLookup() {
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [quotes, setQuotes] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [foundQuote, setFoundQuote] = useState(null);
+
+  useEffect(() => {
+    return onValue(query(ref(db, 'quotes'), orderByKey(), limitToLast(limit)), (snapshot) => {
+      const quotesArray = [];
+      snapshot.forEach(child => {
+        quotesArray.push({ id: child.key, ...child.val() });
+      });
+      setQuotes(quotesArray.reverse());
+    });
+  }, [limit]);
+
+  const search = searchTerm.trim().toLowerCase();
+  const filteredQuotes = quotes.filter(quote => !search || [quote.quoteNumber, quote.customerName, quote.customerPhone]
+    .some(text => text?.toLowerCase().includes(search)));
+
+  // Older quotes aren't loaded, so look a full quote number up directly
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setFoundQuote(null);
+    const quoteNumber = searchTerm.trim().toUpperCase();
+    if (!quoteNumber || filteredQuotes.length > 0) return;
+    try {
+      const snapshot = await get(query(ref(db, 'quotes'), orderByChild('quoteNumber'), equalTo(quoteNumber)));
+      snapshot.forEach(child => {
+        setFoundQuote({ id: child.key, ...child.val() });
+      });
+      if (!snapshot.exists()) {
+        alert(`No quotation ${quoteNumber}`);
+      }
+    } catch (error) {
+      console.error('Error finding quote:', error);
+      alert(error.message);
+    }
+  };
+
+  const results = foundQuote ? [foundQuote] : filteredQuotes;
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Quotations</h2>
+
+      <form onSubmit={handleSearch} className="flex gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Quote number, customer name or phone"
+          value={searchTerm}
+          onChange={(e) => {
+            setSearchTerm(e.target.value);
+            setFoundQuote(null);
+          }}
+          className="flex-grow p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors"
+        >
+          Search
+        </button>
+      </form>
+
+      {results.length === 0 ? (
+        <p className="text-gray-500">No quotations found</p>
+      ) : (
+        <ul className="divide-y max-h-96 overflow-y-auto">
+          {results.map(quote => (
+            <li key={quote.id} className="py-2 flex flex-col md:flex-row md:items-center justify-between gap-2">
+              <div>
+                <a
+                  href={`/quote/${quote.id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-medium text-blue-600 hover:underline"
+                >
+                  {quote.quoteNumber}
+                </a>
+                <span className="ml-2 text-sm text-gray-600">
+                  {quote.customerName || 'No name'}{quote.customerPhone && ` · ${quote.customerPhone}`}
+                </span>
+                <p className="text-sm text-gray-500">
+                  {quote.items?.length} {quote.items?.length === 1 ? 'item' : 'items'} ·{' '}
+                  {quote.createdAt && new Date(quote.createdAt).toLocaleString()}
+                  {quote.validUntil < Date.now() && ' · Expired'}
+                </p>
+              </div>
+              <span className="font-semibold">{formatCurrency(quote.total)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!foundQuote && quotes.length === limit && (
+        <button
+          onClick={() => setLimit(count => count + PAGE_SIZE)}
+          className="mt-4 text-blue-600 hover:underline text-sm"
+        >
+          Load older quotations
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+// The customer's quote cart is kept in localStorage next to `goldShopFavorites`,
+// as a list of { productId, variantId, quantity }
+export const CART_STORAGE_KEY = 'goldShopCart';
+
+export const loadCart = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CART_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    console.error('Error loading cart', e);
+    return [];
+  }
+};
+
+export const saveCart = (items) => {
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(items));
+};
+
+const isSameItem = (item, productId, variantId) => item.productId === productId && (item.variantId || null) === (variantId || null);
+
+// Add pieces to the cart, increasing the quantity if the product and variant are already in it
+export const addCartItem = (items, productId, variantId, quantity = 1) => {
+  if (items.some(item => isSameItem(item, productId, variantId))) {
+    return items.map(item => isSameItem(item, productId, variantId) ? { ...item, quantity: item.quantity + quantity } : item);
+  }
+  return [...items, { productId, variantId: variantId || null, quantity }];
+};
+
+// Change an item's quantity or variant; switching to a variant already in the
+// cart merges the two
+export const updateCartItem = (items, index, changes) => {
+  const updated = { ...items[index], ...changes };
+  const others = items.filter((_, i) => i !== index);
+  const duplicate = others.findIndex(item => isSameItem(item, updated.productId, updated.variantId));
+  if (duplicate !== -1) {
+    return others.map((item, i) => i === duplicate ? { ...item, quantity: item.quantity + updated.quantity } : item);
+  }
+  return items.map((item, i) => i === index ? updated : item);
+};
+
+export const removeCartItem = (items, index) => items.filter((_, i) => i !== index);
+
+export const cartCount = (items) => items.reduce((sum, item) => sum + item.quantity, 0);
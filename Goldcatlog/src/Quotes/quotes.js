@@ -0,0 +1,97 @@
+import { ref, push, set, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { calculatePriceBreakup } from '../Pricing/pricing';
+import { isGold, formatWeight, formatPurity } from '../Products/schema';
+import { findVariant, applyVariant } from '../Products/variants';
+import { DEFAULT_SHOP } from '../Shop/useShopSettings';
+import { exchangeBreakup } from '../Exchange/exchange';
+
+// Quotations are saved under `quotes/<id>` with a snapshot of every line's
+// price, so a printed quote keeps showing what the customer was told even
+// after rates change. Anyone with the link can open a quote; staff can list
+// and search them.
+
+// Price every cart item with the same breakup as the catalog calculator.
+// Items whose product no longer exists are left out; pieces without a gold
+// price (silver, platinum, missing rate) are listed but not totalled. Old gold
+// handed in is valued with the shop's buyback rules and taken off the total.
+export const buildQuote = (cartItems, products, rates, pricingSettings, exchange, exchangeSettings) => {
+  const lines = cartItems.map(item => {
+    const product = products.find(p => p.id === item.productId);
+    if (!product) return null;
+    const piece = applyVariant(product, findVariant(product, item.variantId));
+    const breakup = calculatePriceBreakup(piece, rates, pricingSettings);
+    const unitPrice = isGold(piece) && breakup.weight > 0 && breakup.rate > 0 ? breakup.totalPrice : null;
+    return {
+      item,
+      product,
+      piece,
+      breakup,
+      unitPrice,
+      lineTotal: unitPrice === null ? null : unitPrice * item.quantity
+    };
+  }).filter(Boolean);
+
+  const subtotal = lines.reduce((sum, line) => sum + (line.lineTotal || 0), 0);
+  const exchangeDetails = exchangeBreakup(exchange, rates, exchangeSettings);
+  const exchangeAmount = Math.min(exchangeDetails.value, subtotal);
+  return {
+    lines,
+    subtotal,
+    exchange: exchangeDetails,
+    exchangeAmount,
+    total: subtotal - exchangeAmount,
+    hasUnpricedItems: lines.some(line => line.unitPrice === null)
+  };
+};
+
+// Readable reference such as Q20261019-7KD2 for quotes and orders, from the
+// date and the end of the record's push id
+export const referenceNumber = (prefix, key, date) => {
+  const day = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  return `${prefix}${day}-${key.slice(-4).toUpperCase()}`;
+};
+
+// Save a quote and return its id
+export const saveQuote = async (quote, { customerName, customerPhone, validityDays }) => {
+  if (quote.lines.length === 0) {
+    throw new Error('Add some pieces to the quote first');
+  }
+
+  const quoteRef = push(ref(db, 'quotes'));
+  const now = new Date();
+  const days = parseInt(validityDays) || DEFAULT_SHOP.quoteValidityDays;
+  await set(quoteRef, {
+    quoteNumber: referenceNumber('Q', quoteRef.key, now),
+    customerName: customerName.trim() || null,
+    customerPhone: customerPhone.trim() || null,
+    items: quote.lines.map(({ item, piece, breakup, unitPrice, lineTotal }) => ({
+      productId: item.productId,
+      variantId: item.variantId || null,
+      name: piece.name,
+      sku: piece.sku || null,
+      weight: formatWeight(piece),
+      purity: formatPurity(piece),
+      quantity: item.quantity,
+      rate: breakup.rate || null,
+      metalValue: unitPrice === null ? null : breakup.metalValue + breakup.wastageAmount,
+      charges: unitPrice === null ? null : breakup.makingChargeAmount + breakup.stoneCharges + breakup.hallmarkFee,
+      gstAmount: unitPrice === null ? null : breakup.gstAmount,
+      unitPrice,
+      lineTotal
+    })),
+    exchange: quote.exchangeAmount > 0 ? {
+      weight: quote.exchange.weight,
+      purity: quote.exchange.purity,
+      rate: quote.exchange.rate,
+      deductionPercent: quote.exchange.deductionPercent,
+      value: quote.exchangeAmount
+    } : null,
+    subtotal: quote.subtotal,
+    exchangeAmount: quote.exchangeAmount,
+    total: quote.total,
+    validUntil: now.getTime() + days * 24 * 60 * 60 * 1000,
+    createdAt: serverTimestamp()
+  });
+  return quoteRef.key;
+};
@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { loadCart, saveCart, addCartItem, updateCartItem, removeCartItem } from './cart';
+
+// The quote cart, saved to localStorage whenever it changes
+export default function useCart() {
+  const [items, setItems] = useState(loadCart);
+
+  useEffect(() => {
+    saveCart(items);
+  }, [items]);
+
+  return {
+    items,
+    addItem: (productId, variantId, quantity) => setItems(prev => addCartItem(prev, productId, variantId, quantity)),
+    updateItem: (index, changes) => setItems(prev => updateCartItem(prev, index, changes)),
+    removeItem: (index) => setItems(prev => removeCartItem(prev, index)),
+    clear: () => setItems([])
+  };
+}
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { useAuth } from '../Auth/AuthContext';
+import { formatCurrency } from '../Pricing/currency';
+import useRateAlerts from './useRateAlerts';
+import { DEFAULT_PURITY } from '../Products/schema';
+import { PURITIES } from './rates';
+import { ALERT_DIRECTIONS, alertDescription, createRateAlert, deleteRateAlert, rearmRateAlert } from './alerts';
+
+// Customer's list of rate alerts with a form to add one
+export default function RateAlerts({ onSignIn }) {
+  const { user } = useAuth();
+  const alerts = useRateAlerts();
+  const [formData, setFormData] = useState({ purity: String(DEFAULT_PURITY), direction: 'below', target: '' });
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const withErrorAlert = (action, label) => async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error(`Error ${label}:`, error);
+      alert(error.message);
+    }
+  };
+
+  const handleCreate = withErrorAlert(async (e) => {
+    e.preventDefault();
+    await createRateAlert(user.uid, formData);
+    setFormData(prev => ({ ...prev, target: '' }));
+  }, 'creating rate alert');
+
+  const handleDelete = withErrorAlert((alert) => deleteRateAlert(user.uid, alert.id), 'deleting rate alert');
+
+  const handleRearm = withErrorAlert((alert) => rearmRateAlert(user.uid, alert.id), 'turning on rate alert');
+
+  return (
+    <section className="bg-white rounded-xl shadow p-6">
+      <h2 className="text-xl font-bold text-amber-900 mb-2">Rate Alerts</h2>
+
+      {!user ? (
+        <div className="text-amber-700">
+          <p className="mb-4">Sign in to be told when the gold rate reaches a price you're waiting for.</p>
+          <button
+            onClick={onSignIn}
+            className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-6 rounded-lg transition-colors"
+          >
+            Sign In
+          </button>
+        </div>
+      ) : (
+        <>
+          <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2 mb-4 text-amber-900">
+            <span>Tell me when</span>
+            <select
+              name="purity"
+              value={formData.purity}
+              onChange={handleInputChange}
+              className="p-2 border border-amber-300 rounded bg-white"
+            >
+              {PURITIES.map(purity => (
+                <option key={purity} value={purity}>{purity}K</option>
+              ))}
+            </select>
+            <select
+              name="direction"
+              value={formData.direction}
+              onChange={handleInputChange}
+              className="p-2 border border-amber-300 rounded bg-white"
+            >
+              {Object.entries(ALERT_DIRECTIONS).map(([direction, label]) => (
+                <option key={direction} value={direction}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              name="target"
+              min="0"
+              step="1"
+              placeholder="Rate per gram"
+              value={formData.target}
+              onChange={handleInputChange}
+              className="w-36 p-2 border border-amber-300 rounded"
+            />
+            <button
+              type="submit"
+              disabled={!formData.target}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:bg-amber-300"
+            >
+              Add Alert
+            </button>
+          </form>
+
+          {alerts.length === 0 ? (
+            <p className="text-amber-700 text-sm">
+              You have no alerts. You'll get a notification under the bell when a rate you're watching is published.
+            </p>
+          ) : (
+            <ul className="divide-y divide-amber-100">
+              {alerts.map(alert => (
+                <li key={alert.id} className="py-2 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                  <div>
+                    <span className="text-amber-900">{alertDescription(alert)}</span>
+                    {alert.triggeredAt && (
+                      <p className="text-sm text-green-700">
+                        Reached on {new Date(alert.triggeredAt).toLocaleDateString()} at {formatCurrency(alert.triggeredRate)}/g
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex gap-2 text-sm">
+                    {alert.triggeredAt && (
+                      <button
+                        onClick={() => handleRearm(alert)}
+                        className="border border-amber-500 text-amber-700 hover:bg-amber-50 px-3 py-1 rounded transition-colors"
+                      >
+                        Turn On Again
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDelete(alert)}
+                      className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,65 @@
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 72 };
+
+const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+// Line chart of a rate series ({ day, rate } oldest first), scaled to its own
+// high and low so small moves are visible
+export default function RateChart({ series, formatPrice }) {
+  if (series.length === 0) {
+    return <p className="text-amber-700 py-12 text-center">No rates were recorded in this period.</p>;
+  }
+
+  const rates = series.map(point => point.rate);
+  const high = Math.max(...rates);
+  const low = Math.min(...rates);
+  const chartWidth = WIDTH - PADDING.left - PADDING.right;
+  const chartHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index) => PADDING.left + (series.length === 1 ? chartWidth / 2 : (index / (series.length - 1)) * chartWidth);
+  // A rate that didn't change is drawn as a flat line across the middle
+  const y = (rate) => high === low
+    ? PADDING.top + chartHeight / 2
+    : PADDING.top + chartHeight - ((rate - low) / (high - low)) * chartHeight;
+
+  const points = series.map((point, index) => `${x(index)},${y(point.rate)}`).join(' ');
+  const isRising = rates[rates.length - 1] >= rates[0];
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Gold rate trend">
+      {[...new Set([high, (high + low) / 2, low])].map((rate, index) => (
+        <g key={index}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(rate)}
+            y2={y(rate)}
+            className="stroke-amber-100"
+          />
+          <text x={PADDING.left - 8} y={y(rate) + 4} textAnchor="end" className="fill-amber-700 text-[11px]">
+            {formatPrice(rate)}
+          </text>
+        </g>
+      ))}
+      <polyline
+        points={points}
+        fill="none"
+        strokeWidth={2}
+        strokeLinejoin="round"
+        className={isRising ? 'stroke-green-600' : 'stroke-red-600'}
+      />
+      {series.length <= 31 && series.map((point, index) => (
+        <circle key={point.day} cx={x(index)} cy={y(point.rate)} r={3} className="fill-amber-500">
+          <title>{`${formatDay(point.day)}: ${formatPrice(point.rate)}`}</title>
+        </circle>
+      ))}
+      <text x={PADDING.left} y={HEIGHT - 8} className="fill-amber-700 text-[11px]">
+        {formatDay(series[0].day)}
+      </text>
+      <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" className="fill-amber-700 text-[11px]">
+        {formatDay(series[series.length - 1].day)}
+      </text>
+    </svg>
+  );
+}
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { formatCurrency } from '../Pricing/currency';
+import { DEFAULT_PURITY } from '../Products/schema';
+import CustomerSignIn from '../Customers/CustomerSignIn';
+import NotificationBell from '../Customers/NotificationBell';
+import useGoldRates from './useGoldRates';
+import useRateHistory from './useRateHistory';
+import { PURITIES, rateForPurity } from './rates';
+import { HISTORY_RANGES, rateSeries, seriesStats } from './rateHistory';
+import RateChart from './RateChart';
+import RateAlerts from './RateAlerts';
+
+// Customer page at /rates with today's rates, the daily trend per purity and
+// rate alerts
+export default function RateTrends() {
+  const { rates } = useGoldRates();
+  const [purity, setPurity] = useState(DEFAULT_PURITY);
+  const [days, setDays] = useState(HISTORY_RANGES[1]);
+  const { dailyRates, isLoading } = useRateHistory(days);
+  const [isSignInVisible, setIsSignInVisible] = useState(false);
+
+  const series = rateSeries(dailyRates, purity);
+  const stats = seriesStats(series);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 to-orange-50">
+      <div className="container mx-auto p-4 max-w-4xl">
+        <header className="py-8 flex justify-between items-start gap-3">
+          <div>
+            <Link to="/" className="text-amber-700 hover:underline">← Browse the collection</Link>
+            <h1 className="text-3xl font-bold text-amber-800 mt-2">Gold Rate Trends</h1>
+          </div>
+          <NotificationBell rates={rates} />
+        </header>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          {PURITIES.map(karat => (
+            <button
+              key={karat}
+              onClick={() => setPurity(karat)}
+              className={`rounded-xl p-4 text-left transition-colors ${
+                purity === karat ? 'bg-amber-500 text-white' : 'bg-white text-amber-900 hover:bg-amber-100'
+              }`}
+            >
+              <div className="text-sm">{karat}K today</div>
+              <div className="text-xl font-bold">
+                {rateForPurity(rates, karat) > 0 ? formatCurrency(rateForPurity(rates, karat)) : '—'}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <section className="bg-white rounded-xl shadow p-6 mb-6">
+          <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
+            <h2 className="text-xl font-bold text-amber-900">{purity}K per gram</h2>
+            <div className="flex gap-2">
+              {HISTORY_RANGES.map(range => (
+                <button
+                  key={range}
+                  onClick={() => setDays(range)}
+                  className={`px-3 py-1 rounded-full text-sm border border-amber-500 transition-colors ${
+                    days === range ? 'bg-amber-500 text-white' : 'text-amber-700 hover:bg-amber-50'
+                  }`}
+                >
+                  {range === 365 ? '1 year' : `${range} days`}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-b-4 border-amber-500"></div>
+            </div>
+          ) : (
+            <RateChart series={series} formatPrice={formatCurrency} />
+          )}
+
+          {stats && (
+            <div className="grid grid-cols-3 gap-4 mt-4 text-center">
+              <div>
+                <div className="text-sm text-amber-700">Change</div>
+                <div className={`font-bold ${stats.change > 0 ? 'text-green-700' : stats.change < 0 ? 'text-red-700' : 'text-amber-900'}`}>
+                  {stats.change > 0 ? '▲' : stats.change < 0 ? '▼' : ''} {formatCurrency(Math.abs(stats.change))}
+                  <span className="text-sm font-normal"> ({stats.changePercent.toFixed(1)}%)</span>
+                </div>
+              </div>
+              <div>
+                <div className="text-sm text-amber-700">High</div>
+                <div className="font-bold text-amber-900">{formatCurrency(stats.high)}</div>
+              </div>
+              <div>
+                <div className="text-sm text-amber-700">Low</div>
+                <div className="font-bold text-amber-900">{formatCurrency(stats.low)}</div>
+              </div>
+            </div>
+          )}
+          <p className="text-xs text-amber-600 mt-4">
+            Rates published by the shop, one per day. Days the shop didn't publish a rate are skipped.
+          </p>
+        </section>
+
+        <RateAlerts onSignIn={() => setIsSignInVisible(true)} />
+
+        {isSignInVisible && <CustomerSignIn onClose={() => setIsSignInVisible(false)} />}
+      </div>
+    </div>
+  );
+}
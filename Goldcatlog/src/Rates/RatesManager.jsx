@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue, query, limitToFirst, limitToLast } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { useAuth } from '../Auth/AuthContext';
+import { can } from '../Auth/roles';
+import { PURITIES, rateKey, publishRates, buildDailyRates } from './rates';
+import { formatCurrency } from '../Pricing/currency';
+import useGoldRates from './useGoldRates';
+
+// Admin section for publishing today's gold rates and viewing recent history
+export default function RatesManager() {
+  const { user, role } = useAuth();
+  const { rates } = useGoldRates();
+  const [values, setValues] = useState({});
+  const [history, setHistory] = useState([]);
+  const [hasDailyRates, setHasDailyRates] = useState(true);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  useEffect(() => {
+    const historyQuery = query(ref(db, 'rates/history'), limitToLast(10));
+    return onValue(historyQuery, (snapshot) => {
+      const data = snapshot.val();
+      setHistory(data ? Object.entries(data).map(([id, item]) => ({ id, ...item })).reverse() : []);
+    });
+  }, []);
+
+  // Rates published before daily history was kept can be copied into it once
+  useEffect(() => {
+    return onValue(query(ref(db, 'rates/daily'), limitToFirst(1)), (snapshot) => {
+      setHasDailyRates(snapshot.exists());
+    });
+  }, []);
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    setIsPublishing(true);
+
+    try {
+      await publishRates(values, user, rates);
+      setValues({});
+      setSuccessMessage('Rates published successfully!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error publishing rates:', error);
+      alert(error.message);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleBuildDailyRates = async () => {
+    try {
+      const days = await buildDailyRates();
+      setSuccessMessage(`Rate history built for ${days} ${days === 1 ? 'day' : 'days'}!`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error building rate history:', error);
+      alert(error.message);
+    }
+  };
+
+  const canPublish = can(role, 'rates:publish');
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Today's Gold Rates (per gram)</h2>
+        <a href="/rates" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline text-sm">
+          View trends
+        </a>
+      </div>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      <form onSubmit={handlePublish}>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {PURITIES.map(purity => (
+            <div key={purity}>
+              <label className="block text-sm font-medium mb-1">{purity}K</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={rates?.[rateKey(purity)] ? String(rates[rateKey(purity)]) : 'Not set'}
+                value={values[purity] || ''}
+                onChange={(e) => setValues(prev => ({ ...prev, [purity]: e.target.value }))}
+                disabled={!canPublish}
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+              />
+            </div>
+          ))}
+        </div>
+        {canPublish && (
+          <p className="text-sm text-gray-500 mt-2">Leave a purity blank to keep its current rate.</p>
+        )}
+
+        <div className="mt-4 flex items-center justify-between">
+          <p className="text-sm text-gray-500">
+            {rates?.updatedAt
+              ? `Last published ${new Date(rates.updatedAt).toLocaleString()}${rates.updatedBy ? ` by ${rates.updatedBy}` : ''}`
+              : 'No rates published yet'}
+          </p>
+          {canPublish && (
+            <button
+              type="submit"
+              disabled={isPublishing}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
+            >
+              {isPublishing ? 'Publishing...' : 'Publish Rates'}
+            </button>
+          )}
+        </div>
+      </form>
+
+      {canPublish && !hasDailyRates && history.length > 0 && (
+        <div className="mt-4 p-3 bg-yellow-50 text-yellow-800 rounded flex flex-col md:flex-row md:items-center justify-between gap-2">
+          <span>The rate trend chart has no history yet. Build it from the rates published so far?</span>
+          <button
+            onClick={handleBuildDailyRates}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors"
+          >
+            Build History
+          </button>
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <h3 className="font-medium mb-2">Recent History</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4">Published</th>
+                {PURITIES.map(purity => (
+                  <th key={purity} className="py-2 pr-4">{purity}K</th>
+                ))}
+                <th className="py-2">By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map(entry => (
+                <tr key={entry.id} className="border-b last:border-0">
+                  <td className="py-2 pr-4">{new Date(entry.updatedAt).toLocaleString()}</td>
+                  {PURITIES.map(purity => (
+                    <td key={purity} className="py-2 pr-4">{entry[rateKey(purity)] ? formatCurrency(entry[rateKey(purity)]) : '-'}</td>
+                  ))}
+                  <td className="py-2">{entry.updatedBy || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { ref, push, set, update, remove, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { PURITIES, rateForPurity } from './rates';
+import { formatCurrency } from '../Pricing/currency';
+import { notificationUpdate } from '../Customers/notifications';
+
+// Signed-in customers' rate alerts live under `customers/<uid>/rateAlerts` as
+// { purity, direction, target, createdAt, triggeredAt, triggeredRate }. They
+// are checked against each published rate while the customer has the app open;
+// an alert fires once and can then be turned on again.
+export const ALERT_DIRECTIONS = {
+  below: 'drops below',
+  above: 'rises above'
+};
+
+const alertPath = (uid, alertId) => `customers/${uid}/rateAlerts/${alertId}`;
+
+export const alertDescription = (alert) => {
+  return `${alert.purity}K ${ALERT_DIRECTIONS[alert.direction]} ${formatCurrency(alert.target)}/g`;
+};
+
+export const isAlertMet = (alert, rates) => {
+  const rate = rateForPurity(rates, alert.purity);
+  if (!(rate > 0)) return false;
+  return alert.direction === 'below' ? rate < alert.target : rate > alert.target;
+};
+
+export const createRateAlert = async (uid, { purity, direction, target }) => {
+  const amount = parseFloat(target);
+  if (!PURITIES.includes(parseInt(purity)) || !ALERT_DIRECTIONS[direction]) {
+    throw new Error('Please choose a purity and direction');
+  }
+  if (!(amount > 0)) {
+    throw new Error('Please enter the rate per gram to watch for');
+  }
+  await set(push(ref(db, `customers/${uid}/rateAlerts`)), {
+    purity: parseInt(purity),
+    direction,
+    target: amount,
+    createdAt: serverTimestamp()
+  });
+};
+
+export const deleteRateAlert = (uid, alertId) => remove(ref(db, alertPath(uid, alertId)));
+
+export const rearmRateAlert = (uid, alertId) => update(ref(db, alertPath(uid, alertId)), {
+  triggeredAt: null,
+  triggeredRate: null
+});
+
+// Fire the customer's alerts that the published rates now meet, sending each
+// an in-app notification
+export const checkRateAlerts = async (uid, alerts, rates) => {
+  const updates = {};
+  alerts.filter(alert => !alert.triggeredAt && isAlertMet(alert, rates)).forEach(alert => {
+    const rate = rateForPurity(rates, alert.purity);
+    updates[`${alertPath(uid, alert.id)}/triggeredAt`] = serverTimestamp();
+    updates[`${alertPath(uid, alert.id)}/triggeredRate`] = rate;
+    Object.assign(updates, notificationUpdate(uid, {
+      title: `${alert.purity}K gold is now ${formatCurrency(rate)}/g`,
+      message: `Your alert for ${alertDescription(alert)} has been reached.`,
+      link: '/rates'
+    }));
+  });
+  if (Object.keys(updates).length > 0) {
+    await update(ref(db), updates);
+  }
+};
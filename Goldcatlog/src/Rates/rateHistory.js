@@ -0,0 +1,28 @@
+import { rateForPurity } from './rates';
+
+// Periods the rate trend chart can show, in days
+export const HISTORY_RANGES = [7, 30, 365];
+
+// The rate for a purity on each recorded day, oldest first. Days without a
+// rate for that purity (and no 24K rate to derive it from) are skipped.
+export const rateSeries = (dailyRates, purity) => {
+  return dailyRates
+    .map(({ day, ...rates }) => ({ day, rate: rateForPurity(rates, purity) }))
+    .filter(point => point.rate > 0);
+};
+
+// First, last, highest and lowest rate of a series and the change over it
+export const seriesStats = (series) => {
+  if (series.length === 0) return null;
+  const rates = series.map(point => point.rate);
+  const first = rates[0];
+  const last = rates[rates.length - 1];
+  return {
+    first,
+    last,
+    high: Math.max(...rates),
+    low: Math.min(...rates),
+    change: last - first,
+    changePercent: first > 0 ? ((last - first) / first) * 100 : 0
+  };
+};
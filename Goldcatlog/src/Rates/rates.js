@@ -0,0 +1,72 @@
+import { ref, push, get, update, serverTimestamp } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Karat purities the shop publishes a rate for (per gram)
+export const PURITIES = [24, 22, 18, 14];
+
+// Rates are stored under keys like "22K" so the database never mistakes them for an array
+export const rateKey = (purity) => `${purity}K`;
+
+// Rates older than this many hours are flagged as stale in the calculator
+export const RATE_STALE_HOURS = parseFloat(import.meta.env.VITE_RATE_STALE_HOURS) || 24;
+
+// Day key such as 2026-10-19 in local time, used for `rates/daily`
+export const dayKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Publish today's rates as `rates/current`, append them to `rates/history` and
+// keep them as the day's rates in `rates/daily/<day>` (the last publish wins).
+// Purities left blank keep their current rate.
+export const publishRates = async (values, user, current) => {
+  if (!PURITIES.some(purity => parseFloat(values[purity]) > 0)) {
+    throw new Error('Please enter at least one rate');
+  }
+
+  const entry = {
+    updatedAt: serverTimestamp(),
+    updatedBy: user?.email || null
+  };
+  PURITIES.forEach(purity => {
+    const rate = parseFloat(values[purity]) > 0 ? parseFloat(values[purity]) : current?.[rateKey(purity)];
+    if (rate > 0) entry[rateKey(purity)] = rate;
+  });
+
+  const historyKey = push(ref(db, 'rates/history')).key;
+  await update(ref(db, 'rates'), {
+    current: entry,
+    [`history/${historyKey}`]: entry,
+    [`daily/${dayKey(new Date())}`]: entry
+  });
+};
+
+// Fill `rates/daily` from rates published before daily history was kept.
+// Returns the number of days recorded.
+export const buildDailyRates = async () => {
+  const snapshot = await get(ref(db, 'rates/history'));
+  const updates = {};
+  snapshot.forEach(child => {
+    const entry = child.val();
+    if (entry.updatedAt) {
+      updates[`daily/${dayKey(new Date(entry.updatedAt))}`] = entry;
+    }
+  });
+  if (Object.keys(updates).length === 0) {
+    throw new Error('No published rates to build the history from');
+  }
+  await update(ref(db, 'rates'), updates);
+  return Object.keys(updates).length;
+};
+
+// Rate per gram for a purity, derived from the 24K rate if it wasn't published
+export const rateForPurity = (rates, purity) => {
+  if (!rates) return 0;
+  if (rates[rateKey(purity)]) return rates[rateKey(purity)];
+  const fineRate = rates[rateKey(24)];
+  return fineRate ? (fineRate * purity) / 24 : 0;
+};
+
+export const isRateStale = (rates, hours = RATE_STALE_HOURS) => {
+  if (!rates?.updatedAt) return true;
+  return Date.now() - rates.updatedAt > hours * 60 * 60 * 1000;
+};
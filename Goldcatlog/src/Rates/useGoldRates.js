@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to the shop's currently published gold rates
+export default function useGoldRates() {
+  const [rates, setRates] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    return onValue(ref(db, 'rates/current'), (snapshot) => {
+      setRates(snapshot.val());
+      setIsLoading(false);
+    });
+  }, []);
+
+  return { rates, isLoading };
+}
@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { useAuth } from '../Auth/AuthContext';
+
+// Signed-in customer's rate alerts, oldest first
+export default function useRateAlerts() {
+  const { user } = useAuth();
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    if (!user) {
+      setAlerts([]);
+      return;
+    }
+    return onValue(ref(db, `customers/${user.uid}/rateAlerts`), (snapshot) => {
+      const data = snapshot.val();
+      const alertsArray = data ? Object.entries(data).map(([id, alert]) => ({ id, ...alert })) : [];
+      setAlerts(alertsArray.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)));
+    }, (error) => {
+      console.error('Error loading rate alerts:', error);
+    });
+  }, [user]);
+
+  return alerts;
+}
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { ref, query, orderByKey, startAt, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import { dayKey } from './rates';
+
+// Subscribe to the daily rates recorded over the last `days` days, oldest first
+export default function useRateHistory(days) {
+  const [dailyRates, setDailyRates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    setIsLoading(true);
+    return onValue(query(ref(db, 'rates/daily'), orderByKey(), startAt(dayKey(since))), (snapshot) => {
+      const dailyArray = [];
+      snapshot.forEach(child => {
+        dailyArray.push({ day: child.key, ...child.val() });
+      });
+      setDailyRates(dailyArray);
+      setIsLoading(false);
+    }, (error) => {
+      console.error('Error loading rate history:', error);
+      setIsLoading(false);
+    });
+  }, [days]);
+
+  return { dailyRates, isLoading };
+}
@@ -0,0 +1,10 @@
+import { highlightParts } from './search';
+
+// Text with the words matched by the current search marked
+export default function Highlight({ text, words }) {
+  return highlightParts(text, words).map((part, index) => (
+    part.isMatch
+      ? <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">{part.text}</mark>
+      : part.text
+  ));
+}
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { getThumbnailUrl } from '../Products/images';
+
+// Catalog search input with search-as-you-type suggestions: matching tags and
+// categories to search for, and the best matching products to open directly
+export default function SearchBox({ value, onChange, suggestions, onSelectProduct }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const options = [
+    ...suggestions.terms.map(term => ({ key: `term-${term}`, term })),
+    ...suggestions.products.map(product => ({ key: product.id, product }))
+  ];
+  const isVisible = isOpen && options.length > 0;
+
+  const selectOption = (option) => {
+    if (option.product) {
+      onSelectProduct(option.product);
+    } else {
+      onChange(option.term);
+    }
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isVisible) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(index => (index + step + options.length) % options.length);
+    } else if (e.key === 'Enter' && options[activeIndex]) {
+      e.preventDefault();
+      selectOption(options[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        placeholder="Search luxury gold items..."
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        className="w-full p-3 pl-10 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+        role="combobox"
+        aria-expanded={isVisible}
+        aria-autocomplete="list"
+      />
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 absolute left-3 top-3.5 text-amber-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+      </svg>
+
+      {isVisible && (
+        <ul className="absolute z-40 left-0 right-0 mt-1 bg-white border border-amber-200 rounded-lg shadow-lg overflow-hidden" role="listbox">
+          {options.map((option, index) => (
+            <li
+              key={option.key}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the list doesn't close before the click
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectOption(option)}
+              className={`flex items-center gap-3 px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-amber-100' : 'hover:bg-amber-50'}`}
+            >
+              {option.product ? (
+                <>
+                  {getThumbnailUrl(option.product) ? (
+                    <img src={getThumbnailUrl(option.product)} alt="" className="w-8 h-8 object-cover rounded" />
+                  ) : (
+                    <span className="w-8 h-8 bg-amber-100 rounded"></span>
+                  )}
+                  <span className="text-amber-900">{option.product.name}</span>
+                </>
+              ) : (
+                <>
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-amber-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                  </svg>
+                  <span className="text-amber-700">{option.term}</span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
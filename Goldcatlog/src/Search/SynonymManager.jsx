@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import useSynonyms from './useSynonyms';
+import { saveSynonymGroup, deleteSynonymGroup } from './synonyms';
+
+// Admin section for search synonyms: each group lists words that should find
+// each other, such as English, Hindi and Marathi names for the same piece
+export default function SynonymManager() {
+  const synonymGroups = useSynonyms();
+  const [text, setText] = useState('');
+  const [editId, setEditId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const resetForm = () => {
+    setText('');
+    setEditId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      await saveSynonymGroup(editId, text);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving synonyms:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEdit = (group) => {
+    setText((group.terms || []).join(', '));
+    setEditId(group.id);
+  };
+
+  const handleDelete = async (group) => {
+    if (!window.confirm(`Delete the synonyms "${(group.terms || []).join(', ')}"?`)) return;
+    try {
+      await deleteSynonymGroup(group.id);
+    } catch (error) {
+      console.error('Error deleting synonyms:', error);
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-2">Search Synonyms</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Searching for any word in a group also finds products named with the others.
+      </p>
+
+      <form onSubmit={handleSubmit} className="flex flex-col md:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="e.g., necklace, haar, हार"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className="flex-grow p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors disabled:bg-blue-400"
+        >
+          {isSaving ? 'Saving...' : editId ? 'Update' : 'Add Synonyms'}
+        </button>
+        {editId && (
+          <button
+            type="button"
+            onClick={resetForm}
+            className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </form>
+
+      {synonymGroups.length === 0 ? (
+        <p className="text-gray-500">No synonyms yet</p>
+      ) : (
+        <ul className="divide-y">
+          {synonymGroups.map(group => (
+            <li key={group.id} className="py-2 flex items-center justify-between gap-2">
+              <div className="flex flex-wrap gap-1">
+                {(group.terms || []).map(term => (
+                  <span key={term} className="bg-gray-100 text-gray-800 text-sm px-2 py-0.5 rounded-full">{term}</span>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleEdit(group)}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(group)}
+                  className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded text-sm transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import { productSkus } from '../Products/variants';
+import { getTags } from '../Products/tags';
+
+// Client-side catalog search. Products are indexed by the words of their name,
+// SKUs, tags, category and description; a query matches a product when every
+// query word matches one of its words exactly, as a prefix (search as you
+// type), with a typo or two, by sound for transliterated spellings
+// ("neckless", "mangalsootra"), or through an admin-managed synonym. Adjacent
+// words are also indexed joined together so "mangal sutra" finds
+// "Mangalsutra" and the other way round.
+
+// Field weights used for relevance ranking
+const SEARCH_FIELDS = [
+  { key: 'name', weight: 5, values: (product) => [product.name] },
+  { key: 'sku', weight: 5, values: (product) => productSkus(product) },
+  { key: 'tags', weight: 3, values: (product) => getTags(product) },
+  { key: 'category', weight: 3, values: (product) => [product.category] },
+  { key: 'description', weight: 1, values: (product) => [product.description] }
+];
+
+const MATCH_QUALITY = { exact: 1, synonym: 0.9, prefix: 0.8, typo: 0.6, sound: 0.5 };
+
+// Lowercase, strip Latin accents and split on anything that isn't a letter,
+// digit or combining mark (so Devanagari vowel signs stay part of the word)
+export const normalizeText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ')
+    .trim();
+};
+
+export const tokenize = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+const compact = (text) => normalizeText(text).replace(/ /g, '');
+
+// Typos allowed for a word of this length
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+const SOUND_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3', l: '4', m: '5', n: '5', r: '6'
+};
+
+// Soundex-style code (without the usual four-character cut-off) for Latin
+// words of four or more letters; other words have no sound code
+const soundCode = (word) => {
+  if (word.length < 4 || !/^[a-z]+$/.test(word)) return null;
+  let code = word[0];
+  let last = SOUND_CODES[word[0]] || '';
+  for (const letter of word.slice(1)) {
+    const digit = SOUND_CODES[letter] || '';
+    if (digit && digit !== last) code += digit;
+    // h and w don't separate repeated sounds; vowels do
+    if (letter !== 'h' && letter !== 'w') last = digit;
+  }
+  return code;
+};
+
+// Edit distance with adjacent transpositions, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Index entries: { word, parts, sound } where parts are the original words a
+// joined pair was made from, used to highlight both halves
+const indexWords = (text) => {
+  const words = tokenize(text);
+  return [
+    ...words.map(word => ({ word, parts: [word] })),
+    ...words.slice(1).map((word, i) => ({ word: words[i] + word, parts: [words[i], word] }))
+  ].map(entry => ({ ...entry, sound: soundCode(entry.word) }));
+};
+
+export const buildSearchIndex = (products) => {
+  return products.map(product => ({
+    product,
+    fields: SEARCH_FIELDS.map(field => ({
+      ...field,
+      words: field.values(product).filter(Boolean).flatMap(indexWords)
+    }))
+  }));
+};
+
+// Synonym groups are stored under `searchSynonyms/<id>` as { terms: [...] };
+// every term in a group finds products containing any of the others
+export const expandSynonyms = (term, synonymGroups) => {
+  const key = compact(term);
+  const alternatives = new Set([key]);
+  synonymGroups.forEach(group => {
+    const terms = (group.terms || []).map(compact).filter(Boolean);
+    if (terms.includes(key)) {
+      terms.forEach(t => alternatives.add(t));
+    }
+  });
+  return [...alternatives];
+};
+
+// How well one query word matches one index word, or 0
+const matchQuality = (queryWord, indexWord, isSynonym) => {
+  if (indexWord.word === queryWord) return isSynonym ? MATCH_QUALITY.synonym : MATCH_QUALITY.exact;
+  if (isSynonym) return 0;
+  if (queryWord.length >= 2 && indexWord.word.startsWith(queryWord)) return MATCH_QUALITY.prefix;
+  const typos = allowedTypos(queryWord.length);
+  if (typos > 0 && editDistance(queryWord, indexWord.word, typos) <= typos) return MATCH_QUALITY.typo;
+  if (indexWord.sound && indexWord.sound === soundCode(queryWord)) return MATCH_QUALITY.sound;
+  return 0;
+};
+
+// Best score for one query word (with its synonyms) across a product's fields
+const scoreWord = (entry, alternatives, matchedWords) => {
+  let best = 0;
+  let bestParts = [];
+  entry.fields.forEach(field => {
+    field.words.forEach(indexWord => {
+      alternatives.forEach((alternative, i) => {
+        const score = matchQuality(alternative, indexWord, i > 0) * field.weight;
+        if (score > best) {
+          best = score;
+          bestParts = indexWord.parts;
+        }
+      });
+    });
+  });
+  bestParts.forEach(part => matchedWords.add(part));
+  return best;
+};
+
+const scoreQuery = (entry, queryWords, synonymGroups) => {
+  const matchedWords = new Set();
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const score = scoreWord(entry, expandSynonyms(queryWord, synonymGroups), matchedWords);
+    if (score === 0) return null;
+    total += score;
+  }
+  return { score: total, matchedWords };
+};
+
+// Search the index. Returns a Map of product id -> { score, matchedWords } for
+// matching products; an empty query returns null, meaning everything matches.
+export const searchProducts = (index, query, synonymGroups = []) => {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return null;
+
+  const results = new Map();
+  index.forEach(entry => {
+    // Also try the words run together, and a synonym for the whole phrase
+    const candidates = [
+      scoreQuery(entry, queryWords, synonymGroups),
+      queryWords.length > 1 ? scoreQuery(entry, [queryWords.join('')], synonymGroups) : null
+    ].filter(Boolean);
+    if (candidates.length > 0) {
+      results.set(entry.product.id, candidates.reduce((a, b) => (b.score > a.score ? b : a)));
+    }
+  });
+  return results;
+};
+
+// Split text into [{ text, isMatch }] parts, marking words found by the search
+export const highlightParts = (text, matchedWords) => {
+  const value = String(text || '');
+  if (!matchedWords || matchedWords.size === 0) return [{ text: value, isMatch: false }];
+  return value
+    .split(/([\p{L}\p{N}\p{M}]+)/u)
+    .filter(Boolean)
+    .map(part => ({ text: part, isMatch: matchedWords.has(normalizeText(part)) }));
+};
+
+// Search-as-you-type suggestions: the best matching products, and tags and
+// categories whose words start with what is being typed
+export const searchSuggestions = (index, results, query, limit = 5) => {
+  const queryWords = tokenize(query);
+  if (!results || queryWords.length === 0) return { products: [], terms: [] };
+
+  const products = [...results.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit)
+    .map(([id]) => index.find(entry => entry.product.id === id).product);
+
+  const lastWord = queryWords[queryWords.length - 1];
+  const terms = new Set();
+  index.forEach(({ product }) => {
+    [product.category, ...getTags(product)].filter(Boolean).forEach(term => {
+      if (tokenize(term).some(word => word.startsWith(lastWord)) && compact(term) !== compact(query)) {
+        terms.add(term.trim());
+      }
+    });
+  });
+
+  return { products, terms: [...terms].slice(0, limit) };
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeText, buildSearchIndex, searchProducts, highlightParts, searchSuggestions } from './search';
+
+const products = [
+  { id: 'mangalsutra', name: 'Mangalsutra Classic', category: 'Necklaces', tags: ['bridal'], sku: 'MS-101', description: '22K gold' },
+  { id: 'necklace', name: 'Gold Necklace', category: 'Necklaces', tags: ['lightweight'] },
+  { id: 'ring', name: 'Diamond Ring', category: 'Rings', description: 'Solitaire with a gold band' },
+  { id: 'haar', name: 'हार', category: 'Necklaces' }
+];
+
+const index = buildSearchIndex(products);
+const search = (query, synonymGroups) => searchProducts(index, query, synonymGroups);
+const ids = (results) => [...results.keys()].sort();
+
+describe('normalizeText', () => {
+  it('lowercases, strips accents and splits on punctuation', () => {
+    expect(normalizeText('Café-Ring, 22K!')).toBe('cafe ring 22k');
+  });
+
+  it('keeps Devanagari vowel signs in the word', () => {
+    expect(normalizeText('मंगलसूत्र')).toBe('मंगलसूत्र');
+  });
+});
+
+describe('searchProducts', () => {
+  it('matches everything for an empty query', () => {
+    expect(search('  ')).toBeNull();
+  });
+
+  it('finds exact words and prefixes', () => {
+    expect(ids(search('ring'))).toEqual(['ring']);
+    expect(ids(search('neck'))).toEqual(['haar', 'mangalsutra', 'necklace']);
+    expect(ids(search('ms-101'))).toEqual(['mangalsutra']);
+  });
+
+  it('allows typos in longer words, including swapped letters', () => {
+    expect(search('nekclace').has('necklace')).toBe(true);
+    expect(search('diamnod').has('ring')).toBe(true);
+  });
+
+  it('allows no typos in words of three letters or fewer', () => {
+    expect(search('rng').size).toBe(0);
+  });
+
+  it('matches transliterated spellings by sound', () => {
+    expect(search('neckless').has('necklace')).toBe(true);
+  });
+
+  it('matches words written apart or run together', () => {
+    expect(ids(search('mangal sutra'))).toEqual(['mangalsutra']);
+    expect(search('goldnecklace').has('necklace')).toBe(true);
+  });
+
+  it('requires every query word to match', () => {
+    expect(ids(search('gold ring'))).toEqual(['ring']);
+  });
+
+  it('finds products through synonyms', () => {
+    const synonymGroups = [{ terms: ['haar', 'Necklace'] }];
+    expect(search('haar').has('necklace')).toBe(false);
+    expect(search('haar', synonymGroups).has('necklace')).toBe(true);
+  });
+
+  it('searches Devanagari text', () => {
+    expect(ids(search('हार'))).toEqual(['haar']);
+  });
+
+  it('ranks name matches above description matches', () => {
+    const results = search('gold');
+    expect(results.get('necklace').score).toBeGreaterThan(results.get('ring').score);
+  });
+
+  it('returns the words that matched for highlighting', () => {
+    expect([...search('mangal sutra').get('mangalsutra').matchedWords]).toEqual(['mangalsutra']);
+  });
+});
+
+describe('highlightParts', () => {
+  it('marks matched words and keeps the rest of the text', () => {
+    expect(highlightParts('Gold Necklace', new Set(['necklace']))).toEqual([
+      { text: 'Gold', isMatch: false },
+      { text: ' ', isMatch: false },
+      { text: 'Necklace', isMatch: true }
+    ]);
+  });
+});
+
+describe('searchSuggestions', () => {
+  it('suggests the best products and matching categories and tags', () => {
+    const suggestions = searchSuggestions(index, search('brid'), 'brid');
+    expect(suggestions.products.map(product => product.id)).toEqual(['mangalsutra']);
+    expect(suggestions.terms).toEqual(['bridal']);
+  });
+});
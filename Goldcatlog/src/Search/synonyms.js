@@ -0,0 +1,22 @@
+import { ref, push, set, remove } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Terms from a comma-separated list, e.g. "necklace, haar, हार"
+export const parseSynonymTerms = (text) => {
+  const terms = String(text || '').split(',').map(term => term.trim().replace(/\s+/g, ' ')).filter(Boolean);
+  return [...new Map(terms.map(term => [term.toLowerCase(), term])).values()];
+};
+
+// Create (without an id) or replace a group of search synonyms
+export const saveSynonymGroup = async (id, text) => {
+  const terms = parseSynonymTerms(text);
+  if (terms.length < 2) {
+    throw new Error('Enter at least two terms separated by commas');
+  }
+  const groupRef = id ? ref(db, `searchSynonyms/${id}`) : push(ref(db, 'searchSynonyms'));
+  await set(groupRef, { terms });
+};
+
+export const deleteSynonymGroup = async (id) => {
+  await remove(ref(db, `searchSynonyms/${id}`));
+};
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+// Subscribe to the search synonym groups
+export default function useSynonyms() {
+  const [synonymGroups, setSynonymGroups] = useState([]);
+
+  useEffect(() => {
+    return onValue(ref(db, 'searchSynonyms'), (snapshot) => {
+      const data = snapshot.val();
+      setSynonymGroups(data ? Object.entries(data).map(([id, item]) => ({ id, ...item })) : []);
+    });
+  }, []);
+
+  return synonymGroups;
+}
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { ref, set } from 'firebase/database';
+import { db } from '../Firebase/Config';
+import useShopSettings, { MAX_RESERVATION_HOLD_HOURS } from './useShopSettings';
+
+const FIELDS = [
+  { name: 'name', label: 'Shop Name', placeholder: 'e.g., Gold Shop' },
+  { name: 'whatsapp', label: 'WhatsApp Number', placeholder: 'With country code, e.g., 919876543210' },
+  { name: 'phone', label: 'Phone', placeholder: 'e.g., +91 98765 43210' },
+  { name: 'address', label: 'Address', placeholder: 'Shop address' },
+  { name: 'quoteValidityDays', label: 'Quotes Valid For (days)', placeholder: 'e.g., 3', type: 'number' },
+  { name: 'reservationHoldHours', label: 'Reservations Held For (hours)', placeholder: 'e.g., 48', type: 'number' }
+];
+
+// Owner-only section for the contact details shown to customers
+export default function ShopSettings() {
+  const shop = useShopSettings();
+  const [formData, setFormData] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const values = formData || shop;
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...(prev || shop), [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const whatsapp = values.whatsapp.replace(/\D/g, '');
+      if (values.whatsapp && whatsapp.length < 10) {
+        throw new Error('Please enter the WhatsApp number with country code');
+      }
+      const quoteValidityDays = parseInt(values.quoteValidityDays);
+      if (!(quoteValidityDays > 0)) {
+        throw new Error('Quotes must be valid for at least one day');
+      }
+      const reservationHoldHours = parseFloat(values.reservationHoldHours);
+      if (!(reservationHoldHours > 0)) {
+        throw new Error('Reservations must be held for some time');
+      }
+      if (reservationHoldHours > MAX_RESERVATION_HOLD_HOURS) {
+        throw new Error(`Reservations can be held for at most ${MAX_RESERVATION_HOLD_HOURS} hours`);
+      }
+      await set(ref(db, 'settings/shop'), {
+        name: values.name.trim(),
+        whatsapp,
+        phone: values.phone.trim(),
+        address: values.address.trim(),
+        quoteValidityDays,
+        reservationHoldHours
+      });
+      setFormData(null);
+      setSuccessMessage('Shop details saved!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error saving shop details:', error);
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-8 bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Shop Details</h2>
+
+      {successMessage && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {FIELDS.map(({ name, label, placeholder, type = 'text' }) => (
+          <div key={name}>
+            <label className="block text-sm font-medium mb-1">{label}</label>
+            <input
+              type={type}
+              name={name}
+              placeholder={placeholder}
+              value={values[name]}
+              onChange={handleInputChange}
+              className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-4">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md transition-colors disabled:bg-blue-400"
+        >
+          {isSaving ? 'Saving...' : 'Save Details'}
+        </button>
+      </div>
+    </form>
+  );
+}
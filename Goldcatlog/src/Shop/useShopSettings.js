@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { db } from '../Firebase/Config';
+
+export const DEFAULT_SHOP = {
+  name: 'Gold Shop',
+  whatsapp: '',
+  phone: '',
+  address: '',
+  // How long printed quotations hold their prices
+  quoteValidityDays: 3,
+  // How long a customer's reservation keeps a piece out of stock
+  reservationHoldHours: 48
+};
+
+// Longest hold the database rules accept for a reservation (one week)
+export const MAX_RESERVATION_HOLD_HOURS = 168;
+
+// Subscribe to the shop's contact details, quote and reservation settings from `settings/shop`
+export default function useShopSettings() {
+  const [shop, setShop] = useState(DEFAULT_SHOP);
+
+  useEffect(() => {
+    return onValue(ref(db, 'settings/shop'), (snapshot) => {
+      setShop({ ...DEFAULT_SHOP, ...snapshot.val() });
+    });
+  }, []);
+
+  return shop;
+}
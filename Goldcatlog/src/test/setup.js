@@ -0,0 +1,5 @@
+import { vi } from 'vitest';
+
+// Tests exercise the pure helpers, so they get a stand-in for the app's
+// Firebase handles instead of connecting to a project.
+vi.mock('../Firebase/Config', () => ({ db: {}, storage: {} }));
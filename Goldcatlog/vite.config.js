@@ -8,4 +8,7 @@ export default defineConfig({
     tailwindcss(),
     react()
   ],
+  test: {
+    setupFiles: ['./src/test/setup.js']
+  },
 })